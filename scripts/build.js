@@ -4,40 +4,42 @@
  * Build script for swordfight-cli
  *
  * This script:
- * 1. Reads the flavor-text.json file
- * 2. Inlines the JSON data into the main index.js file
- * 3. Outputs the compiled version to dist/index.js
+ * 1. Copies every source module from src/ to dist/
+ * 2. Inlines the JSON data files (flavor text, message catalogs) into the
+ *    modules that load them, so dist/ needs no data files
  */
 
-import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { readFileSync, writeFileSync, mkdirSync, readdirSync } from 'fs';
+import { join } from 'path';
 
 try {
   console.log('🔨 Building swordfight-cli...');
 
-  // Read the flavor text JSON
-  console.log('📖 Reading flavor text data...');
-  const flavorText = JSON.parse(readFileSync('src/flavor-text.json', 'utf-8'));
+  // Matches JSON.parse(readFileSync(join(__dirname, '<file>'), 'utf-8')), capturing the file
+  const originalPattern = /JSON\.parse\(\s*readFileSync\(join\(__dirname, '([^']+\.json)'\), 'utf-8'\)\s*\)/g;
 
-  // Read the main source file
-  console.log('📖 Reading source code...');
-  let code = readFileSync('src/index.js', 'utf-8');
+  // Create dist directory
+  console.log('📁 Creating dist directory...');
+  mkdirSync('dist', { recursive: true });
 
-  // Replace the dynamic file reading with embedded data
-  console.log('🔄 Inlining flavor text data...');
-  const originalPattern = /const flavorText = JSON\.parse\(\s*readFileSync\(join\(__dirname, 'flavor-text\.json'\), 'utf-8'\)\s*\);/;
-  const replacement = `const flavorText = ${JSON.stringify(flavorText, null, 2)};`;
+  const modules = readdirSync('src').filter(file => file.endsWith('.js'));
 
-  code = code.replace(originalPattern, replacement);
+  for (const file of modules) {
+    // Read the source module
+    console.log(`📖 Reading src/${file}...`);
+    let code = readFileSync(join('src', file), 'utf-8');
 
-  // Create dist directory and write the compiled file
-  console.log('📁 Creating dist directory...');
-  mkdirSync('dist', { recursive: true });
+    // Replace the dynamic file reading with embedded data
+    code = code.replace(originalPattern, (_match, dataFile) => {
+      console.log(`🔄 Inlining ${dataFile}...`);
+      return JSON.stringify(JSON.parse(readFileSync(join('src', dataFile), 'utf-8')), null, 2);
+    });
 
-  console.log('💾 Writing compiled file...');
-  writeFileSync('dist/index.js', code);
+    writeFileSync(join('dist', file), code);
+  }
 
   console.log('✅ Build completed successfully!');
-  console.log('📦 Output: dist/index.js');
+  console.log(`📦 Output: ${modules.map(file => `dist/${file}`).join(', ')}`);
 
 } catch (error) {
   console.error('❌ Build failed:', error.message);
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Complete game test for swordfight-cli
+ *
+ * This script:
+ * 1. Starts the CLI headless with moves read from stdin
+ * 2. Answers every "Legal moves:" prompt with a random legal move
+ * 3. Fails unless the duel ends in victory or defeat with exit code 0
+ */
+
+import { spawn } from 'child_process';
+import readline from 'readline';
+
+/** @constant {number} TIMEOUT - Milliseconds before the game is considered hung */
+const TIMEOUT = 60000;
+
+const child = spawn(process.execPath, [
+  'src/index.js', 'play',
+  '--character', 'human-fighter',
+  '--opponent', 'goblin',
+  '--moves', '-',
+  // The checks below read English output, whatever LANG says
+  '--lang', 'en'
+], {
+  env: { ...process.env, FORCE_COLOR: '0' },
+  stdio: ['pipe', 'pipe', 'inherit']
+});
+
+const output = [];
+let rounds = 0;
+
+const timer = setTimeout(() => {
+  console.error(`❌ Game did not finish within ${TIMEOUT / 1000}s (${rounds} moves played)`);
+  child.kill();
+  process.exit(1);
+}, TIMEOUT);
+
+console.log('⚔️  Playing a complete headless game...');
+
+readline.createInterface({ input: child.stdout }).on('line', line => {
+  output.push(line);
+
+  const prompt = line.match(/^Legal moves: (.+)$/);
+  if (prompt) {
+    const legal = prompt[1].split(', ');
+    const move = legal[Math.floor(Math.random() * legal.length)];
+    rounds++;
+    child.stdin.write(`${move}\n`);
+  }
+});
+
+child.on('exit', code => {
+  clearTimeout(timer);
+  const transcript = output.join('\n');
+  const finished = /VICTORY|DEFEAT/.test(transcript);
+
+  if (code !== 0 || !finished) {
+    console.error(transcript);
+    console.error(`❌ Game exited with code ${code} after ${rounds} moves${finished ? '' : ' without a result'}`);
+    process.exit(1);
+  }
+
+  console.log(`✅ Game completed in ${rounds} moves`);
+});
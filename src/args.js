@@ -0,0 +1,451 @@
+/**
+ * Command-line argument parsing
+ *
+ * A small declarative parser for the swordfight command line. Commands and
+ * options are described in the COMMANDS and OPTIONS tables below; the parser
+ * validates input against them and the help screen is generated from them,
+ * so adding a flag means adding one table entry.
+ *
+ * @module swordfight-cli/args
+ *
+ * @example
+ * parseArgs(['moves', 'goblin']);
+ * // Returns: { command: 'moves', positionals: ['goblin'], options: {} }
+ *
+ * parseArgs(['-c', 'troll', '--fast']);
+ * // Returns: { command: 'play', positionals: [], options: { character: 'troll', fast: true } }
+ */
+
+import chalk from 'chalk';
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Raised for invalid command-line input (unknown flags, missing values, etc.)
+ * The entry point prints the message with a pointer to --help and exits 1
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// ============================================================================
+// COMMAND AND OPTION TABLES
+// ============================================================================
+
+/**
+ * Every option the CLI understands, keyed by long name
+ * @type {Object<string, {type: string, alias?: string, valueName?: string, description: string}>}
+ */
+export const OPTIONS = {
+  character: {
+    type: 'string',
+    alias: 'c',
+    valueName: 'slug',
+    description: 'Fight as this character (skips the selection menu)'
+  },
+  'character-file': {
+    type: 'string',
+    valueName: 'file',
+    description: 'Add a homebrew character from a JSON file'
+  },
+  opponent: {
+    type: 'string',
+    alias: 'o',
+    valueName: 'slug',
+    description: 'Face this opponent (skips the opponent menu)'
+  },
+  mirror: {
+    type: 'boolean',
+    description: 'Allow a mirror match: your own character can be picked or drawn as the opponent'
+  },
+  'opponent-ai': {
+    type: 'string',
+    valueName: 'strategy',
+    description: 'Let a strategy play the opponent: random, greedy, counter, or a module file'
+  },
+  difficulty: {
+    type: 'string',
+    alias: 'd',
+    valueName: 'level',
+    description: 'How hard the computer opponent fights: easy, normal, hard or nightmare'
+  },
+  seed: {
+    type: 'string',
+    alias: 's',
+    valueName: 'seed',
+    description: 'Seed the random number generator to reproduce a fight'
+  },
+  moves: {
+    type: 'string',
+    alias: 'm',
+    valueName: 'file',
+    description: 'Play headless, one move per line from a file (- for stdin)'
+  },
+  json: {
+    type: 'boolean',
+    description: 'Write engine events as NDJSON instead of narration (reads moves like --moves)'
+  },
+  resume: {
+    type: 'boolean',
+    description: 'Continue the fight you saved when fleeing with Ctrl+C'
+  },
+  record: {
+    type: 'string',
+    alias: 'r',
+    valueName: 'file',
+    description: 'Save a replay of the fight to a file'
+  },
+  a: {
+    type: 'string',
+    valueName: 'slug',
+    description: 'First character to simulate'
+  },
+  b: {
+    type: 'string',
+    valueName: 'slug',
+    description: 'Second character to simulate'
+  },
+  all: {
+    type: 'boolean',
+    description: 'Simulate every pairing of characters'
+  },
+  runs: {
+    type: 'string',
+    alias: 'n',
+    valueName: 'count',
+    description: 'Matches to simulate per pairing (default 1000)'
+  },
+  'strategy-a': {
+    type: 'string',
+    valueName: 'name',
+    description: 'Strategy playing the first character: a built-in or a module file (default random)'
+  },
+  'strategy-b': {
+    type: 'string',
+    valueName: 'name',
+    description: 'Strategy playing the second character: a built-in or a module file (default random)'
+  },
+  format: {
+    type: 'string',
+    valueName: 'format',
+    description: 'Report format: table, csv or json (default table)'
+  },
+  recovery: {
+    type: 'string',
+    valueName: 'percent',
+    description: 'Share of lost health restored after each gauntlet win (default 50)'
+  },
+  port: {
+    type: 'string',
+    alias: 'p',
+    valueName: 'port',
+    description: 'Port to host the duel on (default 7777)'
+  },
+  search: {
+    type: 'string',
+    valueName: 'text',
+    description: 'Only show codex entries, moves and results matching this text'
+  },
+  flavor: {
+    type: 'string',
+    valueName: 'pack',
+    description: 'Narrate with a flavor pack: a name from the flavors directory or a JSON file'
+  },
+  coach: {
+    type: 'boolean',
+    description: 'Explain the highlighted move: which replies it beats and the damage to expect'
+  },
+  fast: {
+    type: 'boolean',
+    alias: 'f',
+    description: 'Skip typing effects and dramatic pauses (same as --speed instant)'
+  },
+  speed: {
+    type: 'string',
+    valueName: 'speed',
+    description: 'Narration speed: instant, fast, normal or dramatic, or a multiplier like 2 (default from config)'
+  },
+  step: {
+    type: 'boolean',
+    description: 'Pause before every replayed round'
+  },
+  tui: {
+    type: 'boolean',
+    description: 'Full-screen layout: combatants, combat log, moves and effects in fixed panes'
+  },
+  accessible: {
+    type: 'boolean',
+    description: 'Plain text for screen readers: numbered menus, no color, symbols or animation'
+  },
+  lang: {
+    type: 'string',
+    valueName: 'locale',
+    description: 'Language for menus and narration: en, es or de (default from LANG)'
+  },
+  help: {
+    type: 'boolean',
+    alias: 'h',
+    description: 'Show this help'
+  },
+  version: {
+    type: 'boolean',
+    alias: 'v',
+    description: 'Show the version number'
+  }
+};
+
+/** @constant {string[]} GLOBAL_OPTIONS - Options accepted by every command */
+const GLOBAL_OPTIONS = ['accessible', 'lang', 'help', 'version'];
+
+/**
+ * Every subcommand, keyed by name
+ * `args` lists required positional arguments, `options` the flags it accepts
+ * @type {Object<string, {args: string[], options: string[], description: string}>}
+ */
+export const COMMANDS = {
+  play: {
+    args: [],
+    options: ['character', 'opponent', 'mirror', 'opponent-ai', 'difficulty', 'seed', 'resume', 'moves', 'json', 'record', 'coach', 'tui', 'fast', 'speed', 'character-file', 'flavor'],
+    description: 'Start a duel against the computer (default)'
+  },
+  hotseat: {
+    args: [],
+    options: ['coach', 'fast', 'speed', 'character-file', 'flavor'],
+    description: 'Duel a friend on the same keyboard'
+  },
+  gauntlet: {
+    args: [],
+    options: ['character', 'seed', 'recovery', 'fast', 'speed', 'character-file', 'flavor'],
+    description: 'Fight every character in turn, wounds and all'
+  },
+  tournament: {
+    args: [],
+    options: ['character', 'seed', 'fast', 'speed', 'character-file', 'flavor'],
+    description: 'Enter a seeded single-elimination bracket'
+  },
+  simulate: {
+    args: [],
+    options: ['a', 'b', 'all', 'runs', 'strategy-a', 'strategy-b', 'format', 'seed', 'character-file'],
+    description: 'Fight computer-vs-computer matches and report on balance'
+  },
+  host: {
+    args: [],
+    options: ['character', 'port', 'fast', 'speed', 'character-file', 'flavor'],
+    description: 'Host a duel over the network and wait for an opponent'
+  },
+  join: {
+    args: ['address'],
+    options: ['character', 'fast', 'speed', 'character-file', 'flavor'],
+    description: 'Join a duel hosted at host:port'
+  },
+  characters: {
+    args: [],
+    options: ['character-file'],
+    description: 'List the available characters'
+  },
+  moves: {
+    args: ['slug'],
+    options: ['character-file'],
+    description: 'List every move a character knows'
+  },
+  codex: {
+    args: [],
+    options: ['character', 'search', 'character-file'],
+    description: 'Browse every character, move and result table'
+  },
+  flavors: {
+    args: [],
+    options: ['flavor'],
+    description: 'List flavor packs and check them for problems'
+  },
+  stats: {
+    args: [],
+    options: [],
+    description: 'Show your career statistics'
+  },
+  config: {
+    args: [],
+    options: ['speed'],
+    description: 'Show your saved settings, or change them (e.g. config --speed fast)'
+  },
+  replay: {
+    args: ['file'],
+    options: ['fast', 'speed', 'step', 'flavor'],
+    description: 'Watch a recorded fight'
+  }
+};
+
+/** @constant {string} DEFAULT_COMMAND - Command run when none is given */
+export const DEFAULT_COMMAND = 'play';
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Looks up an option definition by long name or single-letter alias
+ * @param {string} name - Option name without leading dashes
+ * @returns {[string, Object]|null} Tuple of [longName, definition] or null if unknown
+ */
+function findOption(name) {
+  if (Object.hasOwn(OPTIONS, name)) {
+    return [name, OPTIONS[name]];
+  }
+  const entry = Object.entries(OPTIONS).find(([, def]) => def.alias === name);
+  return entry || null;
+}
+
+/**
+ * Parses an argv array into a command, its positionals and options
+ * Supports `--name value`, `--name=value`, `-n value` and `--` to end options
+ *
+ * @param {string[]} argv - Arguments after the node binary and script path
+ * @returns {{command: string, positionals: string[], options: Object}} Parsed arguments
+ * @throws {UsageError} On unknown commands or options, or missing values
+ */
+export function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+  const seen = [];
+  let onlyPositionals = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (onlyPositionals || !arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    if (arg === '--') {
+      onlyPositionals = true;
+      continue;
+    }
+
+    const isLong = arg.startsWith('--');
+    const [rawName, inlineValue] = isLong
+      ? arg.slice(2).split(/=(.*)/s, 2)
+      : [arg.slice(1), undefined];
+    const found = (isLong || rawName.length === 1) ? findOption(rawName) : null;
+
+    if (!found) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+
+    const [name, definition] = found;
+    seen.push(name);
+
+    if (definition.type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`Option --${name} does not take a value`);
+      }
+      options[name] = true;
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      value = argv[i + 1];
+      if (value === undefined || (value.startsWith('-') && value !== '-')) {
+        throw new UsageError(`Option --${name} requires a value`);
+      }
+      i++;
+    }
+    options[name] = value;
+  }
+
+  const hasCommand = positionals.length > 0 && Object.hasOwn(COMMANDS, positionals[0]);
+  const command = hasCommand ? positionals.shift() : DEFAULT_COMMAND;
+
+  // --help and --version short-circuit all other validation
+  if (options.help || options.version) {
+    return { command, positionals, options };
+  }
+
+  if (!hasCommand && positionals.length > 0) {
+    throw new UsageError(`Unknown command: ${positionals[0]}`);
+  }
+
+  const spec = COMMANDS[command];
+  const allowed = [...spec.options, ...GLOBAL_OPTIONS];
+  const unsupported = seen.find(name => !allowed.includes(name));
+  if (unsupported) {
+    throw new UsageError(`Option --${unsupported} cannot be used with "${command}"`);
+  }
+
+  if (positionals.length < spec.args.length) {
+    throw new UsageError(`Missing argument <${spec.args[positionals.length]}> for "${command}"`);
+  }
+  if (positionals.length > spec.args.length) {
+    throw new UsageError(`Unexpected argument: ${positionals[spec.args.length]}`);
+  }
+
+  return { command, positionals, options };
+}
+
+// ============================================================================
+// HELP TEXT
+// ============================================================================
+
+/**
+ * Builds the usage line for an option, e.g. "-c, --character <slug>"
+ * @param {string} name - Long option name
+ * @param {Object} definition - Option definition from OPTIONS
+ * @returns {string} Unstyled usage string
+ */
+function optionUsage(name, definition) {
+  const alias = definition.alias ? `-${definition.alias}, ` : '    ';
+  const value = definition.type === 'string' ? ` <${definition.valueName || 'value'}>` : '';
+  return `${alias}--${name}${value}`;
+}
+
+/**
+ * Builds the help screen from the command and option tables
+ * @param {string} [command] - Limit the help to one command's usage and options
+ * @returns {string} Multi-line help text with styling
+ */
+export function formatHelp(command) {
+  const lines = [];
+  const commandNames = command ? [command] : Object.keys(COMMANDS);
+
+  lines.push(chalk.bold('Usage:'));
+  commandNames.forEach(name => {
+    const args = COMMANDS[name].args.map(arg => ` <${arg}>`).join('');
+    lines.push(`  swordfight ${name}${args} [options]`);
+  });
+  lines.push('');
+
+  if (!command) {
+    lines.push(chalk.bold('Commands:'));
+    const usages = commandNames.map(name => ({
+      usage: `${name}${COMMANDS[name].args.map(arg => ` <${arg}>`).join('')}`,
+      description: COMMANDS[name].description
+    }));
+    const width = Math.max(...usages.map(({ usage }) => usage.length)) + 2;
+    usages.forEach(({ usage, description }) => {
+      lines.push(`  ${chalk.cyan(usage.padEnd(width))}${chalk.dim(description)}`);
+    });
+    lines.push('');
+  }
+
+  const optionNames = command
+    ? [...COMMANDS[command].options, ...GLOBAL_OPTIONS]
+    : Object.keys(OPTIONS);
+  const usages = optionNames.map(name => ({
+    usage: optionUsage(name, OPTIONS[name]),
+    description: OPTIONS[name].description
+  }));
+  const width = Math.max(...usages.map(({ usage }) => usage.length)) + 2;
+
+  lines.push(chalk.bold('Options:'));
+  usages.forEach(({ usage, description }) => {
+    lines.push(`  ${chalk.cyan(usage.padEnd(width))}${chalk.dim(description)}`);
+  });
+
+  return lines.join('\n');
+}
@@ -0,0 +1,113 @@
+/**
+ * Bot driver
+ *
+ * Plays one seat's game with a strategy (see strategies.js). Before each
+ * round it gathers what that side can see, asks the strategy for a move,
+ * checks the move is legal and submits it. It also keeps the round history
+ * strategies are given.
+ *
+ * @module swordfight-cli/bot
+ * @requires chalk - For terminal text styling and colors
+ */
+
+import chalk from 'chalk';
+import { submitMove } from './engine.js';
+import { snapshotCharacter, snapshotMove } from './json-output.js';
+import { StrategyError } from './strategies.js';
+
+/**
+ * Damage a round's data actually counts for
+ * @param {Object} roundData - One side's round results from the engine
+ * @returns {number} Damage, or 0 when the hit did not score
+ */
+const scoredDamage = (roundData) => roundData.totalScore > 0 && roundData.score !== '' ? roundData.totalScore : 0;
+
+/**
+ * Lets a strategy play a seat's game
+ * Call before the game is set up. A strategy that throws or picks an
+ * illegal move ends the process with exit code 1.
+ * @param {Object} seat - Seat whose game the strategy plays
+ * @param {{name: string, choose: Function}} strategy - Strategy from loadStrategy()
+ * @param {Object} match - Match details strategies see
+ * @param {string} match.slug - This side's character slug
+ * @param {string} match.opponentSlug - Opponent's character slug
+ * @param {function(): number} match.random - Random source handed to the strategy
+ * @returns {{stop: function(): void}} Handle to stop playing, for matches abandoned early
+ */
+export function attachBot(seat, strategy, { slug, opponentSlug, random }) {
+  const { game } = seat;
+  const history = [];
+  let bonus = [];
+  let restrictions = [];
+  let stopped = false;
+
+  seat.adapter.addEventListener('round', (e) => {
+    const { myRoundData, opponentsRoundData } = e.detail;
+    bonus = opponentsRoundData.nextRoundBonus || [];
+    restrictions = opponentsRoundData.result.restrict || [];
+    history.push({
+      round: game.roundNumber,
+      myMove: snapshotMove(myRoundData.myMove),
+      opponentMove: snapshotMove(opponentsRoundData.myMove),
+      damageDealt: scoredDamage(myRoundData),
+      damageTaken: scoredDamage(opponentsRoundData)
+    });
+  });
+
+  /**
+   * Asks the strategy for this round's move and checks it is legal
+   * @returns {Promise<Object>} Promise that resolves with the chosen move
+   * @throws {StrategyError} When the strategy fails or picks an illegal move
+   */
+  const chooseMove = async() => {
+    const moves = game.Moves;
+    let choice;
+    try {
+      choice = await strategy.choose({
+        round: game.roundNumber,
+        moves: moves.map(snapshotMove),
+        me: { slug, ...snapshotCharacter(game.myCharacter) },
+        opponent: { slug: opponentSlug, ...snapshotCharacter(game.opponentsCharacter) },
+        bonus: structuredClone(bonus),
+        restrictions: [...restrictions],
+        history: structuredClone(history),
+        random
+      });
+    } catch (error) {
+      throw new StrategyError(`Strategy ${strategy.name} failed in round ${game.roundNumber}: ${error.message}`);
+    }
+
+    const move = moves.find(candidate => String(candidate.id) === String(choice));
+    if (!move) {
+      throw new StrategyError(`Strategy ${strategy.name} chose "${choice}" in round ${game.roundNumber}, ` +
+        `which is not a legal move (legal: ${moves.map(candidate => candidate.id).join(', ')})`);
+    }
+    return move;
+  };
+
+  seat.adapter.addEventListener('setup', () => {
+    // Move on the next tick so the engine finishes announcing the round first
+    setImmediate(async() => {
+      if (stopped) {
+        return;
+      }
+      try {
+        const move = await chooseMove();
+        if (!stopped) {
+          submitMove(seat, move.id);
+        }
+      } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exit(1);
+      }
+    });
+  });
+
+  const stop = () => {
+    stopped = true;
+  };
+  seat.adapter.addEventListener('victory', stop);
+  seat.adapter.addEventListener('defeat', stop);
+
+  return { stop };
+}
@@ -0,0 +1,269 @@
+/**
+ * Custom characters
+ *
+ * Homebrew characters are JSON files in the same format as the engine's own
+ * (see rules.js for the tables). They are read from the user characters
+ * directory ($XDG_DATA_HOME/swordfight/characters) and from --character-file,
+ * checked against the schema below, and registered with CharacterLoader so
+ * menus, the codex and the engine itself find them alongside the bundled
+ * roster.
+ *
+ * @module swordfight-cli/characters
+ * @requires swordfight-engine - Character registry
+ *
+ * @example
+ * // ~/.local/share/swordfight/characters/pirate.json
+ * {
+ *   "name": "Pirate", "health": 12, "weapon": "Cutlass", "shield": false,
+ *   "moves": [{ "id": "1", "name": "Slash", "tag": "Swing", "type": "strong", "range": "close" }],
+ *   "results": [{ "id": "1", "name": "Parrying", "range": "close", "score": "" }],
+ *   "tables": [{ "id": "1", "outcomes": [{ "1": "1" }] }]
+ * }
+ */
+
+import { readdirSync, readFileSync } from 'fs';
+import { basename, join, resolve } from 'path';
+import { CharacterLoader } from 'swordfight-engine';
+import { dataPath } from './store.js';
+
+/** @constant {RegExp} SLUG_PATTERN - Slugs are used on the command line, so keep them simple */
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Raised when a character file cannot be read or breaks the schema
+ * The message lists every problem found, one per line
+ */
+export class CharacterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CharacterError';
+  }
+}
+
+/**
+ * Directory homebrew characters are loaded from
+ * @returns {string} Absolute path
+ */
+export function userCharactersDir() {
+  return dataPath('characters');
+}
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+const isId = (value) => isText(value) || Number.isInteger(value);
+const isNumeric = (value) => (typeof value === 'number' || isText(value)) && Number.isFinite(Number(value));
+
+/**
+ * Checks a list of entries that are referenced by id
+ * @param {*} list - Value of the field
+ * @param {string} field - Field name, for messages
+ * @param {function(Object, string): void} checkEntry - Checks one entry; gets the entry and its path
+ * @param {string[]} problems - Messages are appended here
+ * @returns {Set<string>} Ids of the entries, as strings
+ */
+function checkIdList(list, field, checkEntry, problems) {
+  const ids = new Set();
+  if (!Array.isArray(list) || list.length === 0) {
+    problems.push(`${field} must be a non-empty array`);
+    return ids;
+  }
+
+  list.forEach((entry, index) => {
+    const path = `${field}[${index}]`;
+    if (typeof entry !== 'object' || entry === null) {
+      problems.push(`${path} must be an object`);
+      return;
+    }
+    if (!isId(entry.id)) {
+      problems.push(`${path}.id must be a string or integer`);
+    } else if (ids.has(String(entry.id))) {
+      problems.push(`${path}.id "${entry.id}" is used more than once`);
+    } else {
+      ids.add(String(entry.id));
+    }
+    checkEntry(entry, path);
+  });
+  return ids;
+}
+
+/**
+ * Checks a character against the schema
+ * @param {*} data - Parsed character file
+ * @returns {string[]} One message per problem; empty when the character is valid
+ */
+export function validateCharacter(data) {
+  const problems = [];
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    return ['the file must contain a JSON object'];
+  }
+
+  if (!isText(data.name)) {
+    problems.push('name must be a non-empty string');
+  }
+  if (data.slug !== undefined && !(typeof data.slug === 'string' && SLUG_PATTERN.test(data.slug))) {
+    problems.push(`slug "${data.slug}" must be lowercase letters and digits separated by single hyphens`);
+  }
+  if (!Number.isInteger(data.health) || data.health <= 0) {
+    problems.push(`health must be a positive integer, got ${JSON.stringify(data.health)}`);
+  }
+  if (data.description !== undefined && typeof data.description !== 'string') {
+    problems.push('description must be a string');
+  }
+  ['weapon', 'shield'].forEach(field => {
+    if (data[field] !== undefined && typeof data[field] !== 'string' && data[field] !== false) {
+      problems.push(`${field} must be a name or false`);
+    }
+  });
+
+  const moveIds = checkIdList(data.moves, 'moves', (move, path) => {
+    if (!isText(move.name)) {
+      problems.push(`${path}.name must be a non-empty string`);
+    }
+    ['tag', 'type', 'range'].forEach(field => {
+      if (move[field] !== undefined && typeof move[field] !== 'string') {
+        problems.push(`${path}.${field} must be a string`);
+      }
+    });
+    if (move.mod !== undefined && !isNumeric(move.mod)) {
+      problems.push(`${path}.mod must be a number`);
+    }
+  }, problems);
+
+  const resultIds = checkIdList(data.results, 'results', (result, path) => {
+    if (result.score === undefined || !(result.score === '' || isNumeric(result.score))) {
+      problems.push(`${path}.score must be a number, or "" when the result is not a hit`);
+    }
+    if (result.restrict !== undefined &&
+      !(Array.isArray(result.restrict) && result.restrict.every(item => typeof item === 'string'))) {
+      problems.push(`${path}.restrict must be an array of strings`);
+    }
+  }, problems);
+
+  // Every row needs an outcome for each of the character's moves, or the engine has nothing to look up
+  checkIdList(data.tables, 'tables', (row, path) => {
+    const outcomes = Array.isArray(row.outcomes) ? row.outcomes[0] : undefined;
+    if (typeof outcomes !== 'object' || outcomes === null) {
+      problems.push(`${path}.outcomes must be an array holding one object of move id → result id`);
+      return;
+    }
+    Object.entries(outcomes).forEach(([moveId, resultId]) => {
+      if (!moveIds.has(moveId)) {
+        problems.push(`${path}.outcomes refers to move "${moveId}", which is not in moves`);
+      }
+      if (!resultIds.has(String(resultId))) {
+        problems.push(`${path}.outcomes["${moveId}"] refers to result "${resultId}", which is not in results`);
+      }
+    });
+    moveIds.forEach(moveId => {
+      if (!Object.hasOwn(outcomes, moveId)) {
+        problems.push(`${path} (other side's move ${row.id}) has no outcome for move "${moveId}"`);
+      }
+    });
+  }, problems);
+
+  return problems;
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Reads and validates one character file
+ * The slug defaults to the file name without .json
+ * @param {string} path - File to read
+ * @returns {{slug: string, character: Object}} Valid character
+ * @throws {CharacterError} When the file cannot be read or parsed, or breaks the schema
+ */
+export function loadCharacterFile(path) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new CharacterError(`Could not load character ${path}: ${error.message}`);
+  }
+
+  const problems = validateCharacter(data);
+  if (problems.length > 0) {
+    throw new CharacterError(`${path} is not a valid character:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+
+  const slug = data.slug || basename(path, '.json').toLowerCase();
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new CharacterError(`${path}: "${slug}" is not a usable slug; add a "slug" field such as "my-fighter"`);
+  }
+  return { slug, character: { ...data, slug } };
+}
+
+/**
+ * Adds characters to CharacterLoader
+ * The engine looks characters up through the same object, so registered
+ * characters can be played like bundled ones
+ * @param {{slug: string, character: Object}[]} entries - Characters from loadCharacterFile()
+ * @throws {CharacterError} When a slug is already taken
+ */
+function registerCharacters(entries) {
+  const builtIn = new Set(CharacterLoader.getAvailableCharacters());
+  const custom = new Map();
+  entries.forEach(({ slug, character }) => {
+    if (builtIn.has(slug) || custom.has(slug)) {
+      throw new CharacterError(`A character with the slug "${slug}" already exists; give ${character.name} another "slug"`);
+    }
+    custom.set(slug, character);
+  });
+  if (custom.size === 0) {
+    return;
+  }
+
+  const getAvailableCharacters = CharacterLoader.getAvailableCharacters.bind(CharacterLoader);
+  const getCharacter = CharacterLoader.getCharacter.bind(CharacterLoader);
+  CharacterLoader.getAvailableCharacters = () => [...getAvailableCharacters(), ...custom.keys()];
+  // Hand out copies, as the engine changes health and equipment on the object it gets
+  CharacterLoader.getCharacter = (slug) => custom.has(slug) ? structuredClone(custom.get(slug)) : getCharacter(slug);
+}
+
+/**
+ * Loads every homebrew character and registers it
+ * A broken file in the characters directory is skipped with a warning;
+ * a broken --character-file is an error, since it was asked for by name
+ * @param {string} [file] - Extra character file from --character-file
+ * @returns {string[]} Warnings about skipped files
+ * @throws {CharacterError} When the named file is invalid or a slug is taken
+ */
+export function loadCustomCharacters(file) {
+  const warnings = [];
+  const entries = [];
+  const directory = userCharactersDir();
+
+  let names = [];
+  try {
+    // A file named with --character-file is loaded below, even if it also lives in the directory
+    names = readdirSync(directory)
+      .filter(name => name.endsWith('.json') && !(file && join(directory, name) === resolve(file)))
+      .sort();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      warnings.push(`Could not read ${directory}: ${error.message}`);
+    }
+  }
+  names.forEach(name => {
+    try {
+      entries.push(loadCharacterFile(join(directory, name)));
+    } catch (error) {
+      if (!(error instanceof CharacterError)) {
+        throw error;
+      }
+      warnings.push(`Skipping ${error.message}`);
+    }
+  });
+
+  if (file) {
+    entries.push(loadCharacterFile(resolve(file)));
+  }
+
+  registerCharacters(entries);
+  return warnings;
+}
@@ -0,0 +1,102 @@
+/**
+ * Coach hints
+ *
+ * With --coach, the move menu explains the highlighted move: which of the
+ * opponent's replies it hits, which hit back, which leave you restricted or
+ * disarmed, and the damage to expect either way if the opponent picked any
+ * reply at random. Everything is read from the character tables (see
+ * rules.js), so the hints are exactly what the engine would do.
+ *
+ * @module swordfight-cli/coach
+ * @requires chalk - For terminal text styling and colors
+ */
+
+import chalk from 'chalk';
+import { findResult, resultDamage } from './rules.js';
+import { icon } from './display.js';
+import { t } from './i18n.js';
+
+/** @constant {number} MAX_NAMES - Replies named per line before the rest are counted */
+const MAX_NAMES = 4;
+
+/**
+ * Works out every reply the opponent could make to a move
+ * @param {Object} move - Move the player is considering
+ * @param {Object} context - What the hint is based on
+ * @param {Object} context.player - Player's character data from CharacterLoader
+ * @param {Object} context.opponent - Opponent's character data from CharacterLoader
+ * @param {Object[]} [context.bonus] - Bonuses the player carries into the round
+ * @param {Object[]} [context.opponentBonus] - Bonuses the opponent carries into the round
+ * @returns {{reply: Object, dealt: number, taken: number, theirs: Object, yours: Object}[]}
+ *   One entry per reply the tables cover
+ */
+export function adviseMove(move, { player, opponent, bonus = [], opponentBonus = [] }) {
+  return opponent.moves
+    .map((reply) => {
+      const theirs = findResult(opponent, move, reply);
+      const yours = findResult(player, reply, move);
+      if (!theirs || !yours) {
+        return null;
+      }
+      return {
+        reply,
+        dealt: resultDamage(theirs, move, bonus),
+        taken: resultDamage(yours, reply, opponentBonus),
+        theirs,
+        yours
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Lists reply names, cutting long lists short
+ * @param {Object[]} outcomes - Entries from adviseMove()
+ * @param {function(Object): string} [detail] - Extra text after each name
+ * @returns {string} e.g. "Smash 3, Thrust 2 +4 more"
+ */
+function nameReplies(outcomes, detail = () => '') {
+  const names = outcomes.slice(0, MAX_NAMES).map(outcome => `${outcome.reply.name}${detail(outcome)}`);
+  const rest = outcomes.length - MAX_NAMES;
+  return names.join(', ') + (rest > 0 ? chalk.dim(` ${t('coach.more', { count: rest })}`) : '');
+}
+
+/**
+ * Formats coach hints for the move menu
+ * @param {Object} move - Highlighted move
+ * @param {Object} context - Same as adviseMove()
+ * @returns {string[]} Lines to show under the move
+ */
+export function formatAdvice(move, context) {
+  const outcomes = adviseMove(move, context);
+  if (outcomes.length === 0) {
+    return [chalk.dim(`${icon('🎓 ')}${t('coach.noEntries')}`)];
+  }
+
+  const average = (key) => (outcomes.reduce((sum, outcome) => sum + outcome[key], 0) / outcomes.length).toFixed(1);
+  const lines = [
+    chalk.white(`${icon('🎓 ')}${t('coach.expect', {
+      count: outcomes.length,
+      dealt: chalk.green(average('dealt')),
+      taken: chalk.red(average('taken'))
+    })}`)
+  ];
+
+  const categories = [
+    [t('coach.hits'), chalk.green, outcomes.filter(o => o.dealt > 0), o => ` ${o.dealt}`],
+    [t('coach.hitBy'), chalk.red, outcomes.filter(o => o.taken > 0), o => ` ${o.taken}`],
+    [t('coach.bothMiss'), chalk.gray, outcomes.filter(o => o.dealt === 0 && o.taken === 0)],
+    [t('coach.restrictsYou'), chalk.yellow, outcomes.filter(o => o.yours.restrict?.length > 0),
+      o => ` (${o.yours.restrict.join(', ')})`],
+    [t('coach.disarmsThem'), chalk.yellowBright, outcomes.filter(o => o.theirs.weaponDislodged)],
+    [t('coach.disarmsYou'), chalk.magenta, outcomes.filter(o => o.yours.weaponDislodged)]
+  ];
+
+  categories.forEach(([label, color, matches, detail]) => {
+    if (matches.length > 0) {
+      lines.push(`   ${color(`${label}:`)} ${chalk.dim(nameReplies(matches, detail))}`);
+    }
+  });
+
+  return lines;
+}
@@ -0,0 +1,267 @@
+/**
+ * Codex
+ *
+ * `swordfight codex` browses everything the engine knows about each
+ * character: stats, the full move list, and the result tables that decide
+ * every round. Interactive terminals get menus with filter-as-you-type;
+ * otherwise the entries are printed, so they can be piped or searched.
+ *
+ * Move ids are shared between characters, so a table row for move 5 means
+ * the other side made whichever move 5 it knows.
+ *
+ * @module swordfight-cli/codex
+ * @requires chalk - For terminal text styling and colors
+ * @requires swordfight-engine - Character data
+ */
+
+import chalk from 'chalk';
+import { CharacterLoader } from 'swordfight-engine';
+import { selectFromMenu, waitForEnter } from './menu.js';
+import { clearScreen, icon, isAccessible } from './display.js';
+import { findResult } from './rules.js';
+import { t } from './i18n.js';
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * Checks whether any field contains the search text, ignoring case
+ * @param {string|undefined} search - Text to look for; no search matches everything
+ * @param {...*} fields - Values to search in; arrays are searched element by element
+ * @returns {boolean} Whether there is a match
+ */
+function matches(search, ...fields) {
+  if (!search) {
+    return true;
+  }
+  const needle = search.toLowerCase();
+  return fields.flat().some(field => field !== undefined && field !== null &&
+    String(field).toLowerCase().includes(needle));
+}
+
+/**
+ * Summarizes a move's properties, e.g. "strong · close · +1"
+ * @param {Object} move - Move from a character's move list
+ * @returns {string} Properties joined with dots
+ */
+function moveDetails(move) {
+  const mod = Number(move.mod) || 0;
+  return [move.type, move.range, mod ? t('codex.modDamage', { mod: `${mod > 0 ? '+' : ''}${mod}` }) : null]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+/**
+ * Summarizes a result's effects, e.g. "close · 3 damage · restricts high"
+ * @param {Object} result - Entry from a character's results
+ * @returns {string} Effects joined with dots
+ */
+function resultDetails(result) {
+  return [
+    result.range,
+    result.score !== '' && result.score !== undefined ? t('codex.damage', { score: result.score }) : t('codex.noDamage'),
+    result.restrict?.length > 0 ? t('codex.restricts', { list: result.restrict.join(', ') }) : null,
+    result.weaponDislodged ? t('codex.weaponDislodged') : null,
+    result.shieldDestroyed ? t('codex.shieldDestroyed') : null
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Formats a character's header: name, health, equipment and description
+ * @param {string} slug - Character slug
+ * @param {Object} character - Character data from CharacterLoader
+ * @returns {string[]} Lines to print
+ */
+function formatHeader(slug, character) {
+  const equipment = [
+    character.weapon ? chalk.yellowBright(`${icon('⚔️  ')}${character.weapon}`) : null,
+    character.shield ? chalk.magenta(`${icon('🛡️  ')}${character.shield}`) : null
+  ].filter(Boolean);
+
+  return [
+    chalk.bold.white(character.name) + chalk.dim(`  (${slug})`),
+    `  ${icon('❤️ ')}${t('health.points', { health: character.health })}` + (equipment.length > 0 ? `  ${equipment.join(isAccessible() ? ', ' : ' │ ')}` : ''),
+    chalk.dim(`  ${character.description || t('menu.defaultDescription')}`)
+  ];
+}
+
+/**
+ * Formats a character's full codex entry
+ * With a search, only matching moves and results are listed, and a
+ * character with no matches at all is left out
+ * @param {string} slug - Character slug
+ * @param {string} [search] - Text to filter by
+ * @returns {string[]|null} Lines to print, or null when nothing matches the search
+ */
+export function formatCharacterEntry(slug, search) {
+  const character = CharacterLoader.getCharacter(slug);
+  const nameMatches = matches(search, slug, character.name, character.description);
+  const moves = character.moves.filter(move =>
+    nameMatches || matches(search, move.name, move.tag, move.type, move.range));
+  const results = (character.results || []).filter(result =>
+    nameMatches || matches(search, result.name, result.range, result.restrict));
+
+  if (!nameMatches && moves.length === 0 && results.length === 0) {
+    return null;
+  }
+
+  const lines = [...formatHeader(slug, character), ''];
+
+  lines.push(chalk.cyan(`  ${t('codex.moves', { count: moves.length })}`));
+  let lastTag = null;
+  moves.forEach(move => {
+    if (move.tag && move.tag !== lastTag) {
+      lines.push(chalk.cyan(`    ${move.tag}:`));
+      lastTag = move.tag;
+    }
+    lines.push(`      ${chalk.dim(String(move.id).padStart(3))}  ${move.name}  ${chalk.dim(moveDetails(move))}`);
+  });
+  lines.push('');
+
+  lines.push(chalk.cyan(`  ${t('codex.results', { count: results.length })}`));
+  results.forEach(result => {
+    lines.push(`      ${chalk.dim(String(result.id).padStart(3))}  ${result.name || '—'}  ${chalk.dim(resultDetails(result))}`);
+  });
+
+  return lines;
+}
+
+/**
+ * Formats one move's column of the result table: where the character
+ * ends up when it makes this move against each move the other side can make
+ * @param {Object} character - Character data from CharacterLoader
+ * @param {Object} move - One of the character's moves
+ * @returns {string[]} Lines to print
+ */
+export function formatMoveEntry(character, move) {
+  const lines = [
+    chalk.bold.white(move.tag ? `${move.tag}: ${move.name}` : move.name) + chalk.dim(`  #${move.id}`),
+    chalk.dim(`  ${moveDetails(move) || t('codex.noProperties')}`),
+    '',
+    chalk.cyan(`  ${t('codex.whenMakes', { name: character.name })}`)
+  ];
+
+  (character.tables || []).forEach(row => {
+    const result = findResult(character, row, move);
+    if (!result) {
+      return;
+    }
+    const known = character.moves.find(candidate => String(candidate.id) === String(row.id));
+    const label = `#${row.id}${known ? ` ${known.name}` : ''}`;
+    lines.push(`    ${label.padEnd(22)} ${result.name || '—'}  ${chalk.dim(resultDetails(result))}`);
+  });
+
+  return lines;
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Prints codex entries without menus
+ * @param {Object} [options] - Options from the command line
+ * @param {string} [options.character] - Print only this character
+ * @param {string} [options.search] - Only show what matches this text
+ */
+export function printCodex({ character, search } = {}) {
+  const slugs = character ? [character] : CharacterLoader.getAvailableCharacters();
+  const entries = slugs.map(slug => formatCharacterEntry(slug, search)).filter(Boolean);
+
+  if (entries.length === 0) {
+    console.log(chalk.dim(t('codex.noMatches', { search })));
+    return;
+  }
+  console.log(entries.map(lines => lines.join('\n')).join('\n\n'));
+}
+
+/**
+ * Shows a character's codex entry and waits for Enter
+ * Used by the `i` key in the character selection menu
+ * @param {string} slug - Character slug
+ * @returns {Promise<void>} Promise that resolves when the player is done reading
+ */
+export async function showCharacterInfo(slug) {
+  clearScreen();
+  console.log(formatCharacterEntry(slug).join('\n'));
+  console.log();
+  await waitForEnter(t('codex.back'));
+  clearScreen();
+}
+
+/**
+ * Browses one character's moves and results until the player backs out
+ * @param {string} slug - Character slug
+ * @returns {Promise<void>} Promise that resolves on Escape
+ */
+async function browseCharacter(slug) {
+  const character = CharacterLoader.getCharacter(slug);
+  const resultsItem = {
+    name: t('codex.everyResult'),
+    tag: t('codex.tables'),
+    description: t('codex.everyResultDescription')
+  };
+  const items = [
+    ...character.moves.map(move => ({ ...move, description: moveDetails(move) })),
+    resultsItem
+  ];
+
+  for (;;) {
+    clearScreen();
+    console.log(formatHeader(slug, character).join('\n'));
+    console.log();
+
+    const choice = await selectFromMenu(items, null, t('codex.characterMoves', { name: character.name }), { filter: true, cancelable: true });
+    if (!choice) {
+      return;
+    }
+
+    clearScreen();
+    if (choice === resultsItem) {
+      console.log(formatCharacterEntry(slug).join('\n'));
+    } else {
+      console.log(formatMoveEntry(character, choice).join('\n'));
+    }
+    console.log();
+    await waitForEnter(t('codex.back'));
+  }
+}
+
+/**
+ * Browses the codex interactively until the player backs out
+ * @param {Object} [options] - Options from the command line
+ * @param {string} [options.character] - Open this character's entry first
+ * @param {string} [options.search] - Only list characters whose entry matches this text
+ * @returns {Promise<void>} Promise that resolves when the player leaves
+ */
+export async function browseCodex({ character, search } = {}) {
+  const items = CharacterLoader.getAvailableCharacters()
+    .filter(slug => formatCharacterEntry(slug, search))
+    .map(slug => {
+      const char = CharacterLoader.getCharacter(slug);
+      return {
+        name: `${char.name} [${icon('❤️ ')}${t('health.points', { health: char.health })}]`,
+        slug,
+        description: char.description || t('menu.defaultDescription')
+      };
+    });
+  if (items.length === 0) {
+    console.log(chalk.dim(t('codex.noMatches', { search })));
+    return;
+  }
+
+  let slug = character;
+  for (;;) {
+    if (!slug) {
+      clearScreen();
+      const choice = await selectFromMenu(items, null, t('codex.characters'), { filter: true, cancelable: true });
+      if (!choice) {
+        return;
+      }
+      slug = choice.slug;
+    }
+    await browseCharacter(slug);
+    slug = null;
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Informational commands
+ *
+ * Non-interactive subcommands that print character data, check flavor
+ * packs or show settings and exit, plus the slug validation shared by every
+ * command that takes a character.
+ *
+ * @module swordfight-cli/commands
+ */
+
+import chalk from 'chalk';
+import { CharacterLoader } from 'swordfight-engine';
+import { UsageError } from './args.js';
+import { flavorsDir, listFlavorPacks, readFlavorPack } from './flavor.js';
+import { icon } from './display.js';
+import { DEFAULT_CONFIG, loadConfig, settingsPath } from './config.js';
+import { t } from './i18n.js';
+
+/**
+ * Validates a character slug against the engine's roster
+ * @param {string} slug - Slug supplied on the command line
+ * @param {string} label - What the slug is for, used in the error message
+ * @returns {string} The slug, unchanged, when it is valid
+ * @throws {UsageError} When the slug is not a known character
+ * @example
+ * resolveCharacterSlug('goblin', '--opponent');
+ * // Returns: "goblin"
+ */
+export function resolveCharacterSlug(slug, label) {
+  const available = CharacterLoader.getAvailableCharacters();
+  if (!available.includes(slug)) {
+    throw new UsageError(
+      `Unknown character for ${label}: "${slug}"\n  Available: ${available.join(', ')}`
+    );
+  }
+  return slug;
+}
+
+/**
+ * Prints every available character with health and equipment
+ * `swordfight characters`
+ */
+export function listCharacters() {
+  const slugs = CharacterLoader.getAvailableCharacters();
+  const width = Math.max(...slugs.map(slug => slug.length)) + 2;
+
+  slugs.forEach(slug => {
+    const char = CharacterLoader.getCharacter(slug);
+    const equipment = [char.weapon, char.shield].filter(Boolean).join(', ');
+    console.log(
+      `${chalk.cyan(slug.padEnd(width))}${chalk.bold(char.name)} ${chalk.dim(`[${icon('❤️ ')}${t('health.points', { health: char.health })}]`)}` +
+      (equipment ? chalk.dim(` ${equipment}`) : '')
+    );
+  });
+}
+
+/**
+ * Prints a character's full move list grouped by tag
+ * `swordfight moves <slug>`
+ * @param {string} slug - Character slug to list moves for
+ * @throws {UsageError} When the slug is not a known character
+ */
+export function listMoves(slug) {
+  const char = CharacterLoader.getCharacter(resolveCharacterSlug(slug, 'moves'));
+
+  console.log(chalk.bold.white(t('commands.moves', { name: char.name, count: char.moves.length })));
+
+  let lastTag = null;
+  char.moves.forEach(move => {
+    const tag = move.tag || '';
+    if (tag && tag !== lastTag) {
+      console.log(chalk.cyan(`  ${tag}:`));
+      lastTag = tag;
+    }
+    const type = move.type ? chalk.dim(` (${move.type})`) : '';
+    console.log(`    ${chalk.dim(String(move.id).padStart(3))}  ${move.name}${type}`);
+  });
+}
+
+/**
+ * Checks flavor packs and prints a report for each
+ * `swordfight flavors`; sets exit code 1 when any pack has problems
+ * @param {string} [spec] - Check only this pack (name or file) instead of the whole flavors directory
+ * @throws {FlavorError} When a named pack cannot be found or parsed
+ */
+export function checkFlavorPacks(spec) {
+  const specs = spec ? [spec] : listFlavorPacks();
+  if (specs.length === 0) {
+    console.log(chalk.dim(t('commands.noPacks', { path: flavorsDir() })));
+    console.log(chalk.dim(t('commands.addPacks')));
+    return;
+  }
+
+  specs.forEach(name => {
+    const { name: title, path, problems, missing } = readFlavorPack(name);
+    console.log(`${chalk.bold(title)} ${chalk.dim(path)}`);
+    if (problems.length > 0) {
+      console.log(chalk.red(`  ${icon('✗ ')}${t('commands.problems', { count: problems.length })}`));
+      problems.forEach(problem => console.log(chalk.red(`    - ${problem}`)));
+      process.exitCode = 1;
+    } else {
+      console.log(chalk.green(`  ${icon('✓ ')}${t('commands.ready')}`));
+    }
+    if (missing.length > 0) {
+      console.log(chalk.dim(`  ${t('commands.usesDefaults', { list: missing.join(', ') })}`));
+    }
+  });
+}
+
+/**
+ * Prints every setting, marking the ones still at their default
+ * `swordfight config`
+ * @throws {StoreError} When the config file is corrupted
+ */
+export function showSettings() {
+  const config = loadConfig();
+  const width = Math.max(...Object.keys(config).map(key => key.length)) + 2;
+
+  console.log(`${chalk.bold(t('commands.settings'))} ${chalk.dim(settingsPath())}`);
+  Object.entries(config).forEach(([key, value]) => {
+    const isDefault = value === DEFAULT_CONFIG[key];
+    console.log(`  ${chalk.cyan(key.padEnd(width))}${value}${isDefault ? chalk.dim(` ${t('commands.default')}`) : ''}`);
+  });
+  console.log(chalk.dim(t('commands.changeSetting')));
+}
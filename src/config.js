@@ -0,0 +1,55 @@
+/**
+ * Settings
+ *
+ * Preferences that carry over from one run to the next, kept in
+ * $XDG_CONFIG_HOME/swordfight/config.json and changed with
+ * `swordfight config --<setting> <value>`. The file only holds what the
+ * player has changed; everything else takes its default. An option given on
+ * the command line wins over the saved setting for that run.
+ *
+ * @module swordfight-cli/config
+ *
+ * @example
+ * saveConfig({ speed: 'fast' });
+ * loadConfig().speed;
+ * // Returns: "fast"
+ */
+
+import { configPath, readJsonFile, writeJsonFile } from './store.js';
+
+/** @constant {string} CONFIG_FILE - File name inside the config directory */
+const CONFIG_FILE = 'config.json';
+
+/**
+ * Every setting with its default, keyed by the option that sets it
+ * @type {Object<string, string>}
+ */
+export const DEFAULT_CONFIG = {
+  speed: 'normal'
+};
+
+/**
+ * Returns the path of the config file
+ * @returns {string} Absolute path
+ */
+export function settingsPath() {
+  return configPath(CONFIG_FILE);
+}
+
+/**
+ * Loads the settings, filling in defaults for any the player hasn't changed
+ * @returns {Object<string, string>} Every setting
+ * @throws {StoreError} When the config file is corrupted
+ */
+export function loadConfig() {
+  return { ...DEFAULT_CONFIG, ...readJsonFile(settingsPath(), {}) };
+}
+
+/**
+ * Saves changed settings, keeping the rest of the file as it was
+ * @param {Object<string, string>} changes - Settings to save, already validated
+ * @throws {StoreError} When the config file is corrupted
+ */
+export function saveConfig(changes) {
+  writeJsonFile(settingsPath(), { ...readJsonFile(settingsPath(), {}), ...changes });
+}
@@ -0,0 +1,45 @@
+/**
+ * Difficulty levels
+ *
+ * A level decides who picks the computer opponent's moves (a built-in
+ * strategy, or the engine itself at normal) and scales the opponent's
+ * starting health. Names and descriptions shown to players live in the
+ * message catalogs under `difficulty.<level>`.
+ *
+ * @module swordfight-cli/difficulty
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * Every difficulty level, easiest first
+ * `strategy` names a built-in strategy from strategies.js; null keeps the engine's opponent
+ * @type {Object<string, {strategy: string|null, health: number}>}
+ */
+export const DIFFICULTIES = {
+  // Moves at random, three quarters of the usual health
+  easy: { strategy: 'random', health: 0.75 },
+  // The engine's own opponent
+  normal: { strategy: null, health: 1 },
+  // Always takes the move its bonuses favor
+  hard: { strategy: 'greedy', health: 1 },
+  // Counters the player's habits, a quarter more health
+  nightmare: { strategy: 'counter', health: 1.25 }
+};
+
+/** @constant {string} DEFAULT_DIFFICULTY - Level used when none is chosen */
+export const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * Formats a level for display
+ * @param {string} name - Level name
+ * @returns {string} e.g. "Nightmare"
+ */
+export const difficultyLabel = (name) => t(`difficulty.${name}`);
+
+/**
+ * Describes how a level plays
+ * @param {string} name - Level name
+ * @returns {string} One-line description
+ */
+export const difficultyDescription = (name) => t(`difficulty.${name}.description`);
@@ -0,0 +1,875 @@
+/**
+ * Display and narration
+ *
+ * Everything that turns game state into terminal output: typing effects,
+ * formatting helpers, health bars, round results and the intro and outcome
+ * screens. Functions take the state they render as arguments so they work
+ * for live games and recorded ones alike.
+ *
+ * In accessible mode (--accessible, NO_COLOR or TERM=dumb) output is plain
+ * linear text for screen readers: no color, emoji, box drawing or delays,
+ * and health as a percentage instead of a bar.
+ *
+ * Narration runs at the --speed setting, and a keypress while a block of it
+ * (a round's results, the intro, the victory screen) is being told skips to
+ * the end of that block.
+ *
+ * @module swordfight-cli/display
+ * @requires readline - For keypresses that skip narration
+ * @requires chalk - For terminal text styling and colors
+ */
+
+import readline from 'readline';
+import chalk from 'chalk';
+import { difficultyLabel } from './difficulty.js';
+import { flavorText } from './flavor.js';
+import { t } from './i18n.js';
+
+// Constants
+/** @constant {number} TYPING_DELAY - Milliseconds between each line for dramatic effect */
+const TYPING_DELAY = 150;
+
+/** @constant {RegExp} ANSI_PATTERN - Terminal escape sequences, which take up no columns */
+export const ANSI_PATTERN = new RegExp(`${String.fromCharCode(27)}\\[[0-9;?]*[A-Za-z]`, 'g');
+
+/**
+ * Named narration speeds for --speed, as multipliers
+ * @constant {Object<string, number>}
+ */
+export const SPEEDS = {
+  instant: Infinity,
+  fast: 3,
+  normal: 1,
+  dramatic: 0.6
+};
+
+/**
+ * @type {number} Narration speed multiplier: 1 is normal, 2 twice as fast,
+ * Infinity skips typing effects and pauses entirely
+ */
+let speed = 1;
+
+/** @type {boolean} Set by a keypress during narration; the rest of the block prints at once */
+let skipping = false;
+
+/** @type {function(): number} Random source for flavor text, seeded per game */
+let random = Math.random;
+
+/** @type {boolean} Plain, linear output for screen readers */
+let accessible = false;
+
+/**
+ * Where narration goes instead of stdout, e.g. the TUI's combat log
+ * @type {function(string): void|null}
+ */
+let sink = null;
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Sets the narration speed multiplier
+ * @param {number} value - 1 for normal speed, Infinity for instant output
+ */
+export function setSpeed(value) {
+  speed = value;
+}
+
+/**
+ * Returns the current narration speed multiplier
+ * @returns {number} Current speed
+ */
+export function getSpeed() {
+  return speed;
+}
+
+/**
+ * Turns a --speed value into a multiplier
+ * @param {string} value - A name from SPEEDS, or a positive number
+ * @returns {number|null} Multiplier, or null when the value is neither
+ * @example
+ * parseSpeed('dramatic');
+ * // Returns: 0.6
+ */
+export function parseSpeed(value) {
+  if (Object.hasOwn(SPEEDS, value)) {
+    return SPEEDS[value];
+  }
+  const multiplier = Number(value);
+  return multiplier > 0 ? multiplier : null;
+}
+
+/**
+ * Sets the random source used to pick flavor text
+ * @param {function(): number} source - Generator returning floats in [0, 1)
+ */
+export function setRandom(source) {
+  random = source;
+}
+
+/**
+ * Sends narration somewhere other than stdout
+ * The sink receives text exactly as it would have been written, newlines and
+ * partial lines from the typing effect included
+ * @param {function(string): void|null} write - Receives narration; null goes back to stdout
+ */
+export function setNarrationSink(write) {
+  sink = write;
+}
+
+/**
+ * Decides from the environment whether output should be accessible
+ * NO_COLOR (when set to anything) and dumb terminals both ask for plain text
+ * @param {Object<string, string>} env - Environment, usually process.env
+ * @returns {boolean} True when accessible mode should be on
+ */
+export function detectAccessible(env) {
+  return Boolean(env.NO_COLOR) || env.TERM === 'dumb';
+}
+
+/**
+ * Turns accessible mode on or off
+ * Also switches chalk's colors off, for every module that uses it
+ * @param {boolean} value - True for plain, linear output
+ */
+export function setAccessible(value) {
+  accessible = value;
+  if (accessible) {
+    chalk.level = 0;
+  }
+}
+
+/**
+ * Returns whether accessible mode is on
+ * @returns {boolean} True for plain, linear output
+ */
+export function isAccessible() {
+  return accessible;
+}
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Writes narration to the sink, or to stdout when there is none
+ * @param {string} text - Text to write, as is
+ */
+const write = (text) => sink ? sink(text) : process.stdout.write(text);
+
+/**
+ * Writes a line of narration
+ * @param {string} [text] - Line to write; omit for a blank line
+ */
+const say = (text = '') => write(`${text}\n`);
+
+/**
+ * Measures how many terminal columns text takes up
+ * Color codes take none. Emoji take two: those drawn as emoji by default,
+ * and symbols like ⚔ when a variation selector asks for the emoji form
+ * @param {string} text - Text, possibly styled with chalk
+ * @returns {number} Width in columns
+ * @example
+ * textWidth(chalk.red('⚔️ Duel'));
+ * // Returns: 7
+ */
+export function textWidth(text) {
+  const chars = [...text.replace(ANSI_PATTERN, '')];
+  return chars.reduce((width, char, index) => {
+    if (/^(?:\u200d|\ufe0f|\p{M})$/u.test(char)) {
+      return width;
+    }
+    const emoji = /\p{Emoji_Presentation}/u.test(char) ||
+      (chars[index + 1] === '\ufe0f' && /\p{Extended_Pictographic}/u.test(char));
+    return width + (emoji ? 2 : 1);
+  }, 0);
+}
+
+/**
+ * Selects a random element from an array
+ * @param {Array} array - The array to choose from
+ * @returns {*} A random element from the array
+ */
+export const randomChoice = (array) => array[Math.floor(random() * array.length)];
+
+/**
+ * Creates a promise that resolves after a specified delay
+ * @param {number} ms - Milliseconds to delay
+ * @returns {Promise<void>} Promise that resolves after the delay
+ */
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Dramatic pause between lines of narration, scaled by the speed setting
+ * @param {number} ms - Milliseconds to delay at normal speed
+ * @returns {Promise<void>} Promise that resolves after the delay
+ */
+export const delay = (ms) => speed === Infinity || accessible || skipping ? Promise.resolve() : sleep(ms / speed);
+
+/**
+ * Lets a keypress skip the rest of a block of narration
+ * Listens only on a terminal and only when there are delays to skip; call
+ * the returned function once the block has been told
+ * @returns {function(): void} Stops listening and clears the skip
+ */
+function allowSkipping() {
+  skipping = false;
+  if (!process.stdin.isTTY || speed === Infinity || accessible) {
+    return () => {};
+  }
+
+  // Whoever already listens for keys (the game's readline, replay controls) handles Ctrl+C
+  const handleInterrupt = process.stdin.listenerCount('keypress') === 0;
+  const wasRaw = process.stdin.isRaw;
+  const wasFlowing = process.stdin.readableFlowing === true;
+  const onKeypress = (str, key = {}) => {
+    if (key.ctrl && key.name === 'c') {
+      if (handleInterrupt) {
+        process.kill(process.pid, 'SIGINT');
+      }
+      return;
+    }
+    skipping = true;
+  };
+
+  readline.emitKeypressEvents(process.stdin);
+  process.stdin.setRawMode(true);
+  process.stdin.resume();
+  process.stdin.on('keypress', onKeypress);
+
+  return () => {
+    process.stdin.removeListener('keypress', onKeypress);
+    process.stdin.setRawMode(wasRaw);
+    if (!wasFlowing) {
+      process.stdin.pause();
+    }
+    skipping = false;
+  };
+}
+
+/**
+ * Returns a decorative symbol, or nothing in accessible mode, where a screen
+ * reader would read it out
+ * @param {string} symbol - Symbol with its trailing spacing, e.g. "⚔️  "
+ * @returns {string} The symbol, or an empty string
+ */
+export const icon = (symbol) => accessible ? '' : symbol;
+
+/**
+ * Frames a heading, or leaves it plain in accessible mode
+ * @param {string} text - Heading text
+ * @param {string} [rule] - Characters drawn either side
+ * @returns {string} Framed heading
+ */
+export const heading = (text, rule = '═══') => accessible ? text : `${rule} ${text} ${rule}`;
+
+/**
+ * Prints lines character by character with delays for dramatic effect
+ * @param {string[]} lines - Array of text lines to print
+ */
+export async function printLineByLine(lines) {
+  for (const line of lines) {
+    say(line);
+    await delay(TYPING_DELAY);
+  }
+}
+
+/**
+ * Prints text character by character for maximum dramatic effect
+ * @param {string} text - Text to print character by character
+ * @param {number} charDelay - Delay in ms between each character (default: 30ms)
+ */
+export async function printCharByChar(text, charDelay = 30) {
+  if (speed === Infinity || accessible) {
+    say(text);
+    return;
+  }
+  const chars = [...text];
+  for (let index = 0; index < chars.length; index++) {
+    if (skipping) {
+      write(chars.slice(index).join(''));
+      break;
+    }
+    write(chars[index]);
+    await delay(charDelay);
+  }
+  write('\n');
+}
+
+// ============================================================================
+// DISPLAY HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Formats a screen's title in a box, or as a plain line in accessible mode
+ * @param {string} title - Screen title
+ * @returns {string[]} Lines to print
+ */
+export function formatHeader(title) {
+  if (accessible) {
+    return [chalk.bold.white(title)];
+  }
+  return [
+    chalk.bold.cyan('┌─────────────────────────────────────────────────────────┐'),
+    chalk.bold.white(`  ${title}`),
+    chalk.bold.cyan('└─────────────────────────────────────────────────────────┘')
+  ];
+}
+
+/**
+ * Prints a boxed banner, or just its title in accessible mode
+ * @param {Function} frame - Chalk style for the box
+ * @param {string} title - Styled title line
+ * @param {number} indent - Spaces before the title inside the box
+ */
+export function printBanner(frame, title, indent) {
+  if (accessible) {
+    say(title);
+    return;
+  }
+  say(frame('╔════════════════════════════════════════════════════════════╗'));
+  say(' '.repeat(indent) + title);
+  say(frame('╚════════════════════════════════════════════════════════════╝'));
+}
+
+/**
+ * Formats a character's equipment status for display
+ * Shows weapon and shield names with appropriate styling and icons
+ * @param {Object} character - Character object with weapon and shield properties
+ * @param {string|boolean} character.weapon - Weapon name or false if disarmed
+ * @param {string|boolean} character.shield - Shield name or false if unshielded
+ * @returns {string} Formatted equipment display string with colors and icons
+ * @example
+ * formatEquipment({ weapon: "Broadsword", shield: "Shield" })
+ * // Returns: "⚔️  Broadsword │ 🛡️  Shield" (with colors)
+ */
+export function formatEquipment(character) {
+  const equipment = [];
+
+  if (character.weapon) {
+    const weaponName = typeof character.weapon === 'string' ? character.weapon : t('equipment.armed');
+    equipment.push(chalk.yellow(`${icon('⚔️  ')}${weaponName}`));
+  } else {
+    equipment.push(chalk.dim(`${icon('⚔️  ')}${t('equipment.disarmed')}`));
+  }
+
+  if (character.shield) {
+    const shieldName = typeof character.shield === 'string' ? character.shield : t('equipment.shielded');
+    equipment.push(chalk.magenta(`${icon('🛡️  ')}${shieldName}`));
+  } else {
+    equipment.push(chalk.dim(`${icon('🛡️  ')}${t('equipment.unshielded')}`));
+  }
+
+  return equipment.join(accessible ? ', ' : ' │ ');
+}
+
+/**
+ * Formats bonus descriptions from a bonus array into human-readable text
+ * Converts bonus objects like {strong: "2"} into "+2 to strong"
+ * @param {Object[]} bonusArray - Array of bonus objects with type-value pairs
+ * @returns {string} Comma-separated list of bonus descriptions
+ * @example
+ * formatBonusDescriptions([{strong: "2"}, {high: "1"}])
+ * // Returns: "+2 to strong, +1 to high"
+ */
+export function formatBonusDescriptions(bonusArray) {
+  return bonusArray
+    .map(bonusObj => {
+      const entries = Object.entries(bonusObj);
+      if (entries.length > 0) {
+        const [type, value] = entries[0];
+        return t('bonus.item', { value, type });
+      }
+      return null;
+    })
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Formats damage breakdown for display in round results
+ * Shows total damage with optional breakdown of components (base, modifier, bonus)
+ * @param {Object} roundData - Round data containing score information
+ * @param {number} roundData.totalScore - Total damage dealt
+ * @param {number} roundData.score - Base damage from attack
+ * @param {number} roundData.moveModifier - Damage modifier from move type
+ * @param {number} roundData.bonus - Bonus damage from previous round effects
+ * @returns {string} Formatted damage string with optional breakdown in dim text
+ * @example
+ * formatDamageBreakdown({totalScore: 5, score: 3, moveModifier: 1, bonus: 1})
+ * // Returns: "5 damage (3 base, +1 move, +1 bonus)"
+ */
+export function formatDamageBreakdown(roundData) {
+  let result = t('damage.points', { count: roundData.totalScore });
+
+  if (roundData.bonus > 0 || roundData.moveModifier !== 0) {
+    const parts = [];
+    if (roundData.score) {
+      parts.push(t('damage.base', { value: roundData.score }));
+    }
+    if (roundData.moveModifier) {
+      parts.push(t('damage.move', { value: `${roundData.moveModifier > 0 ? '+' : ''}${roundData.moveModifier}` }));
+    }
+    if (roundData.bonus > 0) {
+      parts.push(t('damage.bonus', { value: roundData.bonus }));
+    }
+    result += chalk.dim(` (${parts.join(', ')})`);
+  }
+
+  return result;
+}
+
+/**
+ * Calculates the total bonus applicable to a specific move
+ * Checks if move type or tag matches any bonus conditions
+ * @param {Object} item - Move object to check for bonuses
+ * @param {string} item.type - Move type (e.g., "strong", "high", "low")
+ * @param {string} item.tag - Move tag (e.g., "Down Swing", "Thrust")
+ * @param {Object[]|null} bonusInfo - Array of bonus objects to check against
+ * @returns {number} Total bonus value for this move
+ * @example
+ * calculateMoveBonus({type: "strong", tag: "Down Swing"}, [{strong: "2"}])
+ * // Returns: 2
+ */
+export function calculateMoveBonus(item, bonusInfo) {
+  if (!bonusInfo || bonusInfo.length === 0) {
+    return 0;
+  }
+
+  let totalBonus = 0;
+  bonusInfo.forEach(bonusObj => {
+    for (const key in bonusObj) {
+      if (item.type === key || item.tag === key) {
+        totalBonus += +bonusObj[key];
+      }
+    }
+  });
+  return totalBonus;
+}
+
+
+// ============================================================================
+// DISPLAY FUNCTIONS
+// ============================================================================
+
+/**
+ * Displays health bars and current status for both combatants
+ * Shows names, health bars, HP values, and equipment status
+ * @param {Object} myCharacter - Player's character (name, health, startingHealth, weapon, shield)
+ * @param {Object} opponentsCharacter - Opponent's character, same shape
+ * @param {Object} [options] - Display options
+ * @param {{player: string, opponent: string}} [options.labels] - How to refer to each side
+ * @param {string} [options.difficulty] - Difficulty level to show in the header
+ * @returns {Promise<void>} Promise that resolves when display is complete
+ */
+export async function displayHealthBars(myCharacter, opponentsCharacter, options = {}) {
+  const stopSkipping = allowSkipping();
+  const labels = options.labels || { player: t('labels.you'), opponent: t('labels.foe') };
+  const lines = [];
+
+  /**
+   * Creates a visual health bar with colored blocks
+   * @param {number} current - Current health points
+   * @param {number} max - Maximum health points
+   * @returns {string} Colored health bar string
+   */
+  const createHealthBar = (current, max) => {
+    const filled = Math.max(0, Math.floor((current / max) * 20));
+    const bar = '█'.repeat(filled) + '░'.repeat(20 - filled);
+    return current > max * 0.3 ? chalk.green(bar) : chalk.red(bar);
+  };
+
+  /**
+   * Describes health in words: a bar in color, a percentage in accessible mode
+   * @param {Object} character - Character to describe
+   * @returns {string} Health line
+   */
+  const describeHealth = ({ health, startingHealth }) => {
+    if (accessible) {
+      const percent = Math.max(0, Math.round((health / startingHealth) * 100));
+      return t('health.hpPercent', { health, max: startingHealth, percent });
+    }
+    return createHealthBar(health, startingHealth) + chalk.white(` ${t('health.hp', { health, max: startingHealth })}`);
+  };
+
+  const header = t('health.header');
+  const difficultyText = options.difficulty ? t('health.difficulty', { level: difficultyLabel(options.difficulty) }) : '';
+  if (accessible) {
+    lines.push(difficultyText ? `${header}, ${difficultyText}` : header);
+  } else {
+    lines.push(chalk.bold.cyan('┌─────────────────────────────────────────────────────────┐'));
+    lines.push(chalk.bold.white(`  ${header}`) + (difficultyText ? chalk.dim(` · ${difficultyText}`) : ''));
+    lines.push(chalk.bold.cyan('└─────────────────────────────────────────────────────────┘'));
+  }
+  lines.push('');
+
+  // Player
+  lines.push(chalk.bold.green(`${icon('⚔️  ')}${myCharacter.name} (${labels.player})`));
+  lines.push(`    ${describeHealth(myCharacter)}`);
+  lines.push(chalk.dim(`    ${labels.player}: ${formatEquipment(myCharacter)}`));
+  lines.push('');
+
+  // Opponent
+  lines.push(chalk.bold.red(`${icon('🗡️  ')}${opponentsCharacter.name}`));
+  lines.push(`    ${describeHealth(opponentsCharacter)}`);
+  lines.push(chalk.dim(`    ${labels.opponent}: ${formatEquipment(opponentsCharacter)}`));
+  lines.push('');
+
+  await printLineByLine(lines);
+  stopSkipping();
+}
+
+/**
+ * Displays the results of a combat round
+ * Shows moves, damage, bonuses, restrictions, and special effects
+ * with dramatic flavor text based on the outcome
+ *
+ * @param {number} roundNumber - Round being reported
+ * @param {Object} myRoundData - Player's round results
+ * @param {Object} opponentsRoundData - Opponent's round results
+ * @returns {Promise<void>} Promise that resolves when display is complete
+ */
+export async function displayRoundResult(roundNumber, myRoundData, opponentsRoundData) {
+  const stopSkipping = allowSkipping();
+  let lines = [];
+
+  lines.push(chalk.bold.magenta(`\n${heading(t('round.title', { round: roundNumber }))}\n`));
+
+  // Flavor text based on round outcome
+  const playerHit = myRoundData.totalScore > 0;
+  const opponentHit = opponentsRoundData.totalScore > 0;
+  const playerRestricted = opponentsRoundData.result.restrict?.length > 0;
+  const opponentRestricted = myRoundData.result.restrict?.length > 0;
+  const anyRestricted = playerRestricted || opponentRestricted;
+
+  let flavorCategory;
+  if (!playerHit && !opponentHit) {
+    flavorCategory = anyRestricted ? 'bothMissRestricted' : 'bothMiss';
+  } else if (!playerHit && opponentHit) {
+    flavorCategory = anyRestricted ? 'playerMissOpponentHitsRestricted' : 'playerMissOpponentHits';
+  } else if (playerHit && !opponentHit) {
+    flavorCategory = anyRestricted ? 'playerHitsOpponentMissRestricted' : 'playerHitsOpponentMiss';
+  } else {
+    flavorCategory = anyRestricted ? 'bothHitRestricted' : 'bothHit';
+  }
+
+  lines.push(chalk.italic.dim(randomChoice(flavorText.roundResults[flavorCategory])));
+  lines.push('');
+
+  // Print initial lines
+  await printLineByLine(lines);
+
+  // Dramatic move and range description (character by character)
+  const moveFlavorParts = [];
+
+  // Format player's move with tag if present
+  const playerMoveText = myRoundData.myMove.tag
+    ? `${chalk.dim(myRoundData.myMove.tag.toLowerCase() + ':')} ${chalk.cyan(myRoundData.myMove.name.toLowerCase())}`
+    : chalk.cyan(myRoundData.myMove.name.toLowerCase());
+  moveFlavorParts.push(t('round.youMove', { move: playerMoveText }));
+
+  // Format opponent's move with tag if present
+  const opponentMoveText = opponentsRoundData.myMove.tag
+    ? `${chalk.dim(opponentsRoundData.myMove.tag.toLowerCase() + ':')} ${chalk.red(opponentsRoundData.myMove.name.toLowerCase())}`
+    : chalk.red(opponentsRoundData.myMove.name.toLowerCase());
+  moveFlavorParts.push(t('round.theyMove', { move: opponentMoveText }));
+
+  const moveFlavor = moveFlavorParts.join(', ');
+
+  await printCharByChar(chalk.dim(moveFlavor + '.'));
+  await delay(300);
+
+  const rangeFlavor = randomChoice(flavorText.moveDescriptions[myRoundData.result.range] || []);
+  if (rangeFlavor) {
+    await printCharByChar(chalk.italic.dim(rangeFlavor));
+    await delay(300);
+  }
+
+  // Results and damage narrative
+  const resultParts = [];
+
+  // Your result
+  if (opponentsRoundData.result.name) {
+    resultParts.push(t('round.youFind', { result: chalk.cyan(opponentsRoundData.result.name.toLowerCase()) }));
+  }
+
+  // Opponent's result
+  if (myRoundData.result.name) {
+    if (resultParts.length > 0) {
+      resultParts.push(t('round.yourFoe', { result: chalk.red(myRoundData.result.name.toLowerCase()) }));
+    } else {
+      resultParts.push(t('round.yourOpponent', { result: chalk.red(myRoundData.result.name.toLowerCase()) }));
+    }
+  }
+
+  if (resultParts.length > 0) {
+    await printCharByChar(chalk.dim(resultParts.join(', ') + '.'));
+    await delay(300);
+  }
+
+  // Damage narrative
+  const damageParts = [];
+
+  const playerDealtDamage = myRoundData.totalScore > 0 && myRoundData.score !== '';
+  const opponentDealtDamage = opponentsRoundData.totalScore > 0 && opponentsRoundData.score !== '';
+
+  if (opponentDealtDamage && playerDealtDamage) {
+    // Both hit
+    damageParts.push(chalk.red(t('round.youTake', { damage: t('damage.points', { count: opponentsRoundData.totalScore }) })));
+    damageParts.push(chalk.green(t('round.dealInReturn', { damage: t('damage.points', { count: myRoundData.totalScore }) })));
+  } else if (opponentDealtDamage) {
+    // Only opponent hit
+    damageParts.push(chalk.red(t('round.youTake', { damage: t('damage.points', { count: opponentsRoundData.totalScore }) })));
+  } else if (playerDealtDamage) {
+    // Only player hit
+    damageParts.push(chalk.green(t('round.youDeal', { damage: t('damage.points', { count: myRoundData.totalScore }) })));
+  }
+
+  if (damageParts.length > 0) {
+    await printCharByChar(chalk.dim(damageParts.join(', ') + '.'));
+    await delay(300);
+  }
+
+  say();
+
+  // Reset lines array for combat results
+  lines = [];
+
+  // Player outcome
+  lines.push(chalk.cyan(`${icon('➤ ')}${t('outcome.you')}`) + (opponentsRoundData.result.name ? ' ' + chalk.bold(opponentsRoundData.result.name) : ''));
+
+  if (opponentsRoundData.totalScore > 0 && opponentsRoundData.score !== '') {
+    lines.push(chalk.red(`  ${icon('💔 ')}${t('outcome.tookFromOpponent', { damage: t('damage.points', { count: opponentsRoundData.totalScore }) })}`));
+  }
+
+  if (myRoundData.totalScore > 0 && myRoundData.score !== '') {
+    lines.push(chalk.green(`  ${icon('💥 ')}${t('outcome.dealtToOpponent', { damage: formatDamageBreakdown(myRoundData) })}`));
+  }
+
+  // Show bonuses the player earned for next round
+  if (opponentsRoundData.nextRoundBonus?.length > 0) {
+    lines.push(chalk.yellow(`  ${icon('⭐ ')}${t('outcome.nextRound', { bonus: formatBonusDescriptions(opponentsRoundData.nextRoundBonus) })}`));
+  }
+
+  if (opponentsRoundData.result.restrict?.length > 0) {
+    lines.push(chalk.gray(`  ${icon('⚠️  ')}${t('outcome.restrictions', { list: opponentsRoundData.result.restrict.join(', ') })}`));
+  }
+
+  lines.push('');
+
+  // Opponent outcome
+  lines.push(chalk.red(`${icon('➤ ')}${t('outcome.opponent')}`) + (myRoundData.result.name ? ' ' + chalk.bold(myRoundData.result.name) : ''));
+
+  if (myRoundData.totalScore > 0 && myRoundData.score !== '') {
+    lines.push(chalk.red(`  ${icon('💔 ')}${t('outcome.tookFromYou', { damage: t('damage.points', { count: myRoundData.totalScore }) })}`));
+  }
+
+  if (opponentsRoundData.totalScore > 0 && opponentsRoundData.score !== '') {
+    lines.push(chalk.green(`  ${icon('💥 ')}${t('outcome.dealtToYou', { damage: formatDamageBreakdown(opponentsRoundData) })}`));
+  }
+
+  // Show bonuses the opponent earned for next round
+  if (myRoundData.nextRoundBonus?.length > 0) {
+    lines.push(chalk.yellow(`  ${icon('⭐ ')}${t('outcome.nextRound', { bonus: formatBonusDescriptions(myRoundData.nextRoundBonus) })}`));
+  }
+
+  if (myRoundData.result.restrict?.length > 0) {
+    lines.push(chalk.gray(`  ${icon('⚠️  ')}${t('outcome.restrictions', { list: myRoundData.result.restrict.join(', ') })}`));
+  }
+
+  // Special effects
+  if (myRoundData.result.weaponDislodged) {
+    lines.push(chalk.yellow(`${icon('⚔️  ')}${t('outcome.theirWeapon')}`));
+  }
+  if (opponentsRoundData.result.weaponDislodged) {
+    lines.push(chalk.yellow(`${icon('⚔️  ')}${t('outcome.yourWeapon')}`));
+  }
+  if (myRoundData.result.shieldDestroyed) {
+    lines.push(chalk.yellow(`    ${icon('🛡️  ')}${t('outcome.theirShield')}`));
+  }
+  if (opponentsRoundData.result.shieldDestroyed) {
+    lines.push(chalk.yellow(`    ${icon('🛡️  ')}${t('outcome.yourShield')}`));
+  }
+
+  lines.push('');
+
+  await printLineByLine(lines);
+  stopSkipping();
+}
+
+/**
+ * Formats one side's outcome for a neutral round report
+ * Each side's round data describes its attack; the other side's data holds
+ * what that attack did to it (result, bonuses, restrictions, lost equipment)
+ *
+ * @param {string} label - Name of the side, e.g. "Player 1"
+ * @param {Function} color - Chalk style for the side's heading
+ * @param {Object} attack - This side's round data
+ * @param {Object} received - The other side's round data
+ * @returns {string[]} Lines to print
+ */
+function formatSideOutcome(label, color, attack, received) {
+  const lines = [];
+
+  lines.push(color(`${icon('➤ ')}${t('outcome.side', { label })}`) + (received.result.name ? ' ' + chalk.bold(received.result.name) : ''));
+
+  if (received.totalScore > 0 && received.score !== '') {
+    lines.push(chalk.red(`  ${icon('💔 ')}${t('outcome.took', { damage: t('damage.points', { count: received.totalScore }) })}`));
+  }
+  if (attack.totalScore > 0 && attack.score !== '') {
+    lines.push(chalk.green(`  ${icon('💥 ')}${t('outcome.dealt', { damage: formatDamageBreakdown(attack) })}`));
+  }
+  if (received.nextRoundBonus?.length > 0) {
+    lines.push(chalk.yellow(`  ${icon('⭐ ')}${t('outcome.nextRound', { bonus: formatBonusDescriptions(received.nextRoundBonus) })}`));
+  }
+  if (received.result.restrict?.length > 0) {
+    lines.push(chalk.gray(`  ${icon('⚠️  ')}${t('outcome.restrictions', { list: received.result.restrict.join(', ') })}`));
+  }
+  if (received.result.weaponDislodged) {
+    lines.push(chalk.yellow(`  ${icon('⚔️  ')}${t('outcome.sideWeapon', { label })}`));
+  }
+  if (received.result.shieldDestroyed) {
+    lines.push(chalk.yellow(`  ${icon('🛡️  ')}${t('outcome.sideShield', { label })}`));
+  }
+
+  return lines;
+}
+
+/**
+ * Displays the results of a combat round without taking sides
+ * Used when both combatants are watching the same screen (hot-seat)
+ *
+ * @param {number} roundNumber - Round being reported
+ * @param {{player: string, opponent: string}} labels - How to refer to each side
+ * @param {Object} myRoundData - First side's round results
+ * @param {Object} opponentsRoundData - Second side's round results
+ * @returns {Promise<void>} Promise that resolves when display is complete
+ */
+export async function displayNeutralRoundResult(roundNumber, labels, myRoundData, opponentsRoundData) {
+  const stopSkipping = allowSkipping();
+  await printLineByLine([chalk.bold.magenta(`\n${heading(t('round.title', { round: roundNumber }))}\n`)]);
+
+  const describeMove = (move, color) => move.tag
+    ? `${chalk.dim(move.tag.toLowerCase() + ':')} ${color(move.name.toLowerCase())}`
+    : color(move.name.toLowerCase());
+
+  await printCharByChar(chalk.dim(
+    `${t('round.sideMove', { label: labels.player, move: describeMove(myRoundData.myMove, chalk.cyan) })}, ` +
+    `${t('round.sideMove', { label: labels.opponent, move: describeMove(opponentsRoundData.myMove, chalk.red) })}.`
+  ));
+  await delay(300);
+
+  const rangeFlavor = randomChoice(flavorText.moveDescriptions[myRoundData.result.range] || []);
+  if (rangeFlavor) {
+    await printCharByChar(chalk.italic.dim(rangeFlavor));
+    await delay(300);
+  }
+
+  say();
+
+  await printLineByLine([
+    ...formatSideOutcome(labels.player, chalk.cyan, myRoundData, opponentsRoundData),
+    '',
+    ...formatSideOutcome(labels.opponent, chalk.red, opponentsRoundData, myRoundData),
+    ''
+  ]);
+  stopSkipping();
+}
+
+/**
+ * Displays the atmospheric introduction before a duel
+ * Location, opponent introduction, challenge and a call to arms
+ * @param {string} opponentSlug - Opponent's slug, used to pick an introduction
+ * @param {string} opponentName - Opponent's display name
+ * @returns {Promise<void>} Promise that resolves when display is complete
+ */
+export async function displayIntro(opponentSlug, opponentName) {
+  const stopSkipping = allowSkipping();
+  await printCharByChar(chalk.dim(randomChoice(flavorText.locations)));
+  await delay(400);
+  say();
+  await printCharByChar(chalk.yellow(randomChoice(flavorText.introductions[opponentSlug] || flavorText.introductions.default)));
+  await delay(400);
+  await printCharByChar(chalk.bold.white(`\n${t('intro.challenge', { name: opponentName })}\n`));
+  await delay(400);
+  await printCharByChar(chalk.cyan(randomChoice(flavorText.ready)));
+  await delay(600);
+  say();
+  stopSkipping();
+}
+
+/**
+ * Displays the victory screen
+ * @param {string} opponentName - Name of the defeated opponent
+ * @returns {Promise<void>} Promise that resolves when display is complete
+ */
+export async function displayVictory(opponentName) {
+  const stopSkipping = allowSkipping();
+  say();
+  await delay(500);
+  await printCharByChar(chalk.green(randomChoice(flavorText.victory)));
+  await delay(800);
+  say();
+  printBanner(chalk.bold.green, chalk.bold.yellow(`${icon('⚔️  ')}${t('victory.banner')}${icon(' ⚔️')}`), 20);
+  say();
+  say(chalk.white(`  ${t('victory.falls', { name: opponentName })}`));
+  say(chalk.dim(`  ${t('victory.legend')}`));
+  say();
+  stopSkipping();
+}
+
+/**
+ * Displays the defeat screen
+ * @param {string} opponentName - Name of the victorious opponent
+ * @returns {Promise<void>} Promise that resolves when display is complete
+ */
+export async function displayDefeat(opponentName) {
+  const stopSkipping = allowSkipping();
+  say();
+  await delay(500);
+  await printCharByChar(chalk.red(randomChoice(flavorText.defeat)));
+  await delay(800);
+  say();
+  printBanner(chalk.bold.red, chalk.bold.white(`${icon('💀 ')}${t('defeat.banner')}${icon(' 💀')}`), 20);
+  say();
+  say(chalk.white(`  ${t('defeat.bested', { name: opponentName })}`));
+  say(chalk.dim(`  ${t('defeat.fallen')}`));
+  say();
+  stopSkipping();
+}
+
+/**
+ * Displays the winner of a hot-seat duel
+ * @param {string} winnerLabel - Winning player's label, e.g. "Player 1"
+ * @param {string} winnerName - Winning character's name
+ * @param {string} loserName - Losing character's name
+ * @returns {Promise<void>} Promise that resolves when display is complete
+ */
+export async function displayWinner(winnerLabel, winnerName, loserName) {
+  const stopSkipping = allowSkipping();
+  say();
+  await delay(500);
+  await printCharByChar(chalk.green(randomChoice(flavorText.victory)));
+  await delay(800);
+  say();
+  printBanner(chalk.bold.green, chalk.bold.yellow(`${icon('🏆 ')}${t('winner.banner', { label: winnerLabel.toUpperCase() })}${icon(' 🏆')}`), 17);
+  say();
+  say(chalk.white(`  ${t('winner.stands', { winner: winnerName, loser: loserName })}`));
+  say();
+  stopSkipping();
+}
+
+/**
+ * Clears the terminal, including its scrollback
+ * Used between hot-seat turns so neither player sees the other's choice.
+ * Accessible mode scrolls the screen clear with blank lines instead, since
+ * dumb terminals don't understand the escape codes
+ */
+export function clearScreen() {
+  if (accessible) {
+    process.stdout.write('\n'.repeat(process.stdout.rows || 50));
+    return;
+  }
+  process.stdout.write('\x1b[2J\x1b[3J\x1b[H');
+}
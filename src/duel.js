@@ -0,0 +1,119 @@
+/**
+ * Duels as building blocks
+ *
+ * `swordfight play` is one fight and then exit; multi-fight modes need a
+ * fight that hands back its result instead. Each duel runs in a fresh seat,
+ * so any number can be fought one after another in the same process.
+ *
+ * @module swordfight-cli/duel
+ * @requires chalk - For terminal text styling and colors
+ */
+
+import chalk from 'chalk';
+import { createSeat, createGame, setUpGame, submitMove } from './engine.js';
+import { recordMatch, createTally, tallyRound } from './stats.js';
+import { getStrategy } from './strategies.js';
+import { attachBot } from './bot.js';
+import { historyEntry, formatHistory } from './history.js';
+import { runTurns, askForMove } from './turns.js';
+import { delay, displayHealthBars, displayRoundResult } from './display.js';
+
+/** @constant {string} COMPUTER_ROOM - Engine room id for a fight against the built-in opponent */
+const COMPUTER_ROOM = 'computer';
+
+/**
+ * Fights one interactive duel against the computer
+ * The caller announces the fight and shows the victory or defeat screen
+ * @param {Object} match - Who fights
+ * @param {string} match.playerSlug - Player's character slug
+ * @param {string} match.opponentSlug - Opponent's character slug
+ * @param {number} [match.playerHealth] - Health to start with instead of full
+ * @returns {Promise<{outcome: string, health: number, startingHealth: number, tally: Object}>}
+ *   Promise that resolves when the duel ends; outcome is 'victory' or 'defeat'
+ */
+export function playDuel({ playerSlug, opponentSlug, playerHealth }) {
+  const seat = createSeat();
+  const game = createGame(seat, COMPUTER_ROOM, playerSlug, opponentSlug);
+  if (playerHealth !== undefined) {
+    game.myCharacter.health = playerHealth;
+  }
+
+  const tally = createTally(game, playerSlug, opponentSlug);
+  let currentBonus = [];
+  const roundHistory = [];
+
+  return new Promise((resolve) => {
+    const turns = runTurns(seat, {
+      onRound: async(myRoundData, opponentsRoundData) => {
+        currentBonus = opponentsRoundData.nextRoundBonus || [];
+        tallyRound(tally, myRoundData, opponentsRoundData);
+        roundHistory.push(historyEntry(game, game.roundNumber, myRoundData, opponentsRoundData));
+        await displayRoundResult(game.roundNumber, myRoundData, opponentsRoundData);
+        await delay(500);
+      },
+      onTurn: async() => {
+        await displayHealthBars(game.myCharacter, game.opponentsCharacter);
+        console.log();
+        const selectedMove = await askForMove(game.Moves, currentBonus, {
+          history: () => formatHistory(roundHistory)
+        });
+        submitMove(seat, selectedMove.id);
+      },
+      onEnd: (outcome) => {
+        turns.stop();
+        resolve({
+          outcome,
+          health: game.myCharacter.health,
+          startingHealth: game.myCharacter.startingHealth,
+          tally
+        });
+      }
+    });
+
+    setUpGame(seat);
+  });
+}
+
+/**
+ * Fights a duel between two computer-controlled characters, silently
+ * The engine plays the opponent; the other side picks legal moves at random
+ * @param {string} playerSlug - Character on the randomly-moving side
+ * @param {string} opponentSlug - Character played by the engine
+ * @param {function(): number} random - Random source for the move choices
+ * @returns {Promise<{winner: string, rounds: number}>} Promise that resolves when
+ *   the duel ends; winner is playerSlug or opponentSlug
+ */
+export function autoDuel(playerSlug, opponentSlug, random) {
+  const seat = createSeat();
+  createGame(seat, COMPUTER_ROOM, playerSlug, opponentSlug);
+  let rounds = 0;
+
+  return new Promise((resolve) => {
+    seat.adapter.addEventListener('round', () => {
+      rounds++;
+    });
+
+    attachBot(seat, getStrategy('random'), { slug: playerSlug, opponentSlug, random });
+
+    const finish = (winner) => resolve({ winner, rounds });
+
+    seat.adapter.addEventListener('victory', () => finish(playerSlug));
+    seat.adapter.addEventListener('defeat', () => finish(opponentSlug));
+
+    setUpGame(seat);
+  });
+}
+
+/**
+ * Adds a finished interactive duel to the career statistics
+ * A failure to save is reported but never interrupts play
+ * @param {string} outcome - 'victory' or 'defeat'
+ * @param {Object} tally - Tally from the duel
+ */
+export function saveDuelStats(outcome, tally) {
+  try {
+    recordMatch({ outcome, ...tally });
+  } catch (error) {
+    console.error(chalk.yellow(`Could not update career stats: ${error.message}`));
+  }
+}
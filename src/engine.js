@@ -0,0 +1,172 @@
+/**
+ * Engine bridge
+ *
+ * The game engine is written for a browser page running a single game: it
+ * listens on the global `document` for input, announces results there, and
+ * persists itself in the global `localStorage`. This module polyfills those
+ * browser APIs and introduces seats, so one process can run several games
+ * (two hot-seat players, AI-vs-AI simulations).
+ *
+ * A seat is one game's private event bus and storage. Every call into the
+ * engine goes through inSeat(), which points the globals at that seat first;
+ * transports do the same before delivering an opponent's move.
+ *
+ * @module swordfight-cli/engine
+ * @requires swordfight-engine - Core game logic and character data
+ *
+ * @example
+ * const seat = createSeat();
+ * seat.adapter.addEventListener('setup', () => submitMove(seat, seat.game.Moves[0].id));
+ * createGame(seat, 'computer', 'human-fighter', 'goblin');
+ * setUpGame(seat);
+ */
+
+import { Game } from 'swordfight-engine';
+import { FileStorage } from './store.js';
+
+// ============================================================================
+// POLYFILLS FOR BROWSER APIS
+// ============================================================================
+
+/**
+ * Adapter class to polyfill browser's document.addEventListener
+ * The game engine expects browser APIs, so we simulate them in Node.js
+ */
+export class CLIAdapter {
+  constructor() {
+    this.eventHandlers = new Map();
+  }
+
+  /**
+   * Adds an event listener (mimics DOM addEventListener)
+   * @param {string} event - Event name to listen for
+   * @param {Function} handler - Handler function to call when event fires
+   */
+  addEventListener(event, handler) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, []);
+    }
+    this.eventHandlers.get(event).push(handler);
+  }
+
+  /**
+   * Removes an event listener (mimics DOM removeEventListener)
+   * @param {string} event - Event name the handler was registered for
+   * @param {Function} handler - Handler to remove
+   */
+  removeEventListener(event, handler) {
+    const handlers = this.eventHandlers.get(event) || [];
+    this.eventHandlers.set(event, handlers.filter(existing => existing !== handler));
+  }
+
+  /**
+   * Dispatches an event to all registered listeners (mimics DOM dispatchEvent)
+   * @param {Object} event - Event object with type property
+   * @param {string} event.type - Type of event to dispatch
+   */
+  dispatchEvent(event) {
+    const handlers = this.eventHandlers.get(event.type) || [];
+    handlers.forEach(handler => handler(event));
+  }
+}
+
+/** @global window - Minimal window object for game compatibility */
+global.window = { logging: false };
+
+// Suppress debug output from the game engine
+const originalConsoleLog = console.log;
+const suppressedPatterns = [
+  /^Applied \d+ damage to .+\. New health: \d+$/,
+  /^.+ takes \d+ damage$/,
+  /^.+ health: \d+$/
+];
+
+console.log = function(...args) {
+  const message = args.join(' ');
+  const shouldSuppress = suppressedPatterns.some(pattern => pattern.test(message));
+
+  if (!shouldSuppress) {
+    originalConsoleLog.apply(console, args);
+  }
+};
+
+/** @global CustomEvent - Polyfilled CustomEvent constructor */
+global.CustomEvent = class CustomEvent {
+  constructor(type, options = {}) {
+    this.type = type;
+    this.detail = options.detail;
+  }
+};
+
+// ============================================================================
+// SEATS
+// ============================================================================
+
+/**
+ * Creates a seat: an event bus and storage for one game
+ * @returns {{adapter: CLIAdapter, storage: FileStorage, game: Game|null}} New seat
+ */
+export function createSeat() {
+  return {
+    adapter: new CLIAdapter(),
+    storage: new FileStorage(),
+    game: null
+  };
+}
+
+/**
+ * Points the engine's globals at a seat
+ * @param {Object} seat - Seat from createSeat()
+ */
+export function enterSeat(seat) {
+  /** @global document - Polyfilled document object for game events */
+  global.document = seat.adapter;
+  /** @global localStorage - Polyfilled localStorage for game state persistence */
+  global.localStorage = seat.storage;
+}
+
+/**
+ * Runs a function with the engine's globals pointed at a seat
+ * @param {Object} seat - Seat from createSeat()
+ * @param {Function} fn - Function that calls into the engine
+ * @returns {*} Whatever fn returns
+ */
+export function inSeat(seat, fn) {
+  enterSeat(seat);
+  return fn();
+}
+
+/**
+ * Creates a game in a seat
+ * @param {Object} seat - Seat from createSeat()
+ * @param {string} roomId - 'computer' for the built-in opponent, anything else for multiplayer
+ * @param {string} mySlug - Character slug for this seat's player
+ * @param {string} opponentSlug - Character slug for the opponent
+ * @param {Object} [options] - Engine options, e.g. { transport } for multiplayer
+ * @returns {Game} The new game, also stored as seat.game
+ */
+export function createGame(seat, roomId, mySlug, opponentSlug, options) {
+  seat.game = inSeat(seat, () => options
+    ? new Game(roomId, mySlug, opponentSlug, options)
+    : new Game(roomId, mySlug, opponentSlug));
+  return seat.game;
+}
+
+/**
+ * Starts the seat's game; the engine answers with a 'setup' event
+ * @param {Object} seat - Seat whose game to start
+ */
+export function setUpGame(seat) {
+  inSeat(seat, () => seat.game.setUp());
+}
+
+/**
+ * Submits this seat's move for the current round
+ * @param {Object} seat - Seat whose player is moving
+ * @param {string} moveId - Id of a move from seat.game.Moves
+ */
+export function submitMove(seat, moveId) {
+  inSeat(seat, () => seat.adapter.dispatchEvent(new CustomEvent('inputMove', {
+    detail: { move: moveId }
+  })));
+}
@@ -0,0 +1,253 @@
+/**
+ * Flavor text
+ *
+ * All narration is drawn from flavor text: the bundled src/flavor-text.json,
+ * with an optional pack chosen by --flavor merged over it. A pack is a JSON
+ * file with any of the same categories. List categories (`locations`,
+ * `ready`, `victory`, `defeat`) replace the bundled lists; keyed categories
+ * (`introductions`, `roundResults`, `moveDescriptions`) replace only the keys
+ * the pack gives, so a pirate pack can reword the goblin's introduction and
+ * keep everything else. Categories a pack leaves out fall back to the
+ * defaults, and `swordfight flavors` reports which.
+ *
+ * Translations work the same way: the flavor text for the --lang locale
+ * (src/locales/flavor.<locale>.json) is merged over the English defaults,
+ * and a pack over that.
+ *
+ * Packs are named by path, or by name for files in the flavors directory
+ * ($XDG_DATA_HOME/swordfight/flavors/<name>.json, or <name>.<locale>.json
+ * when there is one for the current locale).
+ *
+ * @module swordfight-cli/flavor
+ *
+ * @example
+ * // ~/.local/share/swordfight/flavors/pirates.json
+ * {
+ *   "name": "Pirates",
+ *   "locations": ["Waves crash over the deck of a listing galleon."],
+ *   "introductions": { "goblin": ["A bilge rat with a rusty cutlass blocks the gangway."] }
+ * }
+ *
+ * // swordfight play --flavor pirates
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, basename } from 'path';
+import { dataPath } from './store.js';
+import { getLocale } from './i18n.js';
+
+// ES module path utilities
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load narrative flavor text for atmospheric descriptions
+const defaultFlavorText = JSON.parse(
+  readFileSync(join(__dirname, 'flavor-text.json'), 'utf-8')
+);
+
+/**
+ * Translated flavor text, keyed by locale; English is the default above
+ * Each is loaded with a literal path so the build can inline it
+ * @type {Object<string, Object>}
+ */
+const localeFlavorText = {
+  es: JSON.parse(readFileSync(join(__dirname, 'locales/flavor.es.json'), 'utf-8')),
+  de: JSON.parse(readFileSync(join(__dirname, 'locales/flavor.de.json'), 'utf-8'))
+};
+
+/** @constant {string[]} METADATA - Top-level pack fields that describe the pack rather than narrate */
+const METADATA = ['name', 'description'];
+
+/** @constant {string[]} FIXED_KEYS - Keyed categories whose keys are set by the CLI, so unknown keys are typos */
+const FIXED_KEYS = ['roundResults'];
+
+/**
+ * Flavor text in use: the defaults, with the locale's translation and the
+ * --flavor pack merged over them
+ * Exported as a live binding, so importers always see the current pack
+ * @type {Object}
+ */
+export let flavorText = defaultFlavorText;
+
+/**
+ * Raised when a flavor pack cannot be found, read or used
+ * The entry point prints the message and exits 1
+ */
+export class FlavorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FlavorError';
+  }
+}
+
+/**
+ * Directory flavor packs are looked up in by name
+ * @returns {string} Absolute path
+ */
+export function flavorsDir() {
+  return dataPath('flavors');
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks that a value is a usable list of lines
+ * @param {*} value - Value from the pack
+ * @returns {boolean} True for a non-empty array of non-empty strings
+ */
+const isLineList = (value) => Array.isArray(value) && value.length > 0 &&
+  value.every(line => typeof line === 'string' && line.trim() !== '');
+
+/**
+ * Checks a pack against the bundled flavor text's categories
+ * @param {*} pack - Parsed pack file
+ * @returns {{problems: string[], missing: string[]}} Problems that make the pack unusable,
+ *   and the categories and keys it leaves to the defaults
+ */
+export function validateFlavorPack(pack) {
+  const problems = [];
+  const missing = [];
+  if (typeof pack !== 'object' || pack === null || Array.isArray(pack)) {
+    return { problems: ['the file must contain a JSON object'], missing };
+  }
+
+  const categories = Object.keys(defaultFlavorText);
+  Object.keys(pack).forEach(category => {
+    if (!categories.includes(category) && !METADATA.includes(category)) {
+      problems.push(`unknown category "${category}" (expected ${categories.join(', ')})`);
+    }
+  });
+  METADATA.forEach(field => {
+    if (pack[field] !== undefined && typeof pack[field] !== 'string') {
+      problems.push(`${field} must be a string`);
+    }
+  });
+
+  categories.forEach(category => {
+    const defaults = defaultFlavorText[category];
+    const value = pack[category];
+    if (value === undefined) {
+      missing.push(category);
+      return;
+    }
+
+    if (Array.isArray(defaults)) {
+      if (!isLineList(value)) {
+        problems.push(`${category} must be a non-empty array of strings`);
+      }
+      return;
+    }
+
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      problems.push(`${category} must be an object of ${Object.keys(defaults).join(', ')}`);
+      return;
+    }
+    Object.entries(value).forEach(([key, lines]) => {
+      if (FIXED_KEYS.includes(category) && !Object.hasOwn(defaults, key)) {
+        problems.push(`unknown key ${category}.${key} (expected ${Object.keys(defaults).join(', ')})`);
+      } else if (!isLineList(lines)) {
+        problems.push(`${category}.${key} must be a non-empty array of strings`);
+      }
+    });
+    Object.keys(defaults).forEach(key => {
+      if (!Object.hasOwn(value, key)) {
+        missing.push(`${category}.${key}`);
+      }
+    });
+  });
+
+  return { problems, missing };
+}
+
+/**
+ * Merges a pack over complete flavor text
+ * @param {Object} base - Complete flavor text
+ * @param {Object} pack - Valid pack
+ * @returns {Object} Complete flavor text
+ */
+function mergeFlavor(base, pack) {
+  const merged = {};
+  Object.entries(base).forEach(([category, defaults]) => {
+    const value = pack[category];
+    if (value === undefined) {
+      merged[category] = defaults;
+    } else {
+      merged[category] = Array.isArray(defaults) ? value : { ...defaults, ...value };
+    }
+  });
+  return merged;
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Lists the packs in the flavors directory
+ * @returns {string[]} Pack names, without .json
+ */
+export function listFlavorPacks() {
+  try {
+    return readdirSync(flavorsDir())
+      .filter(name => name.endsWith('.json'))
+      .map(name => basename(name, '.json'))
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw new FlavorError(`Could not read ${flavorsDir()}: ${error.message}`);
+  }
+}
+
+/**
+ * Finds and reads a pack
+ * @param {string} spec - Path to a pack file, or the name of one in the flavors directory
+ * @returns {{name: string, path: string, pack: *, problems: string[], missing: string[]}}
+ *   The pack with its validation report
+ * @throws {FlavorError} When the pack cannot be found or is not JSON
+ */
+export function readFlavorPack(spec) {
+  let path = resolve(spec);
+  if (!existsSync(path)) {
+    const translated = join(flavorsDir(), `${spec}.${getLocale()}.json`);
+    path = existsSync(translated) ? translated : join(flavorsDir(), `${spec}.json`);
+  }
+  if (!existsSync(path)) {
+    const available = listFlavorPacks();
+    throw new FlavorError(`Flavor pack "${spec}" not found: it is neither a file nor in ${flavorsDir()}` +
+      (available.length > 0 ? `\n  Available: ${available.join(', ')}` : ''));
+  }
+
+  let pack;
+  try {
+    pack = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new FlavorError(`Could not load flavor pack ${path}: ${error.message}`);
+  }
+
+  const name = typeof pack?.name === 'string' ? pack.name : basename(path, '.json');
+  return { name, path, pack, ...validateFlavorPack(pack) };
+}
+
+/**
+ * Sets the flavor text for this run: the current locale's, with an optional pack over it
+ * Call after the locale is set
+ * @param {string} [spec] - Path to a pack file, or the name of one in the flavors directory
+ * @throws {FlavorError} When the pack cannot be found, read or validated
+ */
+export function useFlavor(spec) {
+  flavorText = mergeFlavor(defaultFlavorText, localeFlavorText[getLocale()] || {});
+  if (!spec) {
+    return;
+  }
+
+  const { path, pack, problems } = readFlavorPack(spec);
+  if (problems.length > 0) {
+    throw new FlavorError(`${path} is not a valid flavor pack:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+  flavorText = mergeFlavor(flavorText, pack);
+}
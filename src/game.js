@@ -0,0 +1,654 @@
+/**
+ * Game flow
+ *
+ * Everything needed to play one duel against the computer: input handling,
+ * the turn loop driven by engine events, and the debrief once it is decided.
+ *
+ * @module swordfight-cli/game
+ * @requires chalk - For terminal text styling and colors
+ * @requires swordfight-engine - Core game logic and character data
+ */
+
+import chalk from 'chalk';
+import { createReadStream } from 'fs';
+import { CharacterLoader } from 'swordfight-engine';
+import { createSeat, enterSeat, createGame, setUpGame, submitMove } from './engine.js';
+import { createLoopbackPair } from './transports.js';
+import { attachBot } from './bot.js';
+import { getStrategy } from './strategies.js';
+import { formatAdvice } from './coach.js';
+import { DIFFICULTIES, DEFAULT_DIFFICULTY, difficultyLabel, difficultyDescription } from './difficulty.js';
+import { t } from './i18n.js';
+import { createLineReader, findMove, MoveError } from './scripted.js';
+import { emitEvent, gameSnapshot, roundSnapshot, snapshotMove, snapshotCharacter } from './json-output.js';
+import { generateSeed, installSeed } from './rng.js';
+import { createRecorder } from './replay.js';
+import { recordMatch, createTally, tallyRound } from './stats.js';
+import { selectFromMenu, selectCharacter, selectOpponent, confirm } from './menu.js';
+import { saveGame, deleteSavedGame } from './savegame.js';
+import { enterTui, leaveTui, isTuiActive, showCombatants, showEffects, chooseMove, waitInTui } from './tui.js';
+import { historyEntry, formatHistory } from './history.js';
+import { displaySummary } from './summary.js';
+import { runTurns, askForMove } from './turns.js';
+import {
+  delay,
+  setSpeed,
+  setRandom,
+  icon,
+  isAccessible,
+  displayHealthBars,
+  displayRoundResult,
+  displayIntro,
+  displayVictory,
+  displayDefeat
+} from './display.js';
+
+/** @constant {string} BOT_ROOM - Engine room id for a fight against --opponent-ai; anything but 'computer' means multiplayer */
+const BOT_ROOM = 'bot';
+
+/** @type {boolean} When true, engine events are written as NDJSON instead of narrated (--json) */
+let jsonMode = false;
+
+// ============================================================================
+// INPUT AND ENGINE SETUP
+// ============================================================================
+
+/**
+ * Line reader supplying moves in headless mode (--moves or piped stdin)
+ * @type {{next: function(): Promise<string|null>, close: function(): void}|null}
+ */
+let moveReader = null;
+
+/**
+ * Releases the move list, when the current game is reading from one
+ * Interactive games read keys through the menus, which let go of stdin themselves
+ */
+function closeInput() {
+  moveReader?.close();
+}
+
+// ============================================================================
+// GAME STATE
+// ============================================================================
+
+/**
+ * Seat the current game runs in
+ * Every game gets a fresh one, so listeners from the last game cannot answer
+ * for the next
+ * @type {Object|null}
+ */
+let seat = null;
+
+/** @type {Game|null} Current game instance */
+let game = null;
+
+/** @type {Object[]} Array of available moves for current turn */
+let currentMoves = [];
+
+/** @type {Object[]} Bonus modifiers active for current turn */
+let currentBonus = [];
+
+/** @type {Object[]} Bonus modifiers the opponent carries into the current turn */
+let opponentBonus = [];
+
+/** @type {string[]} Restrictions the last round placed on the player's next move */
+let currentRestrictions = [];
+
+/** @type {string[]} Restrictions the last round placed on the opponent's next move */
+let opponentRestrictions = [];
+
+/** @type {Object[]} Every round of the current fight so far, for the history viewer */
+let roundHistory = [];
+
+/** @type {{player: string, opponent: string}|null} Character slugs of the current fight */
+let matchup = null;
+
+/** @type {boolean} True from the first turn until victory or defeat */
+let fightInProgress = false;
+
+/** @type {Object[]} Every move the player's character has, legal or not */
+let knownMoves = [];
+
+/** @type {string} Seed the current game was started with */
+let matchSeed = '';
+
+/**
+ * Both characters' data for coach hints (--coach); null when coaching is off
+ * @type {{player: Object, opponent: Object}|null}
+ */
+let coachData = null;
+
+/** @type {string|undefined} Difficulty level of the current game; unset when --opponent-ai plays */
+let difficulty;
+
+/**
+ * Recorder for the current game when --record is set
+ * @type {{addRound: Function, finish: Function}|null}
+ */
+let recorder = null;
+
+/**
+ * Running totals for career statistics; null when the game is not counted
+ * (headless and --json games are played by scripts, not people)
+ * @type {Object|null}
+ */
+let matchTally = null;
+
+/**
+ * Second seat, played by a strategy, when --opponent-ai or a difficulty
+ * level replaces the engine's own opponent
+ * @type {Object|null}
+ */
+let botSeat = null;
+
+// ============================================================================
+// GAME FLOW FUNCTIONS
+// ============================================================================
+
+/**
+ * Prompts player to select their next move
+ * Shows health bars, then displays filtered moves with bonuses
+ * @returns {Promise<void>} Promise that resolves when move is selected
+ */
+async function promptForMove() {
+  if (jsonMode) {
+    emitEvent('setup', {
+      ...gameSnapshot(game),
+      seed: matchSeed,
+      difficulty,
+      moves: currentMoves.map(snapshotMove),
+      bonus: currentBonus
+    });
+    await readScriptedMove();
+    return;
+  }
+
+  const coach = coachData
+    ? (move) => formatAdvice(move, { ...coachData, bonus: currentBonus, opponentBonus })
+    : undefined;
+  const history = () => formatHistory(roundHistory);
+
+  if (isTuiActive()) {
+    // The panes stand in for the health bars, and the move menu is always on screen
+    showCombatants(game.myCharacter, game.opponentsCharacter, { difficulty, round: game.roundNumber });
+    showEffects({ bonus: currentBonus, restrictions: currentRestrictions, opponentBonus, opponentRestrictions });
+    const selectedMove = await chooseMove(currentMoves, currentBonus, { coach, history });
+    submitMove(seat, selectedMove.id);
+    return;
+  }
+
+  await displayHealthBars(game.myCharacter, game.opponentsCharacter, { difficulty });
+  console.log();
+
+  if (moveReader) {
+    await readScriptedMove();
+    return;
+  }
+
+  const selectedMove = await askForMove(currentMoves, currentBonus, { coach, history });
+  submitMove(seat, selectedMove.id);
+}
+
+/**
+ * Reads the player's next move from the move list in headless mode
+ * @returns {Promise<void>} Promise that resolves when the move is dispatched
+ * @throws {MoveError} When the list runs out or names a move that is not legal
+ */
+async function readScriptedMove() {
+  if (!jsonMode) {
+    console.log(chalk.dim(`Legal moves: ${currentMoves.map(move => move.id).join(', ')}`));
+  }
+  const input = await moveReader.next();
+
+  if (input === null) {
+    throw new MoveError(`Move list ended before the fight did (round ${game.roundNumber}).`);
+  }
+
+  let selectedMove;
+  try {
+    selectedMove = findMove(input, currentMoves, knownMoves);
+  } catch (error) {
+    if (!(error instanceof MoveError)) {
+      throw error;
+    }
+    throw new MoveError(`Round ${game.roundNumber}: ${error.message}`);
+  }
+
+  if (!jsonMode) {
+    console.log(chalk.cyan(`➤ ${selectedMove.name}`));
+    console.log();
+  }
+
+  submitMove(seat, selectedMove.id);
+}
+
+/**
+ * Adds the finished game to the player's career statistics
+ * A failure to save is reported but never interrupts the game
+ * @param {string} outcome - 'victory' or 'defeat'
+ */
+function saveCareerStats(outcome) {
+  if (!matchTally) {
+    return;
+  }
+  try {
+    recordMatch({ outcome, ...matchTally });
+  } catch (error) {
+    console.error(chalk.yellow(`Could not update career stats: ${error.message}`));
+  }
+}
+
+/**
+ * Writes the fight in progress to the save file for --resume
+ * @returns {boolean} Whether the fight was saved
+ */
+function saveCurrentGame() {
+  try {
+    saveGame({
+      seed: matchSeed,
+      player: { slug: matchup.player, ...snapshotCharacter(game.myCharacter) },
+      opponent: { slug: matchup.opponent, ...snapshotCharacter(game.opponentsCharacter) },
+      round: game.roundNumber,
+      bonus: currentBonus,
+      restrictions: currentRestrictions,
+      opponentBonus,
+      opponentRestrictions,
+      tally: matchTally,
+      history: roundHistory,
+      storage: seat.storage.snapshot()
+    });
+    return true;
+  } catch (error) {
+    console.error(chalk.red(`Could not save the fight: ${error.message}`));
+    return false;
+  }
+}
+
+/**
+ * Puts a resumed fight back the way it was saved
+ * The engine restores itself from localStorage; this reapplies the CLI's
+ * own snapshot on top so health, equipment and round are right either way
+ * @param {Object} save - Saved fight from loadSavedGame()
+ */
+function restoreSavedGame(save) {
+  const fields = ({ health, weapon, shield }) => ({ health, weapon, shield });
+  Object.assign(game.myCharacter, fields(save.player));
+  Object.assign(game.opponentsCharacter, fields(save.opponent));
+  game.roundNumber = save.round;
+  currentBonus = save.bonus || [];
+  currentRestrictions = save.restrictions || [];
+  opponentBonus = save.opponentBonus || [];
+  opponentRestrictions = save.opponentRestrictions || [];
+  roundHistory = save.history || [];
+}
+
+/**
+ * Clears everything the last game left behind before the next one starts
+ */
+function resetGameState() {
+  game = null;
+  currentMoves = [];
+  currentBonus = [];
+  opponentBonus = [];
+  currentRestrictions = [];
+  opponentRestrictions = [];
+  roundHistory = [];
+  matchup = null;
+  fightInProgress = false;
+  knownMoves = [];
+  coachData = null;
+  recorder = null;
+  matchTally = null;
+  botSeat = null;
+  moveReader = null;
+  fleeing = false;
+  askingToSave = false;
+}
+
+/**
+ * Asks the player what to do now that the fight is over
+ * @returns {Promise<string>} 'rematch', 'new-opponent', 'switch-character' or 'quit'
+ */
+async function askWhatNext() {
+  const selected = await selectFromMenu([
+    { name: t('next.rematch'), description: t('next.rematchDescription'), choice: 'rematch' },
+    { name: t('next.newOpponent'), description: t('next.newOpponentDescription'), choice: 'new-opponent' },
+    { name: t('next.switchCharacter'), description: t('next.switchCharacterDescription'), choice: 'switch-character' },
+    { name: t('next.quit'), description: t('next.quitDescription'), choice: 'quit' }
+  ], null, t('next.title'));
+  console.log();
+  return selected.choice;
+}
+
+/**
+ * Works out who the player fights
+ * A named opponent is kept unless it is the player's own character and
+ * mirror matches are off; otherwise interactive players pick from a menu,
+ * and a random draw covers headless games and "Random"
+ * @param {string} playerSlug - Player's character
+ * @param {Object} options - Options passed to startGame()
+ * @param {Function} random - Seeded random number generator
+ * @returns {Promise<string>} Opponent's character slug
+ */
+async function pickOpponent(playerSlug, options, random) {
+  const allowed = (slug) => options.mirror || slug !== playerSlug;
+  if (options.opponent && allowed(options.opponent)) {
+    return options.opponent;
+  }
+
+  const picked = options.headless ? null : await selectOpponent(playerSlug, { mirror: options.mirror });
+  if (picked) {
+    return picked;
+  }
+  const pool = CharacterLoader.getAvailableCharacters().filter(allowed);
+  return pool[Math.floor(random() * pool.length)];
+}
+
+/**
+ * Scales the opponent's health for the difficulty level
+ * Both seats' games track the opponent, so every copy is scaled alike
+ * @param {number} factor - Multiplier from DIFFICULTIES
+ * @param {Object[]} characters - Every copy of the opponent's character
+ */
+function scaleOpponentHealth(factor, characters) {
+  if (factor === 1) {
+    return;
+  }
+  characters.forEach((character) => {
+    character.startingHealth = Math.round(character.startingHealth * factor);
+    character.health = Math.round(character.health * factor);
+  });
+}
+
+/**
+ * Main game initialization and loop
+ * Sets up character selection, opponent, narrative intro, game events,
+ * and starts the turn-based combat loop
+ * @param {Object} [options] - Parsed command-line options
+ * @param {string} [options.character] - Player character slug; skips the selection menu
+ * @param {string} [options.opponent] - Opponent slug; skips the opponent menu
+ * @param {boolean} [options.mirror] - Let the player's own character be the opponent
+ * @param {number} [options.speed] - Narration speed multiplier; Infinity skips typing effects and pauses
+ * @param {boolean} [options.coach] - Show hints for the highlighted move in the menu
+ * @param {boolean} [options.tui] - Play in the full-screen layout; ignored when headless or accessible
+ * @param {string} [options.moves] - Move list file ('-' for stdin); plays headless
+ * @param {boolean} [options.headless] - Read moves from options.moves or stdin instead of menus
+ * @param {boolean} [options.json] - Emit NDJSON events instead of narration (implies headless)
+ * @param {string} [options.seed] - Seed for every random choice; a fresh one is drawn if omitted
+ * @param {string} [options.record] - Write a replay of the game to this file when it ends
+ * @param {Object} [options.resume] - Saved fight to continue, from loadSavedGame()
+ * @param {Object} [options.opponentAi] - Strategy playing the opponent, from loadStrategy()
+ * @param {string} [options.difficulty] - Difficulty level from DIFFICULTIES; ignored with opponentAi
+ * @returns {Promise<{choice: string, player: string, opponent: string}>} Promise that resolves once
+ *   the game is over with what the player chose to do next (see askWhatNext(); always 'quit' for
+ *   headless games) and the two characters who fought
+ * @throws {MoveError} When a headless game's move list runs out or names an illegal move
+ */
+export async function startGame(options = {}) {
+  resetGameState();
+  seat = createSeat();
+  enterSeat(seat);
+
+  // Everything the game listens to is undone when it ends, so the next game starts clean
+  let turns = null;
+  const stopListening = () => {
+    turns?.stop();
+    process.removeListener('SIGINT', onInterrupt);
+    closeInput();
+  };
+
+  const resume = options.resume || null;
+  jsonMode = Boolean(options.json);
+  matchSeed = resume?.seed ?? options.seed ?? generateSeed();
+  const random = installSeed(matchSeed);
+  setRandom(random);
+
+  // Saved fights are always against the engine's opponent, so they resume at normal
+  difficulty = options.opponentAi ? undefined : options.difficulty ?? DEFAULT_DIFFICULTY;
+  const level = DIFFICULTIES[difficulty];
+  const opponentStrategy = options.opponentAi || (level.strategy && getStrategy(level.strategy));
+
+  // The layout needs a real terminal to draw in, and a sighted player to read it
+  const tui = Boolean(options.tui) && !options.headless && !isAccessible() && process.stdout.isTTY;
+
+  if (options.headless) {
+    // Scripted games never wait on a human, so drop the theatrics too
+    setSpeed(Infinity);
+    moveReader = createLineReader(
+      options.moves && options.moves !== '-' ? createReadStream(options.moves) : process.stdin
+    );
+  } else {
+    setSpeed(options.speed ?? 1);
+  }
+
+  process.on('SIGINT', onInterrupt);
+  try {
+    const playerCharacter = resume?.player.slug || options.character || await selectCharacter();
+    const opponentSlug = resume?.opponent.slug || await pickOpponent(playerCharacter, options, random);
+    const opponentData = CharacterLoader.getCharacter(opponentSlug);
+    knownMoves = CharacterLoader.getCharacter(playerCharacter).moves;
+    if (options.coach) {
+      coachData = { player: CharacterLoader.getCharacter(playerCharacter), opponent: opponentData };
+    }
+    matchup = { player: playerCharacter, opponent: opponentSlug };
+
+    // Atmospheric introduction
+    if (resume && !jsonMode) {
+      console.log(chalk.green(`\n${icon('✓ ')}${t('game.resuming', { name: opponentData.name, round: resume.round })}\n`));
+      await delay(800);
+    } else if (!jsonMode) {
+      console.log(chalk.green(`\n${icon('✓ ')}${t('game.preparing')}`));
+      console.log(chalk.dim(`  ${t('game.seed', { seed: matchSeed })}`));
+      if (options.opponentAi) {
+        console.log(chalk.dim(`  ${t('game.strategy', { name: options.opponentAi.name })}`));
+      } else {
+        console.log(chalk.dim(`  ${t('game.difficulty', { level: difficultyLabel(difficulty), description: difficultyDescription(difficulty) })}`));
+      }
+      console.log();
+      await delay(800);
+    }
+
+    // From the introduction on, narration is told in the layout's combat log
+    if (tui) {
+      enterTui();
+    }
+    if (!resume && !jsonMode) {
+      await displayIntro(opponentSlug, opponentData.name);
+    }
+
+    // Initialize game
+    if (resume) {
+      // Hand the engine its saved state before it starts so it can rehydrate
+      seat.storage.restore(resume.storage);
+      game = createGame(seat, 'computer', playerCharacter, opponentSlug);
+      restoreSavedGame(resume);
+    } else if (opponentStrategy) {
+      // The strategy plays the opponent from a second seat, linked to ours like a multiplayer game
+      botSeat = createSeat();
+      const [playerTransport, botTransport] = createLoopbackPair(seat, botSeat);
+      game = createGame(seat, BOT_ROOM, playerCharacter, opponentSlug, { transport: playerTransport });
+      createGame(botSeat, BOT_ROOM, opponentSlug, playerCharacter, { transport: botTransport });
+      // Math.random is the engine's seeded stream, so the bot is as reproducible as the built-in opponent
+      attachBot(botSeat, opponentStrategy, { slug: opponentSlug, opponentSlug: playerCharacter, random: Math.random });
+      scaleOpponentHealth(level?.health ?? 1, [game.opponentsCharacter, botSeat.game.myCharacter]);
+    } else {
+      game = createGame(seat, 'computer', playerCharacter, opponentSlug);
+
+      // Clear localStorage after game creation to ensure fresh game each time
+      // This prevents the engine from loading saved game state
+      seat.storage.clear();
+    }
+
+    if (options.record) {
+      recorder = createRecorder({
+        path: options.record,
+        seed: matchSeed,
+        playerSlug: playerCharacter,
+        opponentSlug,
+        game,
+        difficulty
+      });
+    }
+
+    if (resume?.tally) {
+      matchTally = resume.tally;
+    } else if (!options.headless) {
+      matchTally = createTally(game, playerCharacter, opponentSlug, difficulty);
+    }
+
+    let settle;
+    let fail;
+    const finished = new Promise((resolve, reject) => {
+      settle = resolve;
+      fail = reject;
+    });
+
+    /**
+     * Processes combat round results
+     * Updates bonus state and displays round results
+     * @param {Object} myRoundData - What the player did this round
+     * @param {Object} opponentsRoundData - What the opponent did this round
+     * @returns {Promise<void>} Promise that resolves once the round has been shown
+     */
+    const showRound = async(myRoundData, opponentsRoundData) => {
+      // Store bonuses for next round
+      currentBonus = opponentsRoundData.nextRoundBonus || [];
+      opponentBonus = myRoundData.nextRoundBonus || [];
+      currentRestrictions = opponentsRoundData.result.restrict || [];
+      opponentRestrictions = myRoundData.result.restrict || [];
+      roundHistory.push(historyEntry(game, game.roundNumber, myRoundData, opponentsRoundData));
+      recorder?.addRound(game.roundNumber, myRoundData, opponentsRoundData);
+
+      if (matchTally) {
+        tallyRound(matchTally, myRoundData, opponentsRoundData);
+      }
+
+      if (jsonMode) {
+        emitEvent('round', roundSnapshot(game, myRoundData, opponentsRoundData));
+        return;
+      }
+
+      await displayRoundResult(game.roundNumber, myRoundData, opponentsRoundData);
+      await delay(500);
+    };
+
+    /**
+     * Ends the game once the engine declares a winner
+     * Records it, shows the result and the match summary, then asks the
+     * player what comes next; scripted games end there
+     * @param {string} outcome - 'victory' or 'defeat'
+     * @returns {Promise<void>} Promise that resolves once the game has settled
+     */
+    const finishGame = async(outcome) => {
+      fightInProgress = false;
+      recorder?.finish(outcome);
+      saveCareerStats(outcome);
+      if (resume) {
+        deleteSavedGame();
+      }
+      const result = { choice: 'quit', player: playerCharacter, opponent: opponentSlug };
+      if (jsonMode) {
+        emitEvent(outcome, gameSnapshot(game));
+        stopListening();
+        settle(result);
+        return;
+      }
+      if (isTuiActive()) {
+        // Leave the last round on screen until the player has read it
+        await waitInTui(t('tui.fightOver'));
+        leaveTui();
+        await displayHealthBars(game.myCharacter, game.opponentsCharacter, { difficulty });
+      }
+      const displayOutcome = outcome === 'victory' ? displayVictory : displayDefeat;
+      await displayOutcome(game.opponentsCharacter.name);
+      await displaySummary(roundHistory, outcome);
+      closeInput();
+      if (!moveReader) {
+        result.choice = await askWhatNext();
+      }
+      stopListening();
+      settle(result);
+    };
+
+    // A move that cannot be read ends the game with its error
+    turns = runTurns(seat, {
+      onRound: showRound,
+      onTurn: () => {
+        // game.Moves is the array of filtered moves based on current game state
+        currentMoves = game.Moves;
+        return promptForMove();
+      },
+      onEnd: finishGame,
+      onError: (error) => {
+        leaveTui();
+        stopListening();
+        fail(error);
+      }
+    });
+
+    // Brief delay before starting first turn
+    await delay(500);
+    fightInProgress = true;
+    setUpGame(seat);
+    if (botSeat) {
+      setUpGame(botSeat);
+    }
+
+    return finished;
+  } catch (error) {
+    leaveTui();
+    stopListening();
+    throw error;
+  }
+}
+
+// ============================================================================
+// SIGNAL HANDLERS
+// ============================================================================
+
+/** @type {boolean} Set once Ctrl+C has been pressed; a second press quits immediately */
+let fleeing = false;
+
+/** @type {boolean} True while the player is being asked whether to save; Ctrl+C then waits for the answer */
+let askingToSave = false;
+
+/**
+ * Handle Ctrl+C (SIGINT) gracefully
+ * Displays a farewell message, offers to save a fight in progress
+ * and exits cleanly. Installed by startGame() for as long as a game runs
+ */
+async function onInterrupt() {
+  if (askingToSave) {
+    return;
+  }
+  if (fleeing) {
+    process.exit(0);
+  }
+  fleeing = true;
+  leaveTui();
+
+  console.log();
+  if (isAccessible()) {
+    console.log(t('game.flee'));
+  } else {
+    console.log(chalk.yellow('═══════════════════════════════════════════════════════════'));
+    console.log(chalk.dim(`  ${t('game.flee')}`));
+    console.log(chalk.yellow('═══════════════════════════════════════════════════════════'));
+  }
+  console.log();
+  recorder?.finish('fled');
+  closeInput();
+
+  // Only fights against the engine's own opponent can be resumed
+  if (fightInProgress && !moveReader && !botSeat && process.stdin.isTTY) {
+    askingToSave = true;
+    const save = await confirm(t('game.savePrompt'));
+    askingToSave = false;
+    if (save && saveCurrentGame()) {
+      console.log(chalk.green(`  ${icon('✓ ')}${t('game.saved')}`));
+    }
+    console.log();
+  }
+
+  process.exit(0);
+}
@@ -0,0 +1,150 @@
+/**
+ * Gauntlet mode
+ *
+ * The player fights every other character in turn, weakest first. Health
+ * carries over between fights, with part of what was lost restored after
+ * each win. One defeat ends the run.
+ *
+ * @module swordfight-cli/gauntlet
+ * @requires chalk - For terminal text styling and colors
+ * @requires swordfight-engine - Core game logic and character data
+ */
+
+import chalk from 'chalk';
+import { CharacterLoader } from 'swordfight-engine';
+import { playDuel, saveDuelStats } from './duel.js';
+import { selectCharacter, waitForEnter } from './menu.js';
+import { generateSeed, installSeed } from './rng.js';
+import { t } from './i18n.js';
+import {
+  delay,
+  setSpeed,
+  setRandom,
+  printLineByLine,
+  displayIntro,
+  displayVictory,
+  displayDefeat,
+  formatHeader,
+  printBanner,
+  icon
+} from './display.js';
+
+/** @constant {number} DEFAULT_RECOVERY - Percentage of lost health restored after each win */
+export const DEFAULT_RECOVERY = 50;
+
+/**
+ * Lists the gauntlet's opponents, weakest first
+ * @param {string} playerSlug - Player's character, left out of the lineup
+ * @returns {string[]} Opponent slugs in fighting order
+ */
+function gauntletLineup(playerSlug) {
+  return CharacterLoader.getAvailableCharacters()
+    .filter(slug => slug !== playerSlug)
+    .map(slug => ({ slug, character: CharacterLoader.getCharacter(slug) }))
+    .sort((a, b) => a.character.health - b.character.health || a.character.name.localeCompare(b.character.name))
+    .map(entry => entry.slug);
+}
+
+/**
+ * Displays the lineup before the first fight
+ * @param {string[]} lineup - Opponent slugs in fighting order
+ * @param {number} recovery - Percentage of lost health restored after each win
+ * @returns {Promise<void>} Promise that resolves when display is complete
+ */
+async function displayLineup(lineup, recovery) {
+  const lines = [];
+
+  lines.push(...formatHeader(t('gauntlet.title')));
+  lines.push('');
+  lines.push(chalk.white(`  ${t('gauntlet.foes', { count: lineup.length })}`));
+  lineup.forEach((slug, index) => {
+    const character = CharacterLoader.getCharacter(slug);
+    lines.push(`    ${chalk.dim(`${index + 1}.`)} ${character.name} ${chalk.dim(`[${icon('❤️ ')}${t('health.points', { health: character.health })}]`)}`);
+  });
+  lines.push('');
+  lines.push(chalk.dim(`  ${recovery > 0
+    ? t('gauntlet.recovery', { percent: recovery })
+    : t('gauntlet.noRecovery')}`));
+  lines.push('');
+
+  await printLineByLine(lines);
+}
+
+/**
+ * Displays the screen for a completed gauntlet
+ * @param {string} name - Player character's name
+ * @param {number} fights - Number of fights won
+ */
+function displayGauntletConquered(name, fights) {
+  console.log();
+  printBanner(chalk.bold.green, chalk.bold.yellow(`${icon('🏆 ')}${t('gauntlet.conquered')}${icon(' 🏆')}`), 15);
+  console.log();
+  console.log(chalk.white(`  ${t('gauntlet.standsAlone', { name, count: fights })}`));
+  console.log(chalk.dim(`  ${t('gauntlet.bards')}`));
+  console.log();
+}
+
+/**
+ * Runs the gauntlet
+ * @param {Object} [options] - Parsed command-line options
+ * @param {string} [options.character] - Player character slug; skips the selection menu
+ * @param {string} [options.seed] - Seed for every random choice; a fresh one is drawn if omitted
+ * @param {number} [options.recovery] - Percentage of lost health restored after each win
+ * @param {number} [options.speed] - Narration speed multiplier (default 1)
+ * @returns {Promise<void>} Promise that resolves when the run ends
+ */
+export async function startGauntlet(options = {}) {
+  const seed = options.seed ?? generateSeed();
+  setRandom(installSeed(seed));
+  setSpeed(options.speed ?? 1);
+  const recovery = options.recovery ?? DEFAULT_RECOVERY;
+
+  process.on('SIGINT', () => {
+    console.log();
+    console.log(chalk.yellow(`  ${t('gauntlet.flee')}`));
+    console.log();
+    process.exit(0);
+  });
+
+  const playerSlug = options.character || await selectCharacter();
+  const lineup = gauntletLineup(playerSlug);
+
+  console.log(chalk.dim(`  ${t('gauntlet.seed', { seed })}\n`));
+  await displayLineup(lineup, recovery);
+
+  let health;
+  let playerName;
+  for (const [index, opponentSlug] of lineup.entries()) {
+    const opponentName = CharacterLoader.getCharacter(opponentSlug).name;
+
+    await waitForEnter(t('gauntlet.nextFight', { number: index + 1, total: lineup.length, name: opponentName }));
+    await displayIntro(opponentSlug, opponentName);
+
+    const result = await playDuel({ playerSlug, opponentSlug, playerHealth: health });
+    playerName = result.tally.character.name;
+    saveDuelStats(result.outcome, result.tally);
+
+    if (result.outcome === 'defeat') {
+      await displayDefeat(opponentName);
+      console.log(chalk.dim(`  ${t('gauntlet.ends', { number: index + 1, total: lineup.length })}`));
+      console.log();
+      process.exit(0);
+    }
+
+    await displayVictory(opponentName);
+    if (index === lineup.length - 1) {
+      break;
+    }
+
+    const restored = Math.round((result.startingHealth - result.health) * recovery / 100);
+    health = result.health + restored;
+    console.log(restored > 0
+      ? chalk.green(`  ${t('gauntlet.recover', { restored, health, max: result.startingHealth })}`)
+      : chalk.yellow(`  ${t('gauntlet.noRest', { health, max: result.startingHealth })}`));
+    console.log();
+    await delay(800);
+  }
+
+  displayGauntletConquered(playerName, lineup.length);
+  process.exit(0);
+}
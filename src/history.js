@@ -0,0 +1,128 @@
+/**
+ * Round history
+ *
+ * Keeps each round of a match as structured data once its narration has
+ * scrolled away, so a player can look back mid-fight at what both sides
+ * did: the moves, the range, the results, damage with its breakdown,
+ * bonuses, restrictions and lost equipment. Entries have the same shape as
+ * the rounds of a replay file, and the recorder builds them here too.
+ *
+ * @module swordfight-cli/history
+ * @requires chalk - For terminal text styling and colors
+ *
+ * @example
+ * roundHistory.push(historyEntry(game, game.roundNumber, myRoundData, opponentsRoundData));
+ * await showPager(t('history.title'), formatHistory(roundHistory));
+ */
+
+import chalk from 'chalk';
+import { snapshotCharacter } from './json-output.js';
+import { formatBonusDescriptions, formatDamageBreakdown, icon } from './display.js';
+import { t } from './i18n.js';
+
+/**
+ * Deep-copies engine data so later engine mutations cannot leak into the history
+ * @param {*} value - JSON-compatible value
+ * @returns {*} Independent copy
+ */
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Builds the history entry for a round that just resolved
+ * @param {Game} game - Game instance, read for both combatants' state after the round
+ * @param {number} roundNumber - Round being recorded
+ * @param {Object} myRoundData - Player's round results from the engine
+ * @param {Object} opponentsRoundData - Opponent's round results from the engine
+ * @returns {{round: number, myRoundData: Object, opponentsRoundData: Object, player: Object, opponent: Object}}
+ */
+export function historyEntry(game, roundNumber, myRoundData, opponentsRoundData) {
+  return {
+    round: roundNumber,
+    myRoundData: copy(myRoundData),
+    opponentsRoundData: copy(opponentsRoundData),
+    player: snapshotCharacter(game.myCharacter),
+    opponent: snapshotCharacter(game.opponentsCharacter)
+  };
+}
+
+/**
+ * Formats what one side did in a round and what came of it
+ * Each side's round data describes its attack; the other side's holds what
+ * that attack did to it, as in the round narration
+ *
+ * @param {Object} side - How to show this side
+ * @param {string} side.label - Its name, e.g. "You"
+ * @param {Function} side.color - Chalk style for the label
+ * @param {string} side.weaponLost - Line for when its weapon is knocked away
+ * @param {string} side.shieldLost - Line for when its shield breaks
+ * @param {Object} attack - This side's round data
+ * @param {Object} received - The other side's round data
+ * @returns {string[]} Lines to print
+ */
+function formatSide(side, attack, received) {
+  const move = attack.myMove.tag ? `${chalk.dim(`${attack.myMove.tag}:`)} ${attack.myMove.name}` : attack.myMove.name;
+  const lines = [
+    side.color(`  ${icon('➤ ')}${side.label}: `) + move + (received.result.name ? chalk.bold(` → ${received.result.name}`) : '')
+  ];
+
+  if (attack.totalScore > 0 && attack.score !== '') {
+    lines.push(chalk.green(`      ${icon('💥 ')}${t('outcome.dealt', { damage: formatDamageBreakdown(attack) })}`));
+  }
+  if (received.nextRoundBonus?.length > 0) {
+    lines.push(chalk.yellow(`      ${icon('⭐ ')}${t('outcome.nextRound', { bonus: formatBonusDescriptions(received.nextRoundBonus) })}`));
+  }
+  if (received.result.restrict?.length > 0) {
+    lines.push(chalk.gray(`      ${icon('⚠️  ')}${t('outcome.restrictions', { list: received.result.restrict.join(', ') })}`));
+  }
+  if (received.result.weaponDislodged) {
+    lines.push(chalk.yellow(`      ${icon('⚔️  ')}${side.weaponLost}`));
+  }
+  if (received.result.shieldDestroyed) {
+    lines.push(chalk.yellow(`      ${icon('🛡️  ')}${side.shieldLost}`));
+  }
+
+  return lines;
+}
+
+/**
+ * Formats one round of the history
+ * @param {Object} entry - Entry from historyEntry()
+ * @returns {string[]} Lines to print
+ */
+export function formatRound(entry) {
+  const { myRoundData, opponentsRoundData, player, opponent } = entry;
+  const range = myRoundData.result.range;
+  const you = t('labels.you');
+  const foe = t('labels.foe');
+
+  return [
+    chalk.bold.magenta(t('history.round', { round: entry.round })) +
+      (range ? chalk.dim(` · ${t('history.range', { range })}`) : ''),
+    ...formatSide(
+      { label: you, color: chalk.cyan, weaponLost: t('outcome.yourWeapon'), shieldLost: t('outcome.yourShield') },
+      myRoundData,
+      opponentsRoundData
+    ),
+    ...formatSide(
+      { label: foe, color: chalk.red, weaponLost: t('outcome.theirWeapon'), shieldLost: t('outcome.theirShield') },
+      opponentsRoundData,
+      myRoundData
+    ),
+    chalk.dim(`  ${t('history.health', {
+      player: `${you} ${t('health.hp', { health: player.health, max: player.startingHealth })}`,
+      opponent: `${foe} ${t('health.hp', { health: opponent.health, max: opponent.startingHealth })}`
+    })}`)
+  ];
+}
+
+/**
+ * Formats every round so far, oldest first, with a blank line between rounds
+ * @param {Object[]} rounds - Entries from historyEntry()
+ * @returns {string[]} Lines to print
+ */
+export function formatHistory(rounds) {
+  if (rounds.length === 0) {
+    return [chalk.dim(t('history.empty'))];
+  }
+  return rounds.flatMap((entry, index) => index > 0 ? ['', ...formatRound(entry)] : formatRound(entry));
+}
@@ -0,0 +1,150 @@
+/**
+ * Hot-seat mode
+ *
+ * Two players share one keyboard. Each player gets a seat with their own
+ * multiplayer game, and a loopback transport passes moves between the two.
+ * The screen is cleared between turns so neither player sees the other's
+ * choice, and round results are narrated from a neutral point of view.
+ *
+ * @module swordfight-cli/hotseat
+ * @requires chalk - For terminal text styling and colors
+ * @requires swordfight-engine - Character data for coach hints
+ */
+
+import chalk from 'chalk';
+import { CharacterLoader } from 'swordfight-engine';
+import { createSeat, createGame, setUpGame, submitMove } from './engine.js';
+import { createLoopbackPair } from './transports.js';
+import { formatAdvice } from './coach.js';
+import { selectFromMenu, selectCharacter, waitForEnter } from './menu.js';
+import { t } from './i18n.js';
+import {
+  sleep,
+  setSpeed,
+  clearScreen,
+  displayHealthBars,
+  displayNeutralRoundResult,
+  displayWinner
+} from './display.js';
+
+/** @constant {string} HOTSEAT_ROOM - Room id for both games; any id but 'computer' means multiplayer */
+const HOTSEAT_ROOM = 'hotseat';
+
+/**
+ * Ends the duel early on Ctrl+C
+ * Installed by startHotSeat() for as long as the duel runs
+ */
+function callOff() {
+  console.log();
+  console.log(chalk.yellow(`  ${t('hotseat.calledOff')}`));
+  console.log();
+  process.exit(0);
+}
+
+/**
+ * Plays a hot-seat duel
+ * Player 1's seat is the point of view for health bars and results
+ * @param {Object} [options] - Options from the command line
+ * @param {number} [options.speed] - Narration speed multiplier (default 1)
+ * @param {boolean} [options.coach] - Show hints for the highlighted move in the menu
+ * @returns {Promise<void>} Promise that resolves once the winner has been announced
+ */
+export async function startHotSeat(options = {}) {
+  setSpeed(options.speed ?? 1);
+
+  process.on('SIGINT', callOff);
+
+  // How the players are named on screen, in the display functions' terms
+  const labels = { player: t('hotseat.player', { number: 1 }), opponent: t('hotseat.player', { number: 2 }) };
+
+  const firstSlug = await selectCharacter(t('hotseat.chooseChampion', { label: labels.player }));
+  const secondSlug = await selectCharacter(t('hotseat.chooseChampion', { label: labels.opponent }));
+
+  const first = createSeat();
+  const second = createSeat();
+  const [firstTransport, secondTransport] = createLoopbackPair(first, second);
+  createGame(first, HOTSEAT_ROOM, firstSlug, secondSlug, { transport: firstTransport });
+  createGame(second, HOTSEAT_ROOM, secondSlug, firstSlug, { transport: secondTransport });
+
+  const turns = [
+    { seat: first, label: labels.player, character: CharacterLoader.getCharacter(firstSlug), bonus: [] },
+    { seat: second, label: labels.opponent, character: CharacterLoader.getCharacter(secondSlug), bonus: [] }
+  ];
+  const ready = [false, false];
+  let isProcessingRound = false;
+  let gameEnded = false;
+
+  /**
+   * Lets each player pick a move in private, then submits it
+   */
+  const takeTurns = async() => {
+    for (const [index, turn] of turns.entries()) {
+      const other = turns[1 - index];
+      const coach = options.coach
+        ? (move) => formatAdvice(move, {
+          player: turn.character,
+          opponent: other.character,
+          bonus: turn.bonus,
+          opponentBonus: other.bonus
+        })
+        : undefined;
+      clearScreen();
+      await waitForEnter(t('hotseat.takeKeyboard', { label: turn.label }));
+      await displayHealthBars(first.game.myCharacter, first.game.opponentsCharacter, { labels });
+      const move = await selectFromMenu(turn.seat.game.Moves, turn.bonus, t('hotseat.chooseAction', { label: turn.label }), { coach });
+      submitMove(turn.seat, move.id);
+    }
+    clearScreen();
+    console.log(chalk.dim(t('hotseat.movesIn')));
+  };
+
+  // The engines announce the next round independently; start it once both are ready
+  turns.forEach((turn, index) => {
+    turn.seat.adapter.addEventListener('setup', async() => {
+      ready[index] = true;
+      while (isProcessingRound) {
+        await sleep(100);
+      }
+      if (gameEnded || !ready.every(Boolean)) {
+        return;
+      }
+      ready.fill(false);
+      await takeTurns();
+    });
+  });
+
+  // Both seats see the same round, so narrate it from Player 1's seat only
+  first.adapter.addEventListener('round', async(e) => {
+    isProcessingRound = true;
+    const { myRoundData, opponentsRoundData } = e.detail;
+
+    turns[0].bonus = opponentsRoundData.nextRoundBonus || [];
+    turns[1].bonus = myRoundData.nextRoundBonus || [];
+
+    await displayNeutralRoundResult(first.game.roundNumber, labels, myRoundData, opponentsRoundData);
+    await waitForEnter(t('hotseat.continue'));
+    isProcessingRound = false;
+  });
+
+  let settle;
+  const finished = new Promise((resolve) => {
+    settle = resolve;
+  });
+
+  const finish = async(winner, loser) => {
+    gameEnded = true;
+    while (isProcessingRound) {
+      await sleep(100);
+    }
+    await displayWinner(winner.label, winner.seat.game.myCharacter.name, loser.seat.game.myCharacter.name);
+    process.removeListener('SIGINT', callOff);
+    settle();
+  };
+
+  first.adapter.addEventListener('victory', () => finish(turns[0], turns[1]));
+  first.adapter.addEventListener('defeat', () => finish(turns[1], turns[0]));
+
+  setUpGame(first);
+  setUpGame(second);
+  return finished;
+}
@@ -0,0 +1,106 @@
+/**
+ * Localization
+ *
+ * Looks up user-facing strings in message catalogs (src/locales/<locale>.json)
+ * for the locale chosen with --lang or detected from LC_ALL, LC_MESSAGES or
+ * LANG. A key missing from a catalog falls back to English, and a key missing
+ * from English is shown as-is, so a gap is visible rather than fatal.
+ *
+ * Messages interpolate `{name}` placeholders. A message that varies with a
+ * count is an object keyed by plural category (`one`, `few`, `other`, ... as
+ * Intl.PluralRules names them for the locale), chosen by `params.count`.
+ *
+ * @module swordfight-cli/i18n
+ *
+ * @example
+ * // en.json: "damage.points": { "one": "{count} damage", "other": "{count} damage" }
+ * // de.json: "damage.points": { "one": "{count} Schadenspunkt", "other": "{count} Schadenspunkte" }
+ * setLocale('de');
+ * t('damage.points', { count: 3 });
+ * // Returns: "3 Schadenspunkte"
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+// ES module path utilities
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/** @constant {string} DEFAULT_LOCALE - Locale every other catalog falls back to */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Message catalogs, keyed by locale
+ * Each is loaded with a literal path so the build can inline it
+ * @type {Object<string, Object<string, string|Object<string, string>>>}
+ */
+const catalogs = {
+  en: JSON.parse(readFileSync(join(__dirname, 'locales/en.json'), 'utf-8')),
+  es: JSON.parse(readFileSync(join(__dirname, 'locales/es.json'), 'utf-8')),
+  de: JSON.parse(readFileSync(join(__dirname, 'locales/de.json'), 'utf-8'))
+};
+
+/** @constant {string[]} SUPPORTED_LOCALES - Locales with a catalog */
+export const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+/** @type {string} Locale messages are looked up in */
+let locale = DEFAULT_LOCALE;
+
+/** @type {Intl.PluralRules} Plural rules for the current locale */
+let pluralRules = new Intl.PluralRules(locale);
+
+/**
+ * Picks the locale from the environment, the way POSIX tools do
+ * The first of LC_ALL, LC_MESSAGES and LANG that is set wins; a language
+ * without a catalog, or the C/POSIX locale, means English
+ * @param {Object<string, string>} env - Environment, usually process.env
+ * @returns {string} Supported locale
+ * @example
+ * detectLocale({ LANG: 'de_DE.UTF-8' });
+ * // Returns: "de"
+ */
+export function detectLocale(env) {
+  const value = env.LC_ALL || env.LC_MESSAGES || env.LANG || '';
+  const language = value.split(/[_.@-]/)[0].toLowerCase();
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Switches the locale for every later lookup
+ * @param {string} value - One of SUPPORTED_LOCALES
+ */
+export function setLocale(value) {
+  locale = value;
+  pluralRules = new Intl.PluralRules(locale);
+}
+
+/**
+ * Returns the current locale
+ * @returns {string} Current locale
+ */
+export function getLocale() {
+  return locale;
+}
+
+/**
+ * Translates a message
+ * @param {string} key - Catalog key, e.g. "round.title"
+ * @param {Object} [params] - Values for the message's placeholders; `count` also picks the plural form
+ * @returns {string} Translated message, or the key itself when no catalog has it
+ * @example
+ * t('round.title', { round: 3 });
+ * // Returns: "Round 3 Results"
+ */
+export function t(key, params = {}) {
+  let message = catalogs[locale][key] ?? catalogs[DEFAULT_LOCALE][key];
+  if (message === undefined) {
+    return key;
+  }
+  if (typeof message === 'object') {
+    message = message[pluralRules.select(params.count)] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    Object.hasOwn(params, name) ? String(params[name]) : placeholder);
+}
@@ -8,8 +8,10 @@
  * Features interactive character selection, turn-based combat, and dramatic
  * narrative flavor text.
  *
+ * This module is the entry point: it parses the command line and hands off
+ * to the matching command.
+ *
  * @module swordfight-cli
- * @requires readline - For interactive terminal input
  * @requires chalk - For terminal text styling and colors
  * @requires swordfight-engine - Core game logic and character data
  *
@@ -17,883 +19,395 @@
  * // Run the CLI
  * npx swordfight-cli
  *
+ * // Skip the menus and jump straight into a duel
+ * swordfight play --character human-fighter --opponent goblin --fast
+ *
+ * // Play headless from a move list
+ * swordfight play --character human-fighter --moves moves.txt
+ *
+ * // Play a homebrew character
+ * swordfight play --character-file pirate.json --character pirate
+ *
+ * // Narrate with a themed flavor pack
+ * swordfight play --flavor pirates
+ *
+ * // Play in German
+ * swordfight play --lang de
+ *
+ * // Plain text for a screen reader: numbered menus, no color or animation
+ * swordfight play --accessible
+ *
+ * // Look up how a character's moves play out
+ * swordfight codex --character goblin --search thrust
+ *
+ * // Two players, one keyboard
+ * swordfight hotseat
+ *
+ * // A tougher opponent
+ * swordfight play --difficulty nightmare
+ *
+ * // Face a bot of your own instead of the built-in opponent
+ * swordfight play --opponent-ai ./bot.js
+ *
+ * // Fight every character in turn, or enter a bracket
+ * swordfight gauntlet --recovery 25
+ * swordfight tournament
+ *
+ * // Measure balance between two characters, or across every pairing
+ * swordfight simulate --a human-fighter --b goblin --runs 10000
+ * swordfight simulate --all --format csv > balance.csv
+ *
+ * // Fight over the network: one player hosts, the other joins
+ * swordfight host --port 7777
+ * swordfight join 192.168.1.20:7777
+ *
+ * // Hurry the narration along from now on
+ * swordfight config --speed fast
+ *
+ * // Record a fight and watch it again at double speed
+ * swordfight play --record duel.json
+ * swordfight replay duel.json --speed 2
+ *
  * // Or run directly
- * node index.js
+ * node index.js --help
  */
 
-import readline from 'readline';
 import chalk from 'chalk';
-import { readFileSync } from 'fs';
+import { readFileSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { Game, CharacterLoader } from 'swordfight-engine';
+import { parseArgs, formatHelp, UsageError } from './args.js';
+import { listCharacters, listMoves, resolveCharacterSlug, checkFlavorPacks, showSettings } from './commands.js';
+import { loadReplay, playReplay, ReplayError } from './replay.js';
+import { MoveError } from './scripted.js';
+import { loadStats, displayStats } from './stats.js';
+import { StoreError } from './store.js';
+import { loadSavedGame, savePath } from './savegame.js';
+import { DEFAULT_PORT, NetworkError, parseAddress } from './relay.js';
+import { DEFAULT_STRATEGY, StrategyError, loadStrategy } from './strategies.js';
+import { DIFFICULTIES } from './difficulty.js';
+import { CharacterError, loadCustomCharacters } from './characters.js';
+import { FlavorError, useFlavor } from './flavor.js';
+import { SUPPORTED_LOCALES, detectLocale, setLocale, t } from './i18n.js';
+import { SPEEDS, detectAccessible, setAccessible, isAccessible, parseSpeed, icon } from './display.js';
+import { loadConfig, saveConfig } from './config.js';
 
 // ES module path utilities
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Constants
-/** @constant {number} TYPING_DELAY - Milliseconds between each line for dramatic effect */
-const TYPING_DELAY = 150;
-
-// Load narrative flavor text for atmospheric descriptions
-const flavorText = JSON.parse(
-  readFileSync(join(__dirname, 'flavor-text.json'), 'utf-8')
-);
-
-// ============================================================================
-// UTILITY FUNCTIONS
-// ============================================================================
-
 /**
- * Selects a random element from an array
- * @param {Array} array - The array to choose from
- * @returns {*} A random element from the array
+ * Reads the package version from package.json
+ * @returns {string} Semver version string
  */
-const randomChoice = (array) => array[Math.floor(Math.random() * array.length)];
-
-/**
- * Creates a promise that resolves after a specified delay
- * @param {number} ms - Milliseconds to delay
- * @returns {Promise<void>} Promise that resolves after the delay
- */
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));/**
- * Prints lines character by character with delays for dramatic effect
- * @param {string[]} lines - Array of text lines to print
- */
-async function printLineByLine(lines) {
-  for (const line of lines) {
-    console.log(line);
-    await delay(TYPING_DELAY);
-  }
+function readVersion() {
+  const pkg = JSON.parse(readFileSync(join(__dirname, '..', 'package.json'), 'utf-8'));
+  return pkg.version;
 }
 
 /**
- * Prints text character by character for maximum dramatic effect
- * @param {string} text - Text to print character by character
- * @param {number} charDelay - Delay in ms between each character (default: 30ms)
+ * Displays the welcome banner shown before a duel
  */
-async function printCharByChar(text, charDelay = 30) {
-  for (const char of text) {
-    process.stdout.write(char);
-    await delay(charDelay);
+function displayBanner() {
+  console.log();
+  if (isAccessible()) {
+    console.log(`Sword Fight: ${t('banner.tagline')}`);
+    console.log();
+    return;
   }
-  process.stdout.write('\n');
+  console.log(chalk.bold.yellow('╔════════════════════════════════════════════════════════════╗'));
+  console.log(chalk.bold.red('               ⚔️  SWORD FIGHT ⚔️'));
+  console.log(chalk.dim(`          ${t('banner.tagline')}`));
+  console.log(chalk.bold.yellow('╚════════════════════════════════════════════════════════════╝'));
+  console.log();
+  console.log(chalk.dim(`  ${t('banner.prepare')}`));
+  console.log();
 }
 
-// ============================================================================
-
-// ============================================================================
-// DISPLAY HELPER FUNCTIONS
-// ============================================================================
-
 /**
- * Formats a character's equipment status for display
- * Shows weapon and shield names with appropriate styling and icons
- * @param {Object} character - Character object with weapon and shield properties
- * @param {string|boolean} character.weapon - Weapon name or false if disarmed
- * @param {string|boolean} character.shield - Shield name or false if unshielded
- * @returns {string} Formatted equipment display string with colors and icons
- * @example
- * formatEquipment({ weapon: "Broadsword", shield: "Shield" })
- * // Returns: "⚔️  Broadsword │ 🛡️  Shield" (with colors)
+ * Works out the narration speed for a command
+ * --fast wins, then --speed, then the speed saved with `swordfight config`
+ * @param {Object} options - Parsed command-line options
+ * @returns {number} Speed multiplier for setSpeed()
+ * @throws {UsageError} When --speed or the saved speed is not a speed
  */
-function formatEquipment(character) {
-  const equipment = [];
-
-  if (character.weapon) {
-    const weaponName = typeof character.weapon === 'string' ? character.weapon : 'Armed';
-    equipment.push(chalk.yellow(`⚔️  ${weaponName}`));
-  } else {
-    equipment.push(chalk.dim('⚔️  Disarmed'));
+function resolveSpeed(options) {
+  if (options.fast) {
+    return Infinity;
   }
-
-  if (character.shield) {
-    const shieldName = typeof character.shield === 'string' ? character.shield : 'Shielded';
-    equipment.push(chalk.magenta(`🛡️  ${shieldName}`));
-  } else {
-    equipment.push(chalk.dim('🛡️  Unshielded'));
+  const value = options.speed ?? loadConfig().speed;
+  const speed = parseSpeed(value);
+  if (speed === null) {
+    throw new UsageError(options.speed === undefined
+      ? `The saved speed "${value}" is not valid; change it with "swordfight config --speed <speed>"`
+      : `--speed must be ${Object.keys(SPEEDS).join(', ')} or a positive multiplier, got "${value}"`);
   }
-
-  return equipment.join(' │ ');
+  return speed;
 }
 
 /**
- * Formats bonus descriptions from a bonus array into human-readable text
- * Converts bonus objects like {strong: "2"} into "+2 to strong"
- * @param {Object[]} bonusArray - Array of bonus objects with type-value pairs
- * @returns {string} Comma-separated list of bonus descriptions
- * @example
- * formatBonusDescriptions([{strong: "2"}, {high: "1"}])
- * // Returns: "+2 to strong, +1 to high"
+ * Command implementations, keyed by the names in args.js COMMANDS
+ * @type {Object<string, function(string[], Object): Promise<void>|void>}
  */
-function formatBonusDescriptions(bonusArray) {
-  return bonusArray
-    .map(bonusObj => {
-      const entries = Object.entries(bonusObj);
-      if (entries.length > 0) {
-        const [type, value] = entries[0];
-        return `+${value} to ${type}`;
+const commands = {
+  async play(_positionals, options) {
+    if (options.character) {
+      resolveCharacterSlug(options.character, '--character');
+    }
+    if (options.opponent) {
+      resolveCharacterSlug(options.opponent, '--opponent');
+      if (options.opponent === options.character && !options.mirror) {
+        throw new UsageError('--opponent is your own character; add --mirror for a mirror match');
       }
-      return null;
-    })
-    .filter(Boolean)
-    .join(', ');
-}
+    }
 
-/**
- * Formats damage breakdown for display in round results
- * Shows total damage with optional breakdown of components (base, modifier, bonus)
- * @param {Object} roundData - Round data containing score information
- * @param {number} roundData.totalScore - Total damage dealt
- * @param {number} roundData.score - Base damage from attack
- * @param {number} roundData.moveModifier - Damage modifier from move type
- * @param {number} roundData.bonus - Bonus damage from previous round effects
- * @returns {string} Formatted damage string with optional breakdown in dim text
- * @example
- * formatDamageBreakdown({totalScore: 5, score: 3, moveModifier: 1, bonus: 1})
- * // Returns: "5 damage (3 base, +1 move, +1 bonus)"
- */
-function formatDamageBreakdown(roundData) {
-  let result = `${roundData.totalScore} damage`;
+    // Without a terminal there is nobody to drive the menus, so read moves instead.
+    // JSON output is for programs, which answer on stdin rather than through menus
+    const headless = options.json || options.moves !== undefined || !process.stdin.isTTY;
+
+    if (options.difficulty !== undefined) {
+      if (!Object.hasOwn(DIFFICULTIES, options.difficulty)) {
+        throw new UsageError(`Unknown difficulty "${options.difficulty}" (choose from ${Object.keys(DIFFICULTIES).join(', ')})`);
+      }
+      if (options['opponent-ai'] !== undefined) {
+        throw new UsageError('--difficulty picks the opponent\'s strategy and cannot be combined with --opponent-ai');
+      }
+    }
 
-  if (roundData.bonus > 0 || roundData.moveModifier !== 0) {
-    const parts = [];
-    if (roundData.score) {
-      parts.push(`${roundData.score} base`);
+    let resume;
+    if (options.resume) {
+      const conflict = ['character', 'opponent', 'opponent-ai', 'difficulty', 'seed'].find(name => options[name] !== undefined);
+      if (conflict) {
+        throw new UsageError(`--resume continues a saved fight and cannot be combined with --${conflict}`);
+      }
+      if (headless) {
+        throw new UsageError('--resume needs an interactive terminal');
+      }
+      resume = loadSavedGame();
+      if (!resume) {
+        throw new StoreError(`No saved fight to resume (looked for ${savePath()})`);
+      }
     }
-    if (roundData.moveModifier) {
-      parts.push(`${roundData.moveModifier > 0 ? '+' : ''}${roundData.moveModifier} move`);
+
+    if (headless && !options.character) {
+      throw new UsageError('--character is required when playing headless (--moves, --json or piped input)');
     }
-    if (roundData.bonus > 0) {
-      parts.push(`+${roundData.bonus} bonus`);
+    if (options.moves && options.moves !== '-' && !existsSync(options.moves)) {
+      throw new UsageError(`Move list not found: ${options.moves}`);
     }
-    result += chalk.dim(` (${parts.join(', ')})`);
-  }
 
-  return result;
-}
+    const opponentAi = options['opponent-ai'] ? await loadStrategy(options['opponent-ai']) : undefined;
+    const speed = resolveSpeed(options);
 
-/**
- * Calculates the total bonus applicable to a specific move
- * Checks if move type or tag matches any bonus conditions
- * @param {Object} item - Move object to check for bonuses
- * @param {string} item.type - Move type (e.g., "strong", "high", "low")
- * @param {string} item.tag - Move tag (e.g., "Down Swing", "Thrust")
- * @param {Object[]|null} bonusInfo - Array of bonus objects to check against
- * @returns {number} Total bonus value for this move
- * @example
- * calculateMoveBonus({type: "strong", tag: "Down Swing"}, [{strong: "2"}])
- * // Returns: 2
- */
-function calculateMoveBonus(item, bonusInfo) {
-  if (!bonusInfo || bonusInfo.length === 0) {
-    return 0;
-  }
+    // Loaded lazily: the session's game module installs browser polyfills on import
+    const { playSession } = await import('./session.js');
+    if (!options.json) {
+      displayBanner();
+    }
+    await playSession({ ...options, headless, resume, opponentAi, speed });
+    // The menus leave stdin open, which would keep the process alive
+    process.exit(0);
+  },
+
+  async hotseat(_positionals, options) {
+    if (!process.stdin.isTTY) {
+      throw new UsageError('hotseat needs an interactive terminal');
+    }
 
-  let totalBonus = 0;
-  bonusInfo.forEach(bonusObj => {
-    for (const key in bonusObj) {
-      if (item.type === key || item.tag === key) {
-        totalBonus += +bonusObj[key];
-      }
+    const speed = resolveSpeed(options);
+    const { startHotSeat } = await import('./hotseat.js');
+    displayBanner();
+    await startHotSeat({ ...options, speed });
+    // The menus leave stdin open, which would keep the process alive
+    process.exit(0);
+  },
+
+  async gauntlet(_positionals, options) {
+    if (options.character) {
+      resolveCharacterSlug(options.character, '--character');
+    }
+    const recovery = options.recovery === undefined ? undefined : Number(options.recovery);
+    if (recovery !== undefined && !(recovery >= 0 && recovery <= 100)) {
+      throw new UsageError(`--recovery must be a percentage from 0 to 100, got "${options.recovery}"`);
+    }
+    if (!process.stdin.isTTY) {
+      throw new UsageError('gauntlet needs an interactive terminal');
     }
-  });
-  return totalBonus;
-}
 
-// ============================================================================
-// INTERACTIVE MENU SYSTEM
-// ============================================================================
+    const speed = resolveSpeed(options);
+    const { startGauntlet } = await import('./gauntlet.js');
+    displayBanner();
+    await startGauntlet({ ...options, recovery, speed });
+  },
 
-/**
- * Displays an interactive menu with cursor navigation
- * Users can navigate with arrow keys and select with Enter
- * Selected items show additional details (description, equipment)
- *
- * @param {Object[]} items - Array of menu items to display
- * @param {string} items[].name - Display name of the item
- * @param {string} [items[].tag] - Optional tag/label shown after name
- * @param {string} [items[].description] - Optional description shown when selected
- * @param {string|boolean} [items[].weapon] - Optional weapon info for characters
- * @param {string|boolean} [items[].shield] - Optional shield info for characters
- * @param {Object[]|null} bonusInfo - Optional bonus information for highlighting moves
- * @param {string} headerText - Header text displayed at top of menu
- * @returns {Promise<Object>} Promise that resolves with the selected item
- *
- * @example
- * const character = await selectFromMenu(
- *   [{name: "Warrior", tag: "❤️ 12 HP", weapon: "Sword"}],
- *   null,
- *   "Choose Your Champion"
- * );
- */
-function selectFromMenu(items, bonusInfo = null, headerText = 'Choose Your Action') {
-  return new Promise((resolve) => {
-    let selectedIndex = 0;
-    let isFirstRender = true;
-
-    // Setup readline for raw input to capture arrow keys
-    readline.emitKeypressEvents(process.stdin);
-    if (process.stdin.isTTY) {
-      process.stdin.setRawMode(true);
+  async tournament(_positionals, options) {
+    if (options.character) {
+      resolveCharacterSlug(options.character, '--character');
+    }
+    if (!process.stdin.isTTY) {
+      throw new UsageError('tournament needs an interactive terminal');
     }
 
-    /**
-     * Calculates total lines needed for menu display
-     * Used to determine cursor movement for re-rendering
-     * @returns {number} Total number of lines the menu will occupy
-     */
-    const calculateTotalLines = () => {
-      let lines = 6; // header box (3) + blank (1) + items container + help text (1)
-      let lastTag = null;
-
-      items.forEach((item) => {
-        // Add line for tag header when it changes
-        const tag = item.tag || '';
-        if (tag && tag !== lastTag) {
-          lines += 1;
-          lastTag = tag;
-        }
-
-        lines += 1; // Item name line
-        // Always show description and equipment for all items (card-style)
-        if (item.description) {
-          lines += 1;
-        }
-        if (item.weapon !== undefined || item.shield !== undefined) {
-          lines += 1;
-        }
-      });
-
-      return lines;
-    };
-
-    /**
-     * Renders the menu to the terminal
-     * Clears previous output and redraws with current selection
-     */
-    const render = () => {
-      const totalLines = calculateTotalLines();
-
-      if (!isFirstRender) {
-        process.stdout.write('\x1b[' + totalLines + 'A'); // Move cursor up
-        process.stdout.write('\x1b[0J'); // Clear from cursor down
-      }
-      isFirstRender = false;
+    const speed = resolveSpeed(options);
+    const { startTournament } = await import('./tournament.js');
+    displayBanner();
+    await startTournament({ ...options, speed });
+  },
 
-      console.log(chalk.bold.cyan('┌─────────────────────────────────────────────────────────┐'));
-      console.log(chalk.bold.white(`  ${headerText}`));
-      console.log(chalk.bold.cyan('└─────────────────────────────────────────────────────────┘'));
-      console.log();
-
-      // Group items by tag for better organization
-      let lastTag = null;
-      items.forEach((item, index) => {
-        const tag = item.tag || '';
-        const bonus = calculateMoveBonus(item, bonusInfo);
-        const bonusText = bonus > 0 ? chalk.yellow(` ⭐+${bonus}`) : '';
-
-        // Show tag header when it changes
-        if (tag && tag !== lastTag) {
-          console.log(chalk.cyan(`  ${tag}:`));
-          lastTag = tag;
-        }
-
-        if (index === selectedIndex) {
-          console.log(chalk.bold.yellow(`    ▶ ${item.name}${bonusText}`));
-        } else {
-          console.log(chalk.dim(`      ${item.name}${bonusText}`));
-        }
-
-        // Always show description and equipment for all items (card-style)
-        if (item.description) {
-          const indent = index === selectedIndex ? '        ' : '        ';
-          console.log(chalk.dim(`${indent}${item.description}`));
-        }
-
-        if (item.weapon !== undefined || item.shield !== undefined) {
-          const equipment = [];
-          if (item.weapon) {
-            const weaponName = typeof item.weapon === 'string' ? item.weapon : 'Weapon';
-            equipment.push(chalk.yellowBright(`⚔️  ${weaponName}`));
-          }
-          if (item.shield) {
-            const shieldName = typeof item.shield === 'string' ? item.shield : 'Shield';
-            equipment.push(chalk.magenta(`🛡️  ${shieldName}`));
-          }
-          if (equipment.length > 0) {
-            const indent = index === selectedIndex ? '        ' : '        ';
-            console.log(chalk.dim(`${indent}${equipment.join(' │ ')}`));
-          }
-        }
-      });
+  async simulate(_positionals, options) {
+    const matrix = Boolean(options.all);
+    if (matrix && (options.a || options.b)) {
+      throw new UsageError('--all simulates every pairing and cannot be combined with --a or --b');
+    }
+    if (!matrix && !(options.a && options.b)) {
+      throw new UsageError('Name both characters with --a and --b, or use --all for every pairing');
+    }
+    if (!matrix) {
+      resolveCharacterSlug(options.a, '--a');
+      resolveCharacterSlug(options.b, '--b');
+    }
 
-      console.log();
-      console.log(chalk.dim('  ↑/↓: Navigate | Enter: Select'));
-    };
-
-    render();
-
-    /**
-     * Handles keypress events for menu navigation
-     * @param {string} str - The key string
-     * @param {Object} key - Key object with name and ctrl properties
-     */
-    const onKeypress = (str, key) => {
-      if (key.name === 'up') {
-        selectedIndex = Math.max(0, selectedIndex - 1);
-        render();
-      } else if (key.name === 'down') {
-        selectedIndex = Math.min(items.length - 1, selectedIndex + 1);
-        render();
-      } else if (key.name === 'return') {
-        process.stdin.removeListener('keypress', onKeypress);
-        if (process.stdin.isTTY) {
-          process.stdin.setRawMode(false);
-        }
-        console.log();
-        resolve(items[selectedIndex]);
-      } else if (key.ctrl && key.name === 'c') {
-        process.exit();
-      }
-    };
+    const strategyA = await loadStrategy(options['strategy-a'] ?? DEFAULT_STRATEGY);
+    const strategyB = await loadStrategy(options['strategy-b'] ?? DEFAULT_STRATEGY);
 
-    process.stdin.on('keypress', onKeypress);
-  });
-}
+    // Loaded lazily: the simulation module installs browser polyfills on import
+    const { runSimulation, allPairs, DEFAULT_RUNS, FORMATS } = await import('./simulate.js');
+    const runs = options.runs === undefined ? DEFAULT_RUNS : Number(options.runs);
+    if (!Number.isInteger(runs) || runs < 1) {
+      throw new UsageError(`--runs must be a positive whole number, got "${options.runs}"`);
+    }
+    const format = options.format ?? 'table';
+    if (!FORMATS.includes(format)) {
+      throw new UsageError(`--format must be one of ${FORMATS.join(', ')}, got "${format}"`);
+    }
 
-// ============================================================================
-// POLYFILLS FOR BROWSER APIS
-// ============================================================================
+    await runSimulation({
+      pairs: matrix ? allPairs() : [[options.a, options.b]],
+      matrix,
+      runs,
+      strategyA,
+      strategyB,
+      format,
+      seed: options.seed
+    });
+  },
 
-/**
- * Create readline interface for user input
- */
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+  async host(_positionals, options) {
+    if (options.character) {
+      resolveCharacterSlug(options.character, '--character');
+    }
+    const port = options.port === undefined ? DEFAULT_PORT : Number(options.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new UsageError(`--port must be a number from 1 to 65535, got "${options.port}"`);
+    }
+    if (!process.stdin.isTTY) {
+      throw new UsageError('host needs an interactive terminal');
+    }
 
-/**
- * Adapter class to polyfill browser's document.addEventListener
- * The game engine expects browser APIs, so we simulate them in Node.js
- */
-class CLIAdapter {
-  constructor() {
-    this.eventHandlers = new Map();
-  }
+    const speed = resolveSpeed(options);
+    const { hostGame } = await import('./netplay.js');
+    displayBanner();
+    await hostGame({ ...options, port, speed });
+  },
 
-  /**
-   * Adds an event listener (mimics DOM addEventListener)
-   * @param {string} event - Event name to listen for
-   * @param {Function} handler - Handler function to call when event fires
-   */
-  addEventListener(event, handler) {
-    if (!this.eventHandlers.has(event)) {
-      this.eventHandlers.set(event, []);
+  async join([address], options) {
+    if (options.character) {
+      resolveCharacterSlug(options.character, '--character');
+    }
+    const target = parseAddress(address);
+    if (!target) {
+      throw new UsageError(`Expected an address like 192.168.1.20:${DEFAULT_PORT}, got "${address}"`);
+    }
+    if (!process.stdin.isTTY) {
+      throw new UsageError('join needs an interactive terminal');
     }
-    this.eventHandlers.get(event).push(handler);
-  }
 
-  /**
-   * Dispatches an event to all registered listeners (mimics DOM dispatchEvent)
-   * @param {Object} event - Event object with type property
-   * @param {string} event.type - Type of event to dispatch
-   */
-  dispatchEvent(event) {
-    const handlers = this.eventHandlers.get(event.type) || [];
-    handlers.forEach(handler => handler(event));
-  }
-}
+    const speed = resolveSpeed(options);
+    const { startNetworkGame } = await import('./netplay.js');
+    displayBanner();
+    await startNetworkGame({ ...options, ...target, speed });
+  },
 
-// Setup global polyfills for the game engine
-const adapter = new CLIAdapter();
+  characters() {
+    listCharacters();
+  },
 
-/** @global document - Polyfilled document object for game events */
-global.document = adapter;
+  moves([slug]) {
+    listMoves(slug);
+  },
 
-/** @global localStorage - Polyfilled localStorage for game state persistence */
-global.localStorage = {
-  storage: new Map(),
-  getItem(key) { return this.storage.get(key) || null; },
-  setItem(key, value) { this.storage.set(key, value); }
-};
+  async codex(_positionals, options) {
+    if (options.character) {
+      resolveCharacterSlug(options.character, '--character');
+    }
 
-/** @global window - Minimal window object for game compatibility */
-global.window = { logging: false };
+    const { browseCodex, printCodex } = await import('./codex.js');
+    if (process.stdin.isTTY && process.stdout.isTTY) {
+      await browseCodex(options);
+      // The menus leave stdin open, which would keep the process alive
+      process.exit(0);
+    } else {
+      printCodex(options);
+    }
+  },
 
-// Suppress debug output from the game engine
-const originalConsoleLog = console.log;
-const suppressedPatterns = [
-  /^Applied \d+ damage to .+\. New health: \d+$/,
-  /^.+ takes \d+ damage$/,
-  /^.+ health: \d+$/
-];
+  flavors(_positionals, options) {
+    checkFlavorPacks(options.flavor);
+  },
 
-console.log = function(...args) {
-  const message = args.join(' ');
-  const shouldSuppress = suppressedPatterns.some(pattern => pattern.test(message));
+  stats() {
+    displayStats(loadStats());
+  },
 
-  if (!shouldSuppress) {
-    originalConsoleLog.apply(console, args);
-  }
-};
+  config(_positionals, options) {
+    if (options.speed !== undefined) {
+      resolveSpeed(options);
+      saveConfig({ speed: options.speed });
+      console.log(chalk.green(`${icon('✓ ')}${t('commands.speedSet', { speed: options.speed })}`));
+      console.log();
+    }
+    showSettings();
+  },
 
-/** @global CustomEvent - Polyfilled CustomEvent constructor */
-global.CustomEvent = class CustomEvent {
-  constructor(type, options = {}) {
-    this.type = type;
-    this.detail = options.detail;
+  async replay([file], options) {
+    await playReplay(loadReplay(file), { speed: resolveSpeed(options), step: options.step });
   }
 };
 
 // ============================================================================
-// GAME STATE
+// CLI STARTUP
 // ============================================================================
 
-/** @type {Game|null} Current game instance */
-let game = null;
-
-/** @type {Object[]} Array of available moves for current turn */
-let currentMoves = [];
-
-/** @type {Object[]} Bonus modifiers active for current turn */
-let currentBonus = [];
-
-// ============================================================================
-// DISPLAY FUNCTIONS
-// ============================================================================
+try {
+  const { command, positionals, options } = parseArgs(process.argv.slice(2));
+  setAccessible(options.accessible || detectAccessible(process.env));
 
-/**
- * Displays health bars and current status for both combatants
- * Shows names, health bars, HP values, and equipment status
- * @returns {Promise<void>} Promise that resolves when display is complete
- */
-async function displayHealthBars() {
-  const lines = [];
-  const { myCharacter, opponentsCharacter } = game;
-
-  /**
-   * Creates a visual health bar with colored blocks
-   * @param {number} current - Current health points
-   * @param {number} max - Maximum health points
-   * @returns {string} Colored health bar string
-   */
-  const createHealthBar = (current, max) => {
-    const filled = Math.max(0, Math.floor((current / max) * 20));
-    const bar = '█'.repeat(filled) + '░'.repeat(20 - filled);
-    return current > max * 0.3 ? chalk.green(bar) : chalk.red(bar);
-  };
-
-  lines.push(chalk.bold.cyan('┌─────────────────────────────────────────────────────────┐'));
-  lines.push(chalk.bold.white('  Combatants'));
-  lines.push(chalk.bold.cyan('└─────────────────────────────────────────────────────────┘'));
-  lines.push('');
-
-  // Player
-  lines.push(chalk.bold.green(`⚔️  ${myCharacter.name} (You)`));
-  lines.push('    ' + createHealthBar(myCharacter.health, myCharacter.startingHealth) +
-    chalk.white(` ${myCharacter.health}/${myCharacter.startingHealth} HP`));
-  lines.push(chalk.dim(`    You: ${formatEquipment(myCharacter)}`));
-  lines.push('');
-
-  // Opponent
-  lines.push(chalk.bold.red(`🗡️  ${opponentsCharacter.name}`));
-  lines.push('    ' + createHealthBar(opponentsCharacter.health, opponentsCharacter.startingHealth) +
-    chalk.white(` ${opponentsCharacter.health}/${opponentsCharacter.startingHealth} HP`));
-  lines.push(chalk.dim(`    Foe: ${formatEquipment(opponentsCharacter)}`));
-  lines.push('');
-
-  await printLineByLine(lines);
-}
-
-/**
- * Displays the results of a combat round
- * Shows moves, damage, bonuses, restrictions, and special effects
- * with dramatic flavor text based on the outcome
- *
- * @param {Object} myRoundData - Player's round results
- * @param {Object} opponentsRoundData - Opponent's round results
- * @returns {Promise<void>} Promise that resolves when display is complete
- */
-async function displayRoundResult(myRoundData, opponentsRoundData) {
-  let lines = [];
-
-  lines.push(chalk.bold.magenta(`\n═══ Round ${game.roundNumber} Results ═══\n`));
-
-  // Flavor text based on round outcome
-  const playerHit = myRoundData.totalScore > 0;
-  const opponentHit = opponentsRoundData.totalScore > 0;
-  const playerRestricted = opponentsRoundData.result.restrict?.length > 0;
-  const opponentRestricted = myRoundData.result.restrict?.length > 0;
-  const anyRestricted = playerRestricted || opponentRestricted;
-
-  let flavorCategory;
-  if (!playerHit && !opponentHit) {
-    flavorCategory = anyRestricted ? 'bothMissRestricted' : 'bothMiss';
-  } else if (!playerHit && opponentHit) {
-    flavorCategory = anyRestricted ? 'playerMissOpponentHitsRestricted' : 'playerMissOpponentHits';
-  } else if (playerHit && !opponentHit) {
-    flavorCategory = anyRestricted ? 'playerHitsOpponentMissRestricted' : 'playerHitsOpponentMiss';
+  if (options.version) {
+    console.log(readVersion());
+  } else if (options.help) {
+    console.log(formatHelp(process.argv.slice(2).includes(command) ? command : undefined));
   } else {
-    flavorCategory = anyRestricted ? 'bothHitRestricted' : 'bothHit';
-  }
-
-  lines.push(chalk.italic.dim(randomChoice(flavorText.roundResults[flavorCategory])));
-  lines.push('');
-
-  // Print initial lines
-  await printLineByLine(lines);
-
-  // Dramatic move and range description (character by character)
-  const moveFlavorParts = [];
-
-  // Format player's move with tag if present
-  const playerMoveText = myRoundData.myMove.tag
-    ? `${chalk.dim(myRoundData.myMove.tag.toLowerCase() + ':')} ${chalk.cyan(myRoundData.myMove.name.toLowerCase())}`
-    : chalk.cyan(myRoundData.myMove.name.toLowerCase());
-  moveFlavorParts.push(`You ${playerMoveText}`);
-
-  // Format opponent's move with tag if present
-  const opponentMoveText = opponentsRoundData.myMove.tag
-    ? `${chalk.dim(opponentsRoundData.myMove.tag.toLowerCase() + ':')} ${chalk.red(opponentsRoundData.myMove.name.toLowerCase())}`
-    : chalk.red(opponentsRoundData.myMove.name.toLowerCase());
-  moveFlavorParts.push(`they ${opponentMoveText}`);
-
-  const moveFlavor = moveFlavorParts.join(', ');
-
-  await printCharByChar(chalk.dim(moveFlavor + '.'));
-  await delay(300);
-
-  const rangeFlavor = randomChoice(flavorText.moveDescriptions[myRoundData.result.range] || []);
-  if (rangeFlavor) {
-    await printCharByChar(chalk.italic.dim(rangeFlavor));
-    await delay(300);
-  }
-
-  // Results and damage narrative
-  const resultParts = [];
-
-  // Your result
-  if (opponentsRoundData.result.name) {
-    resultParts.push(`You find yourself ${chalk.cyan(opponentsRoundData.result.name.toLowerCase())}`);
-  }
-
-  // Opponent's result
-  if (myRoundData.result.name) {
-    if (resultParts.length > 0) {
-      resultParts.push(`your foe ${chalk.red(myRoundData.result.name.toLowerCase())}`);
-    } else {
-      resultParts.push(`Your opponent ${chalk.red(myRoundData.result.name.toLowerCase())}`);
+    // Homebrew characters have to be registered before anything lists or looks up characters
+    loadCustomCharacters(options['character-file']).forEach(warning => console.error(chalk.yellow(warning)));
+    if (options.lang !== undefined && !SUPPORTED_LOCALES.includes(options.lang)) {
+      throw new UsageError(`Unsupported language "${options.lang}" (choose from ${SUPPORTED_LOCALES.join(', ')})`);
     }
+    setLocale(options.lang ?? detectLocale(process.env));
+    // `flavors` only checks the pack it is given
+    useFlavor(command === 'flavors' ? undefined : options.flavor);
+    await commands[command](positionals, options);
   }
-
-  if (resultParts.length > 0) {
-    await printCharByChar(chalk.dim(resultParts.join(', ') + '.'));
-    await delay(300);
-  }
-
-  // Damage narrative
-  const damageParts = [];
-
-  const playerDealtDamage = myRoundData.totalScore > 0 && myRoundData.score !== '';
-  const opponentDealtDamage = opponentsRoundData.totalScore > 0 && opponentsRoundData.score !== '';
-
-  if (opponentDealtDamage && playerDealtDamage) {
-    // Both hit
-    damageParts.push(`${chalk.red(`You take ${opponentsRoundData.totalScore} damage`)}`);
-    damageParts.push(`${chalk.green(`deal ${myRoundData.totalScore} in return`)}`);
-  } else if (opponentDealtDamage) {
-    // Only opponent hit
-    damageParts.push(`${chalk.red(`You take ${opponentsRoundData.totalScore} damage`)}`);
-  } else if (playerDealtDamage) {
-    // Only player hit
-    damageParts.push(`${chalk.green(`You deal ${myRoundData.totalScore} damage`)}`);
-  }
-
-  if (damageParts.length > 0) {
-    await printCharByChar(chalk.dim(damageParts.join(', ') + '.'));
-    await delay(300);
-  }
-
-  console.log();
-
-  // Reset lines array for combat results
-  lines = [];
-
-  // Player outcome
-  lines.push(chalk.cyan('➤ You:') + (opponentsRoundData.result.name ? ' ' + chalk.bold(opponentsRoundData.result.name) : ''));
-
-  if (opponentsRoundData.totalScore > 0 && opponentsRoundData.score !== '') {
-    lines.push(chalk.red(`  💔 Took ${opponentsRoundData.totalScore} damage from opponent`));
-  }
-
-  if (myRoundData.totalScore > 0 && myRoundData.score !== '') {
-    lines.push(chalk.green(`  💥 Dealt ${formatDamageBreakdown(myRoundData)} to opponent`));
-  }
-
-  // Show bonuses the player earned for next round
-  if (opponentsRoundData.nextRoundBonus?.length > 0) {
-    lines.push(chalk.yellow(`  ⭐ Next round: ${formatBonusDescriptions(opponentsRoundData.nextRoundBonus)}`));
-  }
-
-  if (opponentsRoundData.result.restrict?.length > 0) {
-    lines.push(chalk.gray(`  ⚠️  Restrictions: ${opponentsRoundData.result.restrict.join(', ')}`));
-  }
-
-  lines.push('');
-
-  // Opponent outcome
-  lines.push(chalk.red('➤ Opponent:') + (myRoundData.result.name ? ' ' + chalk.bold(myRoundData.result.name) : ''));
-
-  if (myRoundData.totalScore > 0 && myRoundData.score !== '') {
-    lines.push(chalk.red(`  💔 Took ${myRoundData.totalScore} damage from you`));
-  }
-
-  if (opponentsRoundData.totalScore > 0 && opponentsRoundData.score !== '') {
-    lines.push(chalk.green(`  💥 Dealt ${formatDamageBreakdown(opponentsRoundData)} to you`));
-  }
-
-  // Show bonuses the opponent earned for next round
-  if (myRoundData.nextRoundBonus?.length > 0) {
-    lines.push(chalk.yellow(`  ⭐ Next round: ${formatBonusDescriptions(myRoundData.nextRoundBonus)}`));
-  }
-
-  if (myRoundData.result.restrict?.length > 0) {
-    lines.push(chalk.gray(`  ⚠️  Restrictions: ${myRoundData.result.restrict.join(', ')}`));
-  }
-
-  // Special effects
-  if (myRoundData.result.weaponDislodged) {
-    lines.push(chalk.yellow('⚔️  Opponent\'s weapon was dislodged!'));
-  }
-  if (opponentsRoundData.result.weaponDislodged) {
-    lines.push(chalk.yellow('⚔️  Your weapon was dislodged!'));
-  }
-  if (myRoundData.result.shieldDestroyed) {
-    lines.push(chalk.yellow('    🛡️  Their shield splinters apart!'));
-  }
-  if (opponentsRoundData.result.shieldDestroyed) {
-    lines.push(chalk.yellow('    🛡️  Your shield shatters under the blow!'));
+} catch (error) {
+  if (error instanceof UsageError) {
+    console.error(chalk.red(error.message));
+    console.error(chalk.dim('Run "swordfight --help" for usage.'));
+    process.exit(1);
   }
-
-  lines.push('');
-
-  await printLineByLine(lines);
-}
-
-// ============================================================================
-// GAME FLOW FUNCTIONS
-// ============================================================================
-
-/**
- * Prompts player to select their character
- * Displays all available characters with their stats and equipment
- * @returns {Promise<string>} Promise that resolves with selected character slug
- */
-async function selectCharacter() {
-  const menuItems = CharacterLoader.getAvailableCharacters().map(slug => {
-    const char = CharacterLoader.getCharacter(slug);
-    return {
-      name: `${char.name} [❤️ ${char.health} HP]`,
-      slug: slug,
-      description: char.description || 'A fierce warrior ready for battle',
-      weapon: char.weapon,
-      shield: char.shield
-    };
-  });
-
-  const selected = await selectFromMenu(menuItems, null, 'Choose Your Champion');
-  console.log();
-  return selected.slug;
-}
-
-/**
- * Prompts player to select their next move
- * Shows health bars, then displays filtered moves with bonuses
- * @returns {Promise<void>} Promise that resolves when move is selected
- */
-async function promptForMove() {
-  await displayHealthBars();
-  console.log();
-  console.log(chalk.dim('Press Enter to choose your move...'));
-
-  await new Promise((resolve) => {
-    rl.question('', () => resolve());
-  });
-
-  console.log();
-  const selectedMove = await selectFromMenu(currentMoves, currentBonus);
-
-  adapter.dispatchEvent(new CustomEvent('inputMove', {
-    detail: { move: selectedMove.id }
-  }));
-}
-
-/**
- * Main game initialization and loop
- * Sets up character selection, opponent, narrative intro, game events,
- * and starts the turn-based combat loop
- * @returns {Promise<void>} Promise that resolves when game ends
- */
-async function startGame() {
-  try {
-    const playerCharacter = await selectCharacter();
-
-    // Random opponent (exclude player's character)
-    const availableCharacterSlugs = CharacterLoader.getAvailableCharacters()
-      .filter(slug => slug !== playerCharacter.slug);
-    const opponentSlug = availableCharacterSlugs[Math.floor(Math.random() * availableCharacterSlugs.length)];
-    const opponentData = CharacterLoader.getCharacter(opponentSlug);
-
-    // Atmospheric introduction
-    console.log(chalk.green('\n✓ Preparing for battle...\n'));
-    await delay(800);
-
-    await printCharByChar(chalk.dim(randomChoice(flavorText.locations)));
-    await delay(400);
-    console.log();
-    await printCharByChar(chalk.yellow(randomChoice(flavorText.introductions[opponentSlug] || flavorText.introductions['human-fighter'])));
-    await delay(400);
-    await printCharByChar(chalk.bold.white(`\n${opponentData.name} challenges you to single combat!\n`));
-    await delay(400);
-    await printCharByChar(chalk.cyan(randomChoice(flavorText.ready)));
-    await delay(600);
-    console.log();
-
-    // Initialize game
-    game = new Game('computer', playerCharacter, opponentSlug);
-
-    // Clear localStorage after game creation to ensure fresh game each time
-    // This prevents the engine from loading saved game state
-    global.localStorage.storage.clear();
-
-    // Event handlers for game state changes
-    let isProcessingRound = false;
-    let gameEnded = false;
-
-    /**
-     * Handler for 'round' event - processes combat round results
-     * Updates bonus state and displays round results
-     */
-    adapter.addEventListener('round', async(e) => {
-      const { myRoundData, opponentsRoundData } = e.detail;
-      isProcessingRound = true;
-      // Store bonuses for next round
-      currentBonus = opponentsRoundData.nextRoundBonus || [];
-
-      await displayRoundResult(myRoundData, opponentsRoundData);
-      await delay(500);
-      isProcessingRound = false;
-    });
-
-    /**
-     * Handler for 'setup' event - prepares for next turn
-     * Waits for round processing to complete, then prompts for move
-     */
-    adapter.addEventListener('setup', async() => {
-      while (isProcessingRound) {
-        await delay(100);
-      }
-      if (gameEnded) {
-        return;
-      }
-      // game.Moves is the array of filtered moves based on current game state
-      currentMoves = game.Moves;
-      await promptForMove();
-    });
-
-    /**
-     * Handler for 'victory' event - displays victory screen and exits
-     */
-    adapter.addEventListener('victory', async() => {
-      gameEnded = true;
-      while (isProcessingRound) {
-        await delay(100);
-      }
-      console.log();
-      await delay(500);
-      await printCharByChar(chalk.green(randomChoice(flavorText.victory)));
-      await delay(800);
-      console.log();
-      console.log(chalk.bold.green('╔════════════════════════════════════════════════════════════╗'));
-      console.log(chalk.bold.yellow('                    ⚔️  VICTORY! ⚔️                          '));
-      console.log(chalk.bold.green('╚════════════════════════════════════════════════════════════╝'));
-      console.log();
-      console.log(chalk.white(`  The ${game.opponentsCharacter.name} falls before you!`));
-      console.log(chalk.dim('  Your legend grows...'));
-      console.log();
-      rl.close();
-      process.exit(0);
-    });
-
-    /**
-     * Handler for 'defeat' event - displays defeat screen and exits
-     */
-    adapter.addEventListener('defeat', async() => {
-      gameEnded = true;
-      while (isProcessingRound) {
-        await delay(100);
-      }
-      console.log();
-      await delay(500);
-      await printCharByChar(chalk.red(randomChoice(flavorText.defeat)));
-      await delay(800);
-      console.log();
-      console.log(chalk.bold.red('╔════════════════════════════════════════════════════════════╗'));
-      console.log(chalk.bold.white('                    💀 DEFEAT 💀                            '));
-      console.log(chalk.bold.red('╚════════════════════════════════════════════════════════════╝'));
-      console.log();
-      console.log(chalk.white(`  ${game.opponentsCharacter.name} has bested you in combat.`));
-      console.log(chalk.dim('  You have fallen...'));
-      console.log();
-      rl.close();
-      process.exit(0);
-    });
-
-    // Brief delay before starting first turn
-    await delay(500);
-    game.setUp();
-
-  } catch (error) {
-    console.error(chalk.red('Error starting game:'), error);
-    rl.close();
+  if (error instanceof ReplayError || error instanceof StoreError || error instanceof NetworkError ||
+    error instanceof StrategyError || error instanceof CharacterError || error instanceof FlavorError ||
+    error instanceof MoveError) {
+    console.error(chalk.red(error.message));
     process.exit(1);
   }
+  throw error;
 }
-
-// ============================================================================
-// SIGNAL HANDLERS
-// ============================================================================
-
-/**
- * Handle Ctrl+C (SIGINT) gracefully
- * Displays a farewell message and exits cleanly
- */
-process.on('SIGINT', () => {
-  console.log();
-  console.log(chalk.yellow('═══════════════════════════════════════════════════════════'));
-  console.log(chalk.dim('  You flee from the battle...'));
-  console.log(chalk.yellow('═══════════════════════════════════════════════════════════'));
-  console.log();
-  rl.close();
-  process.exit(0);
-});
-
-// ============================================================================
-// GAME STARTUP
-// ============================================================================
-
-// Display welcome banner
-console.log();
-console.log(chalk.bold.yellow('╔════════════════════════════════════════════════════════════╗'));
-console.log(chalk.bold.red('               ⚔️  SWORD FIGHT ⚔️'));
-console.log(chalk.dim('          A Tale of Blades and Bravery'));
-console.log(chalk.bold.yellow('╚════════════════════════════════════════════════════════════╝'));
-console.log();
-console.log(chalk.dim('  Prepare yourself for mortal combat...'));
-console.log();
-
-// Start the game
-startGame();
@@ -0,0 +1,94 @@
+/**
+ * Machine-readable event output
+ *
+ * In --json mode every engine event is written to stdout as one JSON object
+ * per line (NDJSON) instead of narrated. Objects carry an `event` field
+ * (`setup`, `round`, `victory` or `defeat`) plus a snapshot of both
+ * combatants, so consumers never need to track state themselves.
+ *
+ * @module swordfight-cli/json-output
+ *
+ * @example
+ * // swordfight play --json -c human-fighter -o goblin < moves.txt
+ * {"event":"setup","round":1,"player":{...},"opponent":{...},"moves":[...],"bonus":[]}
+ * {"event":"round","round":1,"myRoundData":{...},"opponentsRoundData":{...},...}
+ * {"event":"victory","round":7,"player":{...},"opponent":{...}}
+ */
+
+/**
+ * Writes one event as a single NDJSON line
+ * Bypasses console.log so the engine's log filtering never touches it
+ * @param {string} type - Event name
+ * @param {Object} payload - Event fields
+ */
+export function emitEvent(type, payload) {
+  process.stdout.write(JSON.stringify({ event: type, ...payload }) + '\n');
+}
+
+/**
+ * Picks the public, display-relevant fields of an engine character
+ * @param {Object} character - game.myCharacter or game.opponentsCharacter
+ * @returns {{name: string, health: number, startingHealth: number, weapon: string|boolean, shield: string|boolean}}
+ */
+export function snapshotCharacter(character) {
+  return {
+    name: character.name,
+    health: character.health,
+    startingHealth: character.startingHealth,
+    weapon: character.weapon,
+    shield: character.shield
+  };
+}
+
+/**
+ * Reduces a move to the fields a bot needs to choose it
+ * @param {Object} move - Move object from game.Moves
+ * @returns {{id: string, name: string, tag: string, type: string}}
+ */
+export function snapshotMove(move) {
+  return {
+    id: move.id,
+    name: move.name,
+    tag: move.tag,
+    type: move.type
+  };
+}
+
+/**
+ * Builds the payload shared by every event: round number and both combatants
+ * @param {Game} game - Current game instance
+ * @returns {Object} Common event fields
+ */
+export function gameSnapshot(game) {
+  return {
+    round: game.roundNumber,
+    player: snapshotCharacter(game.myCharacter),
+    opponent: snapshotCharacter(game.opponentsCharacter)
+  };
+}
+
+/**
+ * Builds the payload for a `round` event
+ * The engine's round data is passed through untouched; `bonus` and
+ * `restrictions` are lifted out of it from each side's point of view
+ *
+ * @param {Game} game - Current game instance
+ * @param {Object} myRoundData - Player's round results from the engine
+ * @param {Object} opponentsRoundData - Opponent's round results from the engine
+ * @returns {Object} Round event fields
+ */
+export function roundSnapshot(game, myRoundData, opponentsRoundData) {
+  return {
+    ...gameSnapshot(game),
+    myRoundData,
+    opponentsRoundData,
+    bonus: {
+      player: opponentsRoundData.nextRoundBonus || [],
+      opponent: myRoundData.nextRoundBonus || []
+    },
+    restrictions: {
+      player: opponentsRoundData.result.restrict || [],
+      opponent: myRoundData.result.restrict || []
+    }
+  };
+}
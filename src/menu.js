@@ -0,0 +1,537 @@
+/**
+ * Interactive menu
+ *
+ * Arrow-key driven selection menu used for characters and moves, plus
+ * single-key prompts. In accessible mode menus are numbered lists answered
+ * by typing a number, and prompts read a whole line, so nothing is redrawn.
+ *
+ * @module swordfight-cli/menu
+ * @requires readline - For raw keypress input
+ * @requires chalk - For terminal text styling and colors
+ */
+
+import readline from 'readline';
+import chalk from 'chalk';
+import { CharacterLoader } from 'swordfight-engine';
+import { calculateMoveBonus, icon, isAccessible, textWidth } from './display.js';
+import { showCharacterInfo } from './codex.js';
+import { t } from './i18n.js';
+
+// ============================================================================
+// INTERACTIVE MENU SYSTEM
+// ============================================================================
+
+/**
+ * Checks whether a menu item matches a filter
+ * @param {Object} item - Menu item
+ * @param {string} query - Typed filter
+ * @returns {boolean} True when the name, tag or description contains the filter
+ */
+const matchesQuery = (item, query) => [item.name, item.tag, item.description]
+  .some(field => typeof field === 'string' && field.toLowerCase().includes(query.toLowerCase()));
+
+/**
+ * Displays an interactive menu with cursor navigation
+ * Users can navigate with arrow keys and select with Enter
+ * Selected items show additional details (description, equipment)
+ *
+ * @param {Object[]} items - Array of menu items to display
+ * @param {string} items[].name - Display name of the item
+ * @param {string} [items[].tag] - Optional tag/label shown after name
+ * @param {string} [items[].description] - Optional description shown when selected
+ * @param {string|boolean} [items[].weapon] - Optional weapon info for characters
+ * @param {string|boolean} [items[].shield] - Optional shield info for characters
+ * @param {Object[]|null} bonusInfo - Optional bonus information for highlighting moves
+ * @param {string} headerText - Header text displayed at top of menu
+ * @param {Object} [options] - Extra menu behavior
+ * @param {function(Object): string[]} [options.coach] - Hint lines to show under the highlighted item
+ * @param {boolean} [options.filter] - Let typing narrow the items by name, tag or description
+ * @param {string} [options.query] - Filter to start with
+ * @param {boolean} [options.cancelable] - Let Escape leave the menu, resolving with null
+ * @param {function(Object): Promise<void>} [options.onInfo] - Shows details for the highlighted
+ *   item when `i` is pressed; the menu is redrawn once it resolves
+ * @param {function(): Promise<void>} [options.onHistory] - Shows the round history when `h`
+ *   is pressed; the menu is redrawn once it resolves
+ * @returns {Promise<Object|null>} Promise that resolves with the selected item
+ *
+ * @example
+ * const character = await selectFromMenu(
+ *   [{name: "Warrior", tag: "❤️ 12 HP", weapon: "Sword"}],
+ *   null,
+ *   "Choose Your Champion"
+ * );
+ */
+export function selectFromMenu(items, bonusInfo = null, headerText = t('menu.chooseAction'), options = {}) {
+  if (isAccessible()) {
+    return selectByNumber(items, bonusInfo, headerText, options);
+  }
+
+  return new Promise((resolve) => {
+    let selectedIndex = 0;
+    let isFirstRender = true;
+    let renderedRows = 0;
+    let query = options.query || '';
+    let visible = items;
+
+    /**
+     * Narrows the visible items to those matching the typed filter
+     */
+    const applyFilter = () => {
+      visible = items.filter(item => matchesQuery(item, query));
+      selectedIndex = Math.min(selectedIndex, Math.max(0, visible.length - 1));
+    };
+    if (options.filter && query) {
+      applyFilter();
+    }
+
+    // Setup readline for raw input to capture arrow keys. The prompt before
+    // this one may have paused stdin, which would leave the menu deaf
+    readline.emitKeypressEvents(process.stdin);
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(true);
+    }
+    process.stdin.resume();
+
+    /**
+     * Counts the terminal rows a line takes up once long lines wrap
+     * @param {string} line - Line as printed
+     * @returns {number} Rows, at least one
+     */
+    const countRows = (line) => {
+      const columns = process.stdout.columns || 80;
+      return Math.max(1, Math.ceil(textWidth(line) / columns));
+    };
+
+    /**
+     * Renders the menu to the terminal
+     * Clears previous output and redraws with current selection
+     */
+    const render = () => {
+      const coachLines = options.coach && visible.length > 0 ? options.coach(visible[selectedIndex]) : [];
+      const lines = [];
+
+      lines.push(chalk.bold.cyan('┌─────────────────────────────────────────────────────────┐'));
+      lines.push(chalk.bold.white(`  ${headerText}`));
+      lines.push(chalk.bold.cyan('└─────────────────────────────────────────────────────────┘'));
+      if (options.filter) {
+        lines.push(chalk.white(`  ${t('menu.filter', { query })}`) +
+          chalk.dim(` ${query ? t('menu.filterCount', { count: visible.length, total: items.length }) : t('menu.filterHint')}`));
+      }
+      lines.push('');
+
+      if (visible.length === 0) {
+        lines.push(chalk.dim(`    ${t('menu.noMatches')}`));
+      }
+
+      // Group items by tag for better organization
+      let lastTag = null;
+      visible.forEach((item, index) => {
+        const tag = item.tag || '';
+        const bonus = calculateMoveBonus(item, bonusInfo);
+        const bonusText = bonus > 0 ? chalk.yellow(` ⭐+${bonus}`) : '';
+
+        // Show tag header when it changes
+        if (tag && tag !== lastTag) {
+          lines.push(chalk.cyan(`  ${tag}:`));
+          lastTag = tag;
+        }
+
+        if (index === selectedIndex) {
+          lines.push(chalk.bold.yellow(`    ▶ ${item.name}${bonusText}`));
+        } else {
+          lines.push(chalk.dim(`      ${item.name}${bonusText}`));
+        }
+
+        // Always show description and equipment for all items (card-style)
+        if (item.description) {
+          lines.push(chalk.dim(`        ${item.description}`));
+        }
+
+        if (item.weapon !== undefined || item.shield !== undefined) {
+          const equipment = [];
+          if (item.weapon) {
+            const weaponName = typeof item.weapon === 'string' ? item.weapon : t('menu.weapon');
+            equipment.push(chalk.yellowBright(`⚔️  ${weaponName}`));
+          }
+          if (item.shield) {
+            const shieldName = typeof item.shield === 'string' ? item.shield : t('menu.shield');
+            equipment.push(chalk.magenta(`🛡️  ${shieldName}`));
+          }
+          if (equipment.length > 0) {
+            lines.push(chalk.dim(`        ${equipment.join(' │ ')}`));
+          }
+        }
+
+        if (index === selectedIndex) {
+          coachLines.forEach(line => lines.push(`        ${line}`));
+        }
+      });
+
+      lines.push('');
+      const help = [t('menu.navigate'), t('menu.select')];
+      if (options.filter) {
+        help.push(t('menu.erase'));
+      }
+      if (options.onInfo) {
+        help.push(t('menu.info'));
+      }
+      if (options.onHistory) {
+        help.push(t('menu.history'));
+      }
+      if (options.cancelable) {
+        help.push(t('menu.back'));
+      }
+      lines.push(chalk.dim(`  ${help.join(' | ')}`));
+
+      if (!isFirstRender) {
+        process.stdout.write('\x1b[' + renderedRows + 'A'); // Move cursor up
+        process.stdout.write('\x1b[0J'); // Clear from cursor down
+      }
+      isFirstRender = false;
+      // Count rows as drawn, wrapping included, since that is how far the next redraw climbs
+      renderedRows = lines.reduce((rows, line) => rows + countRows(line), 0);
+      lines.forEach(line => console.log(line));
+    };
+
+    render();
+
+    /**
+     * Hands the terminal to another screen, then draws the menu afresh below it
+     * @param {function(): Promise<void>} show - Shows the other screen
+     */
+    const handOff = async(show) => {
+      process.stdin.removeListener('keypress', onKeypress);
+      if (process.stdin.isTTY) {
+        process.stdin.setRawMode(false);
+      }
+      console.log();
+      await show();
+      readline.emitKeypressEvents(process.stdin);
+      if (process.stdin.isTTY) {
+        process.stdin.setRawMode(true);
+      }
+      process.stdin.resume();
+      isFirstRender = true;
+      render();
+      process.stdin.on('keypress', onKeypress);
+    };
+
+    /**
+     * Handles keypress events for menu navigation
+     * @param {string} str - The key string
+     * @param {Object} key - Key object with name and ctrl properties
+     */
+    const onKeypress = async(str, key = {}) => {
+      if (key.name === 'up') {
+        selectedIndex = Math.max(0, selectedIndex - 1);
+        render();
+      } else if (key.name === 'down') {
+        selectedIndex = Math.max(0, Math.min(visible.length - 1, selectedIndex + 1));
+        render();
+      } else if (key.name === 'return') {
+        if (visible.length === 0) {
+          return;
+        }
+        process.stdin.removeListener('keypress', onKeypress);
+        if (process.stdin.isTTY) {
+          process.stdin.setRawMode(false);
+        }
+        console.log();
+        resolve(visible[selectedIndex]);
+      } else if (options.cancelable && key.name === 'escape') {
+        process.stdin.removeListener('keypress', onKeypress);
+        if (process.stdin.isTTY) {
+          process.stdin.setRawMode(false);
+        }
+        console.log();
+        resolve(null);
+      } else if (options.onInfo && !options.filter && key.name === 'i' && visible.length > 0) {
+        await handOff(() => options.onInfo(visible[selectedIndex]));
+      } else if (options.onHistory && !options.filter && key.name === 'h') {
+        await handOff(options.onHistory);
+      } else if (options.filter && key.name === 'backspace') {
+        query = query.slice(0, -1);
+        applyFilter();
+        render();
+      } else if (options.filter && str && !key.ctrl && !key.meta && /^[\p{L}\p{N} '-]$/u.test(str)) {
+        query += str;
+        applyFilter();
+        render();
+      } else if (key.ctrl && key.name === 'c') {
+        // Raw mode swallows Ctrl+C, so raise the signal ourselves
+        process.stdin.removeListener('keypress', onKeypress);
+        if (process.stdin.isTTY) {
+          process.stdin.setRawMode(false);
+        }
+        process.kill(process.pid, 'SIGINT');
+      }
+    };
+
+    process.stdin.on('keypress', onKeypress);
+  });
+}
+
+/**
+ * Reads one line of input
+ * Ctrl+C, or the end of input, leaves the way Ctrl+C does in the arrow-key menus
+ * @param {string} question - Prompt to display
+ * @returns {Promise<string>} Promise that resolves with the trimmed answer
+ */
+function ask(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    let answered = false;
+
+    rl.on('SIGINT', () => rl.close());
+    rl.on('close', () => {
+      if (!answered) {
+        process.kill(process.pid, 'SIGINT');
+      }
+    });
+    rl.question(question, (answer) => {
+      answered = true;
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Accessible version of selectFromMenu: a numbered list, read top to bottom,
+ * answered by typing a number
+ * `i` and a number shows an item's details (options.onInfo) or coach hints,
+ * and `h` the round history (options.onHistory); other text filters the
+ * list when options.filter is set. Enter alone clears
+ * the filter, goes back when the menu is cancelable, or lists the items again
+ *
+ * @param {Object[]} items - Same as selectFromMenu()
+ * @param {Object[]|null} bonusInfo - Same as selectFromMenu()
+ * @param {string} headerText - Same as selectFromMenu()
+ * @param {Object} options - Same as selectFromMenu()
+ * @returns {Promise<Object|null>} Promise that resolves with the selected item
+ */
+async function selectByNumber(items, bonusInfo, headerText, options) {
+  const describe = options.onInfo || (options.coach &&
+    (async item => options.coach(item).forEach(line => console.log(line))));
+  let query = options.query || '';
+  let visible = items;
+  let list = true;
+
+  for (;;) {
+    if (list) {
+      visible = options.filter ? items.filter(item => matchesQuery(item, query)) : items;
+      console.log(headerText);
+      if (options.filter && query) {
+        console.log(`${t('menu.filter', { query })} ${t('menu.filterCount', { count: visible.length, total: items.length })}`);
+      }
+      if (visible.length === 0) {
+        console.log(t('menu.noMatches'));
+      }
+
+      let lastTag = null;
+      visible.forEach((item, index) => {
+        const tag = item.tag || '';
+        if (tag && tag !== lastTag) {
+          console.log(`${tag}:`);
+          lastTag = tag;
+        }
+
+        const bonus = calculateMoveBonus(item, bonusInfo);
+        console.log(`  ${index + 1}. ${item.name}${bonus > 0 ? ` (${t('menu.bonusSuffix', { value: bonus })})` : ''}`);
+        if (item.description) {
+          console.log(`     ${item.description}`);
+        }
+        const equipment = [];
+        if (item.weapon) {
+          equipment.push(typeof item.weapon === 'string' ? item.weapon : t('menu.weapon'));
+        }
+        if (item.shield) {
+          equipment.push(typeof item.shield === 'string' ? item.shield : t('menu.shield'));
+        }
+        if (equipment.length > 0) {
+          console.log(`     ${equipment.join(', ')}`);
+        }
+      });
+
+      const help = [t('menu.typeNumber')];
+      if (describe) {
+        help.push(t('menu.typeInfo'));
+      }
+      if (options.onHistory) {
+        help.push(t('menu.typeHistory'));
+      }
+      if (options.filter) {
+        help.push(t('menu.typeFilter'));
+      }
+      if (options.cancelable) {
+        help.push(t('menu.typeBack'));
+      }
+      console.log(help.join('; '));
+    }
+
+    const answer = await ask(t('menu.prompt'));
+    const info = describe ? answer.match(/^i\s*(\d+)$/i) : null;
+    list = false;
+
+    if (answer === '') {
+      if (query) {
+        query = '';
+      } else if (options.cancelable) {
+        console.log();
+        return null;
+      }
+      list = true;
+    } else if (options.onHistory && /^h$/i.test(answer)) {
+      await options.onHistory();
+    } else if (info || /^\d+$/.test(answer)) {
+      const item = visible[Number(info ? info[1] : answer) - 1];
+      if (!item) {
+        console.log(visible.length > 0 ? t('menu.invalidChoice', { count: visible.length }) : t('menu.noMatches'));
+      } else if (info) {
+        await describe(item);
+        console.log();
+      } else {
+        console.log();
+        return item;
+      }
+    } else if (options.filter) {
+      query = answer;
+      list = true;
+    } else {
+      console.log(t('menu.invalidChoice', { count: visible.length }));
+    }
+  }
+}
+
+/**
+ * Builds the menu item for a character
+ * @param {string} slug - Character slug
+ * @returns {Object} Item for selectFromMenu() carrying the slug
+ */
+function characterItem(slug) {
+  const char = CharacterLoader.getCharacter(slug);
+  return {
+    name: `${char.name} [${icon('❤️ ')}${t('health.points', { health: char.health })}]`,
+    slug: slug,
+    description: char.description || t('menu.defaultDescription'),
+    weapon: char.weapon,
+    shield: char.shield
+  };
+}
+
+/**
+ * Prompts player to select their character
+ * Displays all available characters with their stats and equipment;
+ * `i` opens the highlighted character's codex entry
+ * @param {string} [headerText] - Header text displayed at top of menu
+ * @returns {Promise<string>} Promise that resolves with selected character slug
+ */
+export async function selectCharacter(headerText = t('menu.chooseChampion')) {
+  const menuItems = CharacterLoader.getAvailableCharacters().map(characterItem);
+
+  const selected = await selectFromMenu(menuItems, null, headerText, {
+    onInfo: item => showCharacterInfo(item.slug)
+  });
+  console.log();
+  return selected.slug;
+}
+
+/**
+ * Prompts player to pick who they fight
+ * "Random" heads the list; the player's own character is left out unless
+ * mirror matches are allowed
+ * @param {string} playerSlug - Character the player is fighting as
+ * @param {Object} [options] - Menu options
+ * @param {boolean} [options.mirror] - Offer the player's own character too
+ * @returns {Promise<string|null>} Promise that resolves with the opponent's slug, or null for a random draw
+ */
+export async function selectOpponent(playerSlug, options = {}) {
+  const menuItems = [
+    { name: t('menu.randomOpponent'), slug: null, description: t('menu.randomOpponentDescription') },
+    ...CharacterLoader.getAvailableCharacters()
+      .filter(slug => options.mirror || slug !== playerSlug)
+      .map(characterItem)
+  ];
+
+  const selected = await selectFromMenu(menuItems, null, t('menu.chooseOpponent'), {
+    onInfo: item => item.slug && showCharacterInfo(item.slug)
+  });
+  console.log();
+  return selected.slug;
+}
+
+/**
+ * Asks a yes/no question answered with a single keypress
+ * Anything other than "y" or the locale's yes key counts as no
+ * @param {string} question - Question to display
+ * @returns {Promise<boolean>} Promise that resolves true if the user pressed y
+ */
+export async function confirm(question) {
+  if (isAccessible()) {
+    const key = (await ask(`${question} ${t('menu.yesNo')} `)).charAt(0).toLowerCase();
+    return key === 'y' || key === t('menu.yesKey');
+  }
+
+  return new Promise((resolve) => {
+    readline.emitKeypressEvents(process.stdin);
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(true);
+    }
+    process.stdin.resume();
+    process.stdout.write(chalk.bold.white(`  ${question} `) + chalk.dim(`${t('menu.yesNo')} `));
+
+    const onKeypress = (str, key = {}) => {
+      process.stdin.removeListener('keypress', onKeypress);
+      if (process.stdin.isTTY) {
+        process.stdin.setRawMode(false);
+      }
+      process.stdin.pause();
+      // "y" works in every language, alongside the locale's own yes key
+      const answer = key.name === 'y' || key.name === t('menu.yesKey');
+      console.log(answer ? t('menu.yes') : t('menu.no'));
+      resolve(answer);
+    };
+
+    process.stdin.on('keypress', onKeypress);
+  });
+}
+
+/**
+ * Waits for the user to press Enter
+ * @param {string} message - Prompt to display
+ * @returns {Promise<void>} Promise that resolves on Enter
+ */
+export async function waitForEnter(message) {
+  if (isAccessible()) {
+    await ask(`${message} `);
+    return;
+  }
+
+  return new Promise((resolve) => {
+    readline.emitKeypressEvents(process.stdin);
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(true);
+    }
+    process.stdin.resume();
+    console.log(chalk.dim(message));
+
+    const onKeypress = (str, key = {}) => {
+      if (key.ctrl && key.name === 'c') {
+        process.stdin.removeListener('keypress', onKeypress);
+        if (process.stdin.isTTY) {
+          process.stdin.setRawMode(false);
+        }
+        process.kill(process.pid, 'SIGINT');
+      } else if (key.name === 'return') {
+        process.stdin.removeListener('keypress', onKeypress);
+        if (process.stdin.isTTY) {
+          process.stdin.setRawMode(false);
+        }
+        process.stdin.pause();
+        resolve();
+      }
+    };
+
+    process.stdin.on('keypress', onKeypress);
+  });
+}
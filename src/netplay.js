@@ -0,0 +1,403 @@
+/**
+ * Network play
+ *
+ * `swordfight host` starts a relay server (see relay.js) and joins it;
+ * `swordfight join <host:port>` joins someone else's. Each player runs their
+ * own engine in multiplayer mode, with a SocketTransport carrying moves
+ * through the relay.
+ *
+ * A RelayConnection keeps the link alive: it answers heartbeats, notices a
+ * silent relay, and after a drop keeps reconnecting (re-sending its token so
+ * the relay gives back the same place in the duel) until the relay would
+ * have given that place up. Moves made while reconnecting are queued.
+ *
+ * @module swordfight-cli/netplay
+ * @requires chalk - For terminal text styling and colors
+ * @requires swordfight-engine - Core game logic and character data
+ */
+
+import net from 'net';
+import { networkInterfaces } from 'os';
+import { EventEmitter } from 'events';
+import chalk from 'chalk';
+import { CharacterLoader } from 'swordfight-engine';
+import { createSeat, createGame, setUpGame, submitMove } from './engine.js';
+import { SocketTransport } from './transports.js';
+import { selectCharacter } from './menu.js';
+import { runTurns, askForMove } from './turns.js';
+import { t } from './i18n.js';
+import {
+  NetworkError,
+  PROTOCOL_VERSION,
+  HEARTBEAT_INTERVAL,
+  HEARTBEAT_TIMEOUT,
+  REJOIN_GRACE,
+  sendMessage,
+  onMessages,
+  startRelay
+} from './relay.js';
+import {
+  sleep,
+  delay,
+  setSpeed,
+  displayHealthBars,
+  displayRoundResult,
+  displayIntro,
+  displayVictory,
+  displayDefeat,
+  icon
+} from './display.js';
+
+/** @constant {string} NETWORK_ROOM - Relay room and engine room id; anything but 'computer' means multiplayer */
+const NETWORK_ROOM = 'duel';
+
+/** @constant {number} CONNECT_TIMEOUT - Milliseconds to wait for a connection to open */
+const CONNECT_TIMEOUT = 10000;
+
+/** @constant {number} RETRY_INTERVAL - Milliseconds between reconnection attempts */
+const RETRY_INTERVAL = 2000;
+
+// ============================================================================
+// RELAY CONNECTION
+// ============================================================================
+
+/**
+ * Client side of the relay protocol
+ *
+ * Events: 'welcome' (joined), 'start' (opponent slug), 'move' (payload),
+ * 'lost' and 'reconnected' (our link), 'peer-left', 'peer-returned' and
+ * 'peer-gone' (the opponent's link), 'refused' (message) and 'failed'
+ * (gave up reconnecting)
+ */
+export class RelayConnection extends EventEmitter {
+  /**
+   * @param {string} host - Relay host name or address
+   * @param {number} port - Relay port
+   */
+  constructor(host, port) {
+    super();
+    this.host = host;
+    this.port = port;
+    this.socket = null;
+    this.hello = null;
+    this.token = null;
+    this.ready = false;
+    this.closed = false;
+    this.outbox = [];
+    this.lastHeard = 0;
+    this.watchdog = null;
+  }
+
+  /** @returns {string} "host:port" for messages */
+  get address() {
+    return `${this.host}:${this.port}`;
+  }
+
+  /**
+   * Connects to the relay and joins a duel
+   * @param {string} room - Room to join
+   * @param {string} character - Local player's character slug
+   * @returns {Promise<string>} Promise that resolves with the opponent's character slug
+   * @throws {NetworkError} When the relay cannot be reached or refuses the player
+   */
+  async join(room, character) {
+    this.hello = { type: 'hello', version: PROTOCOL_VERSION, room, character };
+    await this.connect();
+
+    this.watchdog = setInterval(() => {
+      if (this.socket && Date.now() - this.lastHeard > HEARTBEAT_TIMEOUT) {
+        this.socket.destroy();
+      }
+    }, HEARTBEAT_INTERVAL);
+
+    return new Promise((resolve, reject) => {
+      const settle = (fn, value) => {
+        this.off('start', onStart);
+        this.off('refused', onRefused);
+        this.off('failed', onFailed);
+        fn(value);
+      };
+      const onStart = opponent => settle(resolve, opponent);
+      const onRefused = message => settle(reject, new NetworkError(message));
+      const onFailed = () => settle(reject, new NetworkError(`Lost the connection to ${this.address}`));
+      this.on('start', onStart);
+      this.on('refused', onRefused);
+      this.on('failed', onFailed);
+    });
+  }
+
+  /**
+   * Opens a socket to the relay and introduces ourselves
+   * @returns {Promise<void>} Promise that resolves once connected
+   * @throws {NetworkError} When the connection fails or times out
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host: this.host, port: this.port });
+
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new NetworkError(`Timed out connecting to ${this.address}`));
+      }, CONNECT_TIMEOUT);
+
+      socket.once('error', (error) => {
+        clearTimeout(timer);
+        reject(new NetworkError(`Could not connect to ${this.address}: ${error.message}`));
+      });
+
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        this.attach(socket);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Starts using a freshly opened socket
+   * @param {net.Socket} socket - Connected socket
+   */
+  attach(socket) {
+    this.socket = socket;
+    this.lastHeard = Date.now();
+    socket.setNoDelay(true);
+
+    onMessages(socket, (message) => {
+      this.lastHeard = Date.now();
+      this.handle(message);
+    });
+
+    socket.on('error', () => {
+      // Handled by 'close', which always follows
+    });
+
+    socket.on('close', () => {
+      if (this.socket !== socket) {
+        return;
+      }
+      this.socket = null;
+      this.ready = false;
+      if (!this.closed) {
+        this.reconnect();
+      }
+    });
+
+    sendMessage(socket, this.token ? { ...this.hello, token: this.token } : this.hello);
+  }
+
+  /**
+   * Reacts to one message from the relay
+   * @param {Object} message - Decoded message
+   */
+  handle(message) {
+    switch (message.type) {
+    case 'ping':
+      sendMessage(this.socket, { type: 'pong' });
+      break;
+    case 'welcome':
+      this.token = message.token;
+      this.ready = true;
+      this.outbox.splice(0).forEach(queued => sendMessage(this.socket, queued));
+      this.emit(message.rejoined ? 'reconnected' : 'welcome');
+      break;
+    case 'start':
+      this.emit('start', message.opponent);
+      break;
+    case 'move':
+      this.emit('move', message.data);
+      break;
+    case 'peer-left':
+    case 'peer-returned':
+    case 'peer-gone':
+      this.emit(message.type);
+      break;
+    case 'error':
+      this.closed = true;
+      this.emit('refused', message.message);
+      break;
+    }
+  }
+
+  /**
+   * Keeps trying to get back into the duel after the link drops
+   * Gives up once the relay would have handed our place away
+   */
+  async reconnect() {
+    this.emit('lost');
+    const deadline = Date.now() + REJOIN_GRACE;
+
+    while (!this.closed && Date.now() < deadline) {
+      await sleep(RETRY_INTERVAL);
+      try {
+        await this.connect();
+        return;
+      } catch {
+        // Keep trying until the deadline
+      }
+    }
+
+    if (!this.closed) {
+      this.close();
+      this.emit('failed');
+    }
+  }
+
+  /**
+   * Sends a message, queuing it while reconnecting
+   * @param {Object} message - Message with a type property
+   */
+  send(message) {
+    if (this.ready && this.socket) {
+      sendMessage(this.socket, message);
+    } else {
+      this.outbox.push(message);
+    }
+  }
+
+  /**
+   * Leaves the duel for good
+   */
+  close() {
+    this.closed = true;
+    clearInterval(this.watchdog);
+    if (this.socket) {
+      sendMessage(this.socket, { type: 'bye' });
+      this.socket.end();
+      this.socket = null;
+    }
+  }
+}
+
+// ============================================================================
+// GAME FLOW
+// ============================================================================
+
+/**
+ * Plays a duel against another player through a relay
+ * @param {Object} options - Connection and command-line options
+ * @param {string} options.host - Relay host
+ * @param {number} options.port - Relay port
+ * @param {string} [options.character] - Player character slug; skips the selection menu
+ * @param {number} [options.speed] - Narration speed multiplier (default 1)
+ * @returns {Promise<void>} Promise that resolves once the duel is under way
+ * @throws {NetworkError} When the relay cannot be reached or refuses the player
+ */
+export async function startNetworkGame(options) {
+  setSpeed(options.speed ?? 1);
+
+  const playerSlug = options.character || await selectCharacter();
+  const connection = new RelayConnection(options.host, options.port);
+
+  console.log(chalk.dim(t('net.connecting', { address: connection.address })));
+  connection.once('welcome', () => {
+    console.log(chalk.dim(t('net.waiting')));
+  });
+  const opponentSlug = await connection.join(NETWORK_ROOM, playerSlug);
+
+  const opponentData = CharacterLoader.getCharacter(opponentSlug);
+  if (!opponentData) {
+    connection.close();
+    throw new NetworkError(`Your opponent chose "${opponentSlug}", which this version does not know`);
+  }
+  const opponentName = opponentData.name;
+
+  // Listen for the opponent's moves before the intro: a faster opponent
+  // may already be moving while it is still on screen
+  const seat = createSeat();
+  const transport = new SocketTransport(seat, connection);
+  const game = createGame(seat, NETWORK_ROOM, playerSlug, opponentSlug, { transport });
+
+  let turns = null;
+  let currentBonus = [];
+
+  process.on('SIGINT', () => {
+    connection.close();
+    console.log();
+    console.log(chalk.yellow(`  ${t('net.leave', { name: opponentName })}`));
+    console.log();
+    process.exit(0);
+  });
+
+  // Connection news, ignored once the fight is decided
+  const report = (event, print) => connection.on(event, () => {
+    if (!turns?.isOver()) {
+      print();
+    }
+  });
+  report('lost', () => console.log(chalk.yellow(`\n${icon('⚠️  ')}${t('net.lost')}`)));
+  report('reconnected', () => console.log(chalk.green(`${icon('✓ ')}${t('net.reconnected')}`)));
+  report('peer-left', () => console.log(chalk.yellow(
+    `\n${icon('⚠️  ')}${t('net.peerLeft', { name: opponentName, seconds: REJOIN_GRACE / 1000 })}`
+  )));
+  report('peer-returned', () => console.log(chalk.green(`${icon('✓ ')}${t('net.peerReturned', { name: opponentName })}`)));
+  report('peer-gone', () => {
+    console.error(chalk.red(`\n${t('net.peerGone', { name: opponentName })}`));
+    process.exit(1);
+  });
+  report('failed', () => {
+    console.error(chalk.red(`\n${t('net.failed', { address: connection.address })}`));
+    process.exit(1);
+  });
+  report('refused', () => {
+    console.error(chalk.red(`\n${t('net.refused')}`));
+    process.exit(1);
+  });
+
+  console.log(chalk.green(`\n${icon('✓ ')}${t('net.arrived')}`));
+  await delay(800);
+  await displayIntro(opponentSlug, opponentName);
+
+  turns = runTurns(seat, {
+    onRound: async(myRoundData, opponentsRoundData) => {
+      currentBonus = opponentsRoundData.nextRoundBonus || [];
+      await displayRoundResult(game.roundNumber, myRoundData, opponentsRoundData);
+      await delay(500);
+    },
+    onTurn: async() => {
+      await displayHealthBars(game.myCharacter, game.opponentsCharacter);
+      console.log();
+      const selectedMove = await askForMove(game.Moves, currentBonus);
+      submitMove(seat, selectedMove.id);
+      console.log(chalk.dim(t('net.opponentChoosing', { name: opponentName })));
+    },
+    onEnd: async(outcome) => {
+      connection.close();
+      const displayOutcome = outcome === 'victory' ? displayVictory : displayDefeat;
+      await displayOutcome(opponentName);
+      process.exit(0);
+    }
+  });
+
+  setUpGame(seat);
+}
+
+/**
+ * Starts a relay on this machine and plays on it
+ * `swordfight host`
+ * @param {Object} options - Command-line options
+ * @param {number} options.port - Port to listen on
+ * @returns {Promise<void>} Promise that resolves once the duel is under way
+ * @throws {NetworkError} When the port cannot be opened
+ */
+export async function hostGame(options) {
+  try {
+    await startRelay(options.port);
+  } catch (error) {
+    throw new NetworkError(error.code === 'EADDRINUSE'
+      ? `Port ${options.port} is already in use; pick another with --port`
+      : `Could not start the relay on port ${options.port}: ${error.message}`);
+  }
+
+  const addresses = Object.values(networkInterfaces())
+    .flat()
+    .filter(entry => entry.family === 'IPv4' && !entry.internal)
+    .map(entry => entry.address);
+
+  console.log(chalk.green(`${icon('✓ ')}${t('net.hosting', { port: options.port })}`));
+  (addresses.length > 0 ? addresses : ['localhost']).forEach(address => {
+    console.log(chalk.cyan(`    swordfight join ${address}:${options.port}`));
+  });
+  console.log();
+
+  await startNetworkGame({ ...options, host: '127.0.0.1' });
+}
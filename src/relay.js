@@ -0,0 +1,296 @@
+/**
+ * Relay server
+ *
+ * A small TCP server that pairs two players and passes their moves between
+ * them. `swordfight host` runs one in-process so a LAN game needs nothing
+ * else. Messages are newline-delimited JSON in both directions.
+ *
+ * Protocol, client to relay:
+ *   hello  { version, room, character, token? }  join a room, or rejoin with a token
+ *   move   { data }                               engine move payload for the opponent
+ *   pong   {}                                     heartbeat reply
+ *   bye    {}                                     leaving for good
+ *
+ * Relay to client:
+ *   welcome        { token, rejoined }  joined; keep the token to rejoin
+ *   start          { opponent }         both players are in; opponent's character slug
+ *   move           { data }             opponent's move payload
+ *   ping           {}                   heartbeat, answer with pong
+ *   peer-left      {}                   opponent dropped; their seat is held for a while
+ *   peer-returned  {}                   opponent rejoined
+ *   peer-gone      {}                   opponent quit or did not return in time
+ *   error          { message }          request refused; the relay closes the connection
+ *
+ * Moves sent to a player whose connection dropped are queued and delivered
+ * when they rejoin.
+ *
+ * @module swordfight-cli/relay
+ */
+
+import net from 'net';
+import { randomUUID } from 'crypto';
+
+/** @constant {number} PROTOCOL_VERSION - Relay protocol version; hello must match */
+export const PROTOCOL_VERSION = 1;
+
+/** @constant {number} DEFAULT_PORT - Port used when none is given */
+export const DEFAULT_PORT = 7777;
+
+/** @constant {number} HEARTBEAT_INTERVAL - Milliseconds between heartbeats */
+export const HEARTBEAT_INTERVAL = 5000;
+
+/** @constant {number} HEARTBEAT_TIMEOUT - Milliseconds of silence before a connection counts as lost */
+export const HEARTBEAT_TIMEOUT = 15000;
+
+/** @constant {number} REJOIN_GRACE - Milliseconds a dropped player's seat is held for them */
+export const REJOIN_GRACE = 30000;
+
+/** @constant {number} MAX_LINE_LENGTH - Longest message accepted, in characters */
+const MAX_LINE_LENGTH = 65536;
+
+// ============================================================================
+// ERRORS AND ADDRESSES
+// ============================================================================
+
+/**
+ * Raised when the relay cannot be reached or refuses the player
+ * The entry point prints the message and exits 1
+ */
+export class NetworkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * Splits a "host:port" address; the port defaults to DEFAULT_PORT
+ * IPv6 hosts must be bracketed, e.g. "[::1]:7777"
+ * @param {string} address - Address from the command line
+ * @returns {{host: string, port: number}|null} Parsed address, or null if invalid
+ */
+export function parseAddress(address) {
+  const match = /^(?:\[([^\]]+)\]|([^:[\]]+))(?::(\d+))?$/.exec(address);
+  if (!match) {
+    return null;
+  }
+  const port = match[3] === undefined ? DEFAULT_PORT : Number(match[3]);
+  if (port < 1 || port > 65535) {
+    return null;
+  }
+  return { host: match[1] || match[2], port };
+}
+
+// ============================================================================
+// FRAMING
+// ============================================================================
+
+/**
+ * Sends one message as a line of JSON
+ * @param {net.Socket} socket - Connection to write to
+ * @param {Object} message - Message with a type property
+ */
+export function sendMessage(socket, message) {
+  if (socket.writable) {
+    socket.write(JSON.stringify(message) + '\n');
+  }
+}
+
+/**
+ * Calls a handler with every JSON message received on a socket
+ * Lines that are not valid JSON objects are ignored; a connection that
+ * sends an overlong line is dropped
+ * @param {net.Socket} socket - Connection to read from
+ * @param {function(Object): void} handler - Called with each message
+ */
+export function onMessages(socket, handler) {
+  let buffer = '';
+  socket.setEncoding('utf-8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    if (buffer.length > MAX_LINE_LENGTH) {
+      socket.destroy();
+      return;
+    }
+    for (const line of lines) {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (message && typeof message.type === 'string') {
+        handler(message);
+      }
+    }
+  });
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+/**
+ * Starts a relay server
+ * @param {number} port - Port to listen on (0 picks a free one)
+ * @param {string} [host] - Interface to listen on; all of them by default
+ * @returns {Promise<net.Server>} Promise that resolves once the server is listening
+ */
+export function startRelay(port, host = '0.0.0.0') {
+  /** @type {Map<string, {started: boolean, players: Object[]}>} Rooms by name */
+  const rooms = new Map();
+
+  const opponentOf = (room, player) => room.players.find(other => other !== player);
+
+  /**
+   * Delivers a message to a player, queuing it while they are disconnected
+   */
+  const deliver = (player, message) => {
+    if (!player) {
+      return;
+    }
+    if (player.socket) {
+      sendMessage(player.socket, message);
+    } else {
+      player.outbox.push(message);
+    }
+  };
+
+  /**
+   * Removes a player for good and tells their opponent
+   */
+  const removePlayer = (roomName, room, player) => {
+    clearTimeout(player.rejoinTimer);
+    room.players = room.players.filter(other => other !== player);
+    if (room.started) {
+      deliver(opponentOf(room, player), { type: 'peer-gone' });
+    }
+    if (room.players.length === 0) {
+      rooms.delete(roomName);
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    let room = null;
+    let roomName = null;
+    let player = null;
+    let lastHeard = Date.now();
+
+    const refuse = (message) => {
+      sendMessage(socket, { type: 'error', message });
+      socket.end();
+    };
+
+    const heartbeat = setInterval(() => {
+      if (Date.now() - lastHeard > HEARTBEAT_TIMEOUT) {
+        socket.destroy();
+        return;
+      }
+      sendMessage(socket, { type: 'ping' });
+    }, HEARTBEAT_INTERVAL);
+
+    const hello = (message) => {
+      if (message.version !== PROTOCOL_VERSION) {
+        refuse(`Protocol version ${message.version} is not supported (relay speaks version ${PROTOCOL_VERSION})`);
+        return;
+      }
+
+      roomName = String(message.room || 'default');
+      room = rooms.get(roomName) || { started: false, players: [] };
+
+      if (message.token) {
+        const returning = room.players.find(other => other.token === message.token);
+        if (!returning) {
+          refuse('Your place in this duel was given up after you disconnected');
+          return;
+        }
+        if (returning.socket) {
+          refuse('That player is already connected');
+          return;
+        }
+        player = returning;
+        clearTimeout(player.rejoinTimer);
+        player.socket = socket;
+        sendMessage(socket, { type: 'welcome', token: player.token, rejoined: true });
+        player.outbox.splice(0).forEach(queued => sendMessage(socket, queued));
+        deliver(opponentOf(room, player), { type: 'peer-returned' });
+        return;
+      }
+
+      if (room.players.length >= 2) {
+        refuse('This duel already has two players');
+        return;
+      }
+      if (typeof message.character !== 'string') {
+        refuse('hello must name a character');
+        return;
+      }
+
+      player = { token: randomUUID(), character: message.character, socket, outbox: [], rejoinTimer: null };
+      room.players.push(player);
+      rooms.set(roomName, room);
+      sendMessage(socket, { type: 'welcome', token: player.token, rejoined: false });
+
+      if (room.players.length === 2) {
+        room.started = true;
+        const [first, second] = room.players;
+        deliver(first, { type: 'start', opponent: second.character });
+        deliver(second, { type: 'start', opponent: first.character });
+      }
+    };
+
+    onMessages(socket, (message) => {
+      lastHeard = Date.now();
+
+      if (message.type === 'hello') {
+        if (!player) {
+          hello(message);
+        }
+        return;
+      }
+      if (!player) {
+        return;
+      }
+
+      if (message.type === 'move') {
+        deliver(opponentOf(room, player), { type: 'move', data: message.data });
+      } else if (message.type === 'bye') {
+        removePlayer(roomName, room, player);
+        player = null;
+        socket.end();
+      }
+    });
+
+    socket.on('error', () => {
+      // Handled by 'close', which always follows
+    });
+
+    socket.on('close', () => {
+      clearInterval(heartbeat);
+      if (!player || player.socket !== socket) {
+        return;
+      }
+      player.socket = null;
+
+      // Before the duel starts there is nothing to come back to
+      if (!room.started) {
+        removePlayer(roomName, room, player);
+        return;
+      }
+
+      deliver(opponentOf(room, player), { type: 'peer-left' });
+      const leaving = player;
+      player.rejoinTimer = setTimeout(() => removePlayer(roomName, room, leaving), REJOIN_GRACE);
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,249 @@
+/**
+ * Match recording and replay
+ *
+ * A recorder collects everything needed to re-render a duel (characters,
+ * seed, each round's engine data and the outcome) and writes it as a JSON
+ * replay file. `swordfight replay <file>` plays such a file back through the
+ * same display functions used in live games.
+ *
+ * @module swordfight-cli/replay
+ *
+ * @example
+ * // swordfight play --record duel.json
+ * // swordfight replay duel.json --speed 2 --step
+ */
+
+import readline from 'readline';
+import chalk from 'chalk';
+import { readFileSync, writeFileSync } from 'fs';
+import { snapshotCharacter } from './json-output.js';
+import { historyEntry } from './history.js';
+import { t, getLocale } from './i18n.js';
+import {
+  getSpeed,
+  setSpeed,
+  displayHealthBars,
+  displayRoundResult,
+  displayVictory,
+  displayDefeat,
+  icon
+} from './display.js';
+
+/** @constant {number} REPLAY_VERSION - Format version written to and required of replay files */
+export const REPLAY_VERSION = 1;
+
+/**
+ * Raised when a replay file cannot be read or is not a valid replay
+ */
+export class ReplayError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReplayError';
+  }
+}
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Starts recording a match
+ * @param {Object} match - Match details known at the start
+ * @param {string} match.path - File the replay is written to when the match ends
+ * @param {string} match.seed - Seed the game was started with
+ * @param {string} match.playerSlug - Player's character slug
+ * @param {string} match.opponentSlug - Opponent's character slug
+ * @param {Game} match.game - Game instance, read for the starting state
+ * @param {string} [match.difficulty] - Difficulty level the match is played at
+ * @returns {{addRound: Function, finish: Function}} Recorder for the match
+ */
+export function createRecorder({ path, seed, playerSlug, opponentSlug, game, difficulty }) {
+  const replay = {
+    version: REPLAY_VERSION,
+    recordedAt: new Date().toISOString(),
+    seed,
+    difficulty,
+    player: { slug: playerSlug, ...snapshotCharacter(game.myCharacter) },
+    opponent: { slug: opponentSlug, ...snapshotCharacter(game.opponentsCharacter) },
+    rounds: [],
+    outcome: null
+  };
+
+  return {
+    /**
+     * Records one round, with both combatants' state after it resolved
+     * @param {number} roundNumber - Round being recorded
+     * @param {Object} myRoundData - Player's round results from the engine
+     * @param {Object} opponentsRoundData - Opponent's round results from the engine
+     */
+    addRound(roundNumber, myRoundData, opponentsRoundData) {
+      replay.rounds.push(historyEntry(game, roundNumber, myRoundData, opponentsRoundData));
+    },
+
+    /**
+     * Sets the outcome and writes the replay file
+     * Failures are reported but never stop the game from exiting
+     * @param {string} outcome - 'victory', 'defeat' or 'fled'
+     */
+    finish(outcome) {
+      replay.outcome = outcome;
+      try {
+        writeFileSync(path, JSON.stringify(replay, null, 2) + '\n');
+      } catch (error) {
+        console.error(chalk.red(`Could not save replay to ${path}: ${error.message}`));
+      }
+    }
+  };
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Reads and validates a replay file
+ * @param {string} path - Replay file to load
+ * @returns {Object} Parsed replay
+ * @throws {ReplayError} When the file is missing, not JSON, or not a replay
+ */
+export function loadReplay(path) {
+  let replay;
+  try {
+    replay = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new ReplayError(error.code === 'ENOENT'
+      ? `Replay file not found: ${path}`
+      : `Could not read replay ${path}: ${error.message}`);
+  }
+
+  if (replay?.version !== REPLAY_VERSION) {
+    throw new ReplayError(`${path} is not a version ${REPLAY_VERSION} replay file`);
+  }
+  if (!replay.player?.name || !replay.opponent?.name || !Array.isArray(replay.rounds)) {
+    throw new ReplayError(`${path} is missing its characters or rounds`);
+  }
+
+  return replay;
+}
+
+// ============================================================================
+// PLAYBACK
+// ============================================================================
+
+/**
+ * Listens for playback keys while a replay runs
+ * Space pauses or resumes, n plays the next round while paused,
+ * +/- change speed and q quits. Without a terminal there are no controls
+ * and playback runs straight through.
+ *
+ * @param {boolean} startPaused - Begin paused (step mode)
+ * @returns {{nextRound: function(): Promise<boolean>, dispose: function(): void}}
+ *   nextRound resolves false once the viewer has quit
+ */
+function createPlaybackControls(startPaused) {
+  let paused = startPaused;
+  let quit = false;
+  let wake = null;
+
+  if (!process.stdin.isTTY) {
+    return { nextRound: async() => true, dispose() {} };
+  }
+
+  readline.emitKeypressEvents(process.stdin);
+  process.stdin.setRawMode(true);
+  process.stdin.resume();
+
+  const release = () => {
+    wake?.();
+    wake = null;
+  };
+
+  const onKeypress = (str, key = {}) => {
+    if (key.name === 'q' || (key.ctrl && key.name === 'c')) {
+      quit = true;
+      release();
+    } else if (key.name === 'space') {
+      paused = !paused;
+      console.log(chalk.dim(paused ? `  ${icon('⏸  ')}${t('replay.paused')}` : `  ${icon('▶  ')}${t('replay.resumed')}`));
+      release();
+    } else if (key.name === 'n' || key.name === 'right') {
+      release();
+    } else if ((str === '+' || str === '=' || str === '-') && Number.isFinite(getSpeed())) {
+      // --fast plays without delays, so there is no speed to double or halve.
+      // A speed already past a limit is kept rather than turned the wrong way
+      const speed = getSpeed();
+      setSpeed(str === '-'
+        ? Math.min(speed, Math.max(speed / 2, 0.25))
+        : Math.max(speed, Math.min(speed * 2, 16)));
+      console.log(chalk.dim(`  ${t('replay.speed', { speed: getSpeed() })}`));
+    }
+  };
+
+  process.stdin.on('keypress', onKeypress);
+
+  return {
+    async nextRound() {
+      if (paused && !quit) {
+        console.log(chalk.dim(`  ${t('replay.pausedHelp')}`));
+        await new Promise(resolve => {
+          wake = resolve;
+        });
+      }
+      return !quit;
+    },
+
+    dispose() {
+      process.stdin.removeListener('keypress', onKeypress);
+      process.stdin.setRawMode(false);
+      process.stdin.pause();
+    }
+  };
+}
+
+/**
+ * Plays a replay back through the live-game display functions
+ * @param {Object} replay - Replay loaded with loadReplay()
+ * @param {Object} [options] - Playback options
+ * @param {number} [options.speed] - Speed multiplier (2 is twice as fast)
+ * @param {boolean} [options.step] - Pause before every round
+ * @returns {Promise<void>} Promise that resolves when playback ends
+ */
+export async function playReplay(replay, options = {}) {
+  setSpeed(options.speed ?? 1);
+  const controls = createPlaybackControls(Boolean(options.step));
+
+  console.log();
+  console.log(chalk.bold.white(`  ${t('replay.matchup', { player: replay.player.name, opponent: replay.opponent.name })}`));
+  console.log(chalk.dim(`  ${t('replay.recorded', {
+    date: new Date(replay.recordedAt).toLocaleString(getLocale()),
+    seed: replay.seed,
+    count: replay.rounds.length
+  })}`));
+  if (process.stdin.isTTY) {
+    console.log(chalk.dim(`  ${t('replay.help')}`));
+  }
+  console.log();
+
+  try {
+    let state = replay;
+    for (const round of replay.rounds) {
+      if (!await controls.nextRound()) {
+        return;
+      }
+      await displayHealthBars(state.player, state.opponent, { difficulty: replay.difficulty });
+      await displayRoundResult(round.round, round.myRoundData, round.opponentsRoundData);
+      state = round;
+    }
+
+    if (replay.outcome === 'victory') {
+      await displayVictory(replay.opponent.name);
+    } else if (replay.outcome === 'defeat') {
+      await displayDefeat(replay.opponent.name);
+    } else {
+      console.log(chalk.dim(`  ${t('replay.abandoned', { count: replay.rounds.length })}`));
+      console.log();
+    }
+  } finally {
+    controls.dispose();
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Seeded random number generation
+ *
+ * Makes duels reproducible. A seed drives two independent streams: one for
+ * the CLI's own choices (opponent draw, flavor text) and one installed as
+ * Math.random for the engine's computer opponent. Keeping them apart means
+ * the opponent's moves depend only on the seed and the player's moves, not
+ * on how much narration happened to be rendered (--json skips it all).
+ *
+ * @module swordfight-cli/rng
+ *
+ * @example
+ * const random = installSeed('bug-42');
+ * random(); // Same value on every run seeded with 'bug-42'
+ */
+
+/** @constant {number} ENGINE_STREAM - Mixed into the seed for the engine's stream */
+const ENGINE_STREAM = 0x9e3779b9;
+
+/**
+ * Turns any seed string into a 32-bit integer
+ * Decimal integers are used as-is so that "--seed 42" means 42;
+ * anything else is hashed with FNV-1a
+ * @param {string|number} seed - Seed as given on the command line
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function hashSeed(seed) {
+  const text = String(seed);
+  if (/^\d+$/.test(text)) {
+    return Number(BigInt(text) % 4294967296n);
+  }
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a Mulberry32 generator
+ * @param {number} state - Unsigned 32-bit starting state
+ * @returns {function(): number} Generator returning floats in [0, 1) like Math.random
+ */
+export function createRandom(state) {
+  let t = state >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), t | 1);
+    r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Picks a fresh seed for games started without --seed
+ * @returns {string} Decimal seed that can be passed back to --seed
+ */
+export function generateSeed() {
+  return String(Math.floor(Math.random() * 4294967296));
+}
+
+/**
+ * Seeds the engine by replacing Math.random, and returns the CLI's stream
+ * @param {string|number} seed - Seed as given on the command line
+ * @returns {function(): number} Generator for the CLI's own random choices
+ */
+export function installSeed(seed) {
+  const state = hashSeed(seed);
+  Math.random = createRandom(state ^ ENGINE_STREAM);
+  return createRandom(state);
+}
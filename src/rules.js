@@ -0,0 +1,51 @@
+/**
+ * Character tables
+ *
+ * Reads the combat tables in the engine's character data, so the CLI can
+ * answer "what happens if I do this and they do that" without playing the
+ * round. Each character carries its own book, as in the Lost Worlds games
+ * the engine is modeled on:
+ *
+ * - `tables`: one row per move the other side can make, `{id, outcomes: [{[ownMoveId]: resultId}]}`
+ * - `results`: what the character ends up in, `{id, name, range, score, restrict, weaponDislodged, shieldDestroyed}`
+ *
+ * A result's `score` is the damage the character takes ('' when it is not
+ * hit), before the attacker's move modifier (`mod`) and bonuses are added.
+ *
+ * @module swordfight-cli/rules
+ */
+
+import { calculateMoveBonus } from './display.js';
+
+/**
+ * Finds the result a character ends up in for a pair of moves
+ * @param {Object} character - Character data from CharacterLoader.getCharacter()
+ * @param {Object} otherMove - Move the other side makes
+ * @param {Object} ownMove - Move this character makes
+ * @returns {Object|null} Entry from the character's results, or null if the tables have no entry
+ */
+export function findResult(character, otherMove, ownMove) {
+  const row = character.tables?.find(table => String(table.id) === String(otherMove.id));
+  const resultId = row?.outcomes?.[0]?.[ownMove.id];
+  if (resultId === undefined) {
+    return null;
+  }
+  return character.results?.find(result => String(result.id) === String(resultId)) || null;
+}
+
+/**
+ * Damage a result inflicts on the character that ends up in it
+ * Mirrors how the engine totals a round: the table score, plus the
+ * attacker's move modifier and any bonus that applies to the move
+ * @param {Object|null} result - Result from findResult()
+ * @param {Object} attackerMove - Move that landed the hit
+ * @param {Object[]} [attackerBonus] - Bonuses the attacker carries into the round
+ * @returns {number} Damage, or 0 when the result is not a hit
+ */
+export function resultDamage(result, attackerMove, attackerBonus = []) {
+  if (!result || result.score === '' || result.score === undefined) {
+    return 0;
+  }
+  const total = Number(result.score) + (Number(attackerMove.mod) || 0) + calculateMoveBonus(attackerMove, attackerBonus);
+  return Math.max(0, total);
+}
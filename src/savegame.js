@@ -0,0 +1,69 @@
+/**
+ * Saved games
+ *
+ * A fight abandoned with Ctrl+C can be saved and picked up later with
+ * --resume. The save holds the engine's own localStorage entries, so the
+ * engine rehydrates itself, plus the CLI's view of the fight (characters,
+ * health, equipment, round, pending bonuses and restrictions, and the rounds
+ * fought so far) which is used to show where things stood and to restore
+ * anything the engine does not.
+ *
+ * @module swordfight-cli/savegame
+ */
+
+import { rmSync } from 'fs';
+import { dataPath, readJsonFile, writeJsonFile } from './store.js';
+
+/** @constant {string} SAVE_FILE - File name inside the data directory */
+const SAVE_FILE = 'savegame.json';
+
+/** @constant {number} SAVE_VERSION - Format version written to and required of save files */
+const SAVE_VERSION = 1;
+
+/**
+ * Returns the path of the save file
+ * @returns {string} Absolute path
+ */
+export function savePath() {
+  return dataPath(SAVE_FILE);
+}
+
+/**
+ * Writes the current fight to the save file, replacing any earlier save
+ * @param {Object} save - Fight state
+ * @param {string} save.seed - Seed the game was started with
+ * @param {Object} save.player - Player's slug, name, health and equipment
+ * @param {Object} save.opponent - Opponent's slug, name, health and equipment
+ * @param {number} save.round - Round number the fight stopped at
+ * @param {Object[]} save.bonus - Bonuses the player carries into the next round
+ * @param {string[]} save.restrictions - Restrictions on the player's next move
+ * @param {Object[]} save.opponentBonus - Bonuses the opponent carries into the next round
+ * @param {string[]} save.opponentRestrictions - Restrictions on the opponent's next move
+ * @param {Object|null} save.tally - Career statistics gathered so far
+ * @param {Object[]} [save.history] - Rounds fought so far, from historyEntry()
+ * @param {Object<string, string>} save.storage - Engine localStorage entries
+ */
+export function saveGame(save) {
+  writeJsonFile(savePath(), {
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    ...save
+  });
+}
+
+/**
+ * Loads the saved fight
+ * @returns {Object|null} Saved fight, or null if there is none
+ * @throws {StoreError} When the save file is corrupted
+ */
+export function loadSavedGame() {
+  const save = readJsonFile(savePath(), null);
+  return save?.version === SAVE_VERSION ? save : null;
+}
+
+/**
+ * Removes the save file once its fight is over
+ */
+export function deleteSavedGame() {
+  rmSync(savePath(), { force: true });
+}
@@ -0,0 +1,102 @@
+/**
+ * Scripted move input
+ *
+ * Reads moves line-by-line from a file or a pipe so that duels can be played
+ * without a terminal. Each line names a move by id, by name, or as
+ * "Tag: Name"; blank lines and lines starting with # are ignored.
+ *
+ * @module swordfight-cli/scripted
+ *
+ * @example
+ * // moves.txt
+ * # opening
+ * 3
+ * Thrust
+ * Down Swing: Smash
+ */
+
+import readline from 'readline';
+
+/**
+ * Raised when a scripted move cannot be played
+ * The message is written for the person who authored the move list
+ */
+export class MoveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MoveError';
+  }
+}
+
+/**
+ * Creates a reader that yields one meaningful line at a time
+ * @param {NodeJS.ReadableStream} input - Stream to read lines from
+ * @returns {{next: function(): Promise<string|null>, close: function(): void}}
+ *   Reader whose next() resolves with the next line, or null at end of input
+ */
+export function createLineReader(input) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  // Grab the iterator straight away so lines arriving early are buffered
+  const iterator = lines[Symbol.asyncIterator]();
+
+  return {
+    async next() {
+      for (;;) {
+        const { value, done } = await iterator.next();
+        if (done) {
+          return null;
+        }
+        const line = value.trim();
+        if (line && !line.startsWith('#')) {
+          return line;
+        }
+      }
+    },
+
+    close() {
+      lines.close();
+    }
+  };
+}
+
+/**
+ * Formats a move list as "id name" pairs for error messages
+ * @param {Object[]} moves - Moves to describe
+ * @returns {string} Comma-separated move list
+ */
+const describeMoves = (moves) => moves.map(move => `${move.id} ${move.name}`).join(', ');
+
+/**
+ * Resolves a line of input to one of the currently legal moves
+ * Matches on id, on name (case-insensitive) or on "Tag: Name"
+ *
+ * @param {string} input - Line read from the move list
+ * @param {Object[]} legalMoves - Moves allowed this round (game.Moves)
+ * @param {Object[]} knownMoves - Every move the character has
+ * @returns {Object} The matching legal move
+ * @throws {MoveError} When the input is unknown, ambiguous or not legal right now
+ * @example
+ * findMove('thrust', game.Moves, character.moves);
+ * // Returns: { id: "5", name: "Thrust", tag: "Thrust", type: "high" }
+ */
+export function findMove(input, legalMoves, knownMoves) {
+  const needle = input.toLowerCase();
+  const matches = (move) =>
+    String(move.id) === input ||
+    move.name.toLowerCase() === needle ||
+    (move.tag && `${move.tag}: ${move.name}`.toLowerCase() === needle);
+
+  const legal = legalMoves.filter(matches);
+  if (legal.length === 1) {
+    return legal[0];
+  }
+  if (legal.length > 1) {
+    throw new MoveError(`"${input}" is ambiguous, use a move id instead: ${describeMoves(legal)}`);
+  }
+
+  const known = knownMoves.find(matches);
+  if (known) {
+    throw new MoveError(`${known.name} is not allowed this round. Legal moves: ${describeMoves(legalMoves)}`);
+  }
+  throw new MoveError(`Unknown move "${input}". Legal moves: ${describeMoves(legalMoves)}`);
+}
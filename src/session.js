@@ -0,0 +1,58 @@
+/**
+ * Play session
+ *
+ * `swordfight play` keeps going until the player quits: after each duel the
+ * player can ask for a rematch, a new opponent or a different character, and
+ * the next game starts in the same process. startGame() leaves nothing
+ * behind when it returns, so each game here begins from a clean slate.
+ *
+ * @module swordfight-cli/session
+ *
+ * @example
+ * await playSession({ character: 'human-fighter', speed: 1 });
+ */
+
+import { startGame } from './game.js';
+
+/**
+ * Works out the options for the game after the one that just ended
+ * Only the first game continues a save, keeps a --seed or writes the
+ * --record file
+ * @param {Object} options - Options the last game was started with
+ * @param {{choice: string, player: string, opponent: string}} last - What startGame() resolved with
+ * @returns {Object} Options for the next startGame()
+ */
+export function nextGameOptions(options, last) {
+  const next = { ...options, resume: undefined, seed: undefined, record: undefined };
+
+  switch (last.choice) {
+  case 'rematch':
+    return { ...next, character: last.player, opponent: last.opponent };
+  case 'new-opponent':
+    return { ...next, character: last.player, opponent: undefined };
+  case 'switch-character':
+    return { ...next, character: undefined, opponent: last.opponent };
+  default:
+    throw new Error(`Unknown choice after a game: "${last.choice}"`);
+  }
+}
+
+/**
+ * Plays games back to back until the player quits
+ * @param {Object} options - Options for the first game, as for startGame()
+ * @returns {Promise<number>} Number of games played
+ * @throws {MoveError} When a headless game's move list runs out or names an illegal move
+ */
+export async function playSession(options) {
+  let settings = options;
+  let games = 0;
+
+  for (;;) {
+    const last = await startGame(settings);
+    games++;
+    if (last.choice === 'quit') {
+      return games;
+    }
+    settings = nextGameOptions(settings, last);
+  }
+}
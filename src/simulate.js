@@ -0,0 +1,415 @@
+/**
+ * Balance simulation
+ *
+ * Fights computer-vs-computer matches in bulk, with nothing rendered and no
+ * delays, and reports how characters fare against each other: win rates,
+ * match length, damage dealt per match and the moves that most often land
+ * the finishing blow. Both sides run their own engine in multiplayer mode,
+ * joined by a loopback transport, so each side's moves come from a strategy
+ * rather than the engine's built-in opponent.
+ *
+ * @module swordfight-cli/simulate
+ * @requires chalk - For terminal text styling and colors
+ * @requires swordfight-engine - Core game logic and character data
+ *
+ * @example
+ * // swordfight simulate --a human-fighter --b goblin --runs 10000
+ * // swordfight simulate --all --runs 500 --format csv > balance.csv
+ */
+
+import chalk from 'chalk';
+import { CharacterLoader } from 'swordfight-engine';
+import { createSeat, createGame, setUpGame } from './engine.js';
+import { attachBot } from './bot.js';
+import { createLoopbackPair } from './transports.js';
+import { generateSeed, installSeed } from './rng.js';
+import { formatHeader } from './display.js';
+import { t } from './i18n.js';
+
+/** @constant {string} SIMULATION_ROOM - Engine room id; anything but 'computer' means multiplayer */
+const SIMULATION_ROOM = 'simulation';
+
+/** @constant {number} MAX_ROUNDS - Rounds after which a match is called a draw */
+const MAX_ROUNDS = 500;
+
+/** @constant {number} FINISHING_MOVES - How many finishing moves the report lists per side */
+const FINISHING_MOVES = 5;
+
+/** @constant {number} PROGRESS_EVERY - Matches between progress updates */
+const PROGRESS_EVERY = 100;
+
+/** @constant {number} DEFAULT_RUNS - Matches per pairing when --runs is not given */
+export const DEFAULT_RUNS = 1000;
+
+/** @constant {string[]} FORMATS - Output formats the report can be written in */
+export const FORMATS = ['table', 'csv', 'json'];
+
+// ============================================================================
+// RUNNING MATCHES
+// ============================================================================
+
+/**
+ * Fights one match between two strategy-driven sides
+ * @param {Object} matchup - Who fights and how
+ * @param {string} matchup.a - Side A's character slug
+ * @param {string} matchup.b - Side B's character slug
+ * @param {Object} matchup.strategyA - Strategy choosing side A's moves, from loadStrategy()
+ * @param {Object} matchup.strategyB - Strategy choosing side B's moves, from loadStrategy()
+ * @param {function(): number} random - Random source handed to the strategies
+ * @returns {Promise<{winner: string, rounds: number, damage: {a: number, b: number}, finishingMove: string|null}>}
+ *   Promise that resolves when the match ends; winner is 'a', 'b' or 'draw'
+ */
+function simulateMatch({ a, b, strategyA, strategyB }, random) {
+  const seatA = createSeat();
+  const seatB = createSeat();
+  const [transportA, transportB] = createLoopbackPair(seatA, seatB);
+  createGame(seatA, SIMULATION_ROOM, a, b, { transport: transportA });
+  createGame(seatB, SIMULATION_ROOM, b, a, { transport: transportB });
+
+  const bots = [];
+  const damage = { a: 0, b: 0 };
+  let lastMoves = { a: null, b: null };
+  let rounds = 0;
+  let matchEnded = false;
+
+  return new Promise((resolve) => {
+    const finish = (winner) => {
+      if (matchEnded) {
+        return;
+      }
+      matchEnded = true;
+      bots.forEach(bot => bot.stop());
+      resolve({ winner, rounds, damage, finishingMove: lastMoves[winner] ?? null });
+    };
+
+    // Checked before the bots move, so a drawn match stops them both
+    seatA.adapter.addEventListener('setup', () => {
+      if (!matchEnded && rounds >= MAX_ROUNDS) {
+        finish('draw');
+      }
+    });
+    bots.push(
+      attachBot(seatA, strategyA, { slug: a, opponentSlug: b, random }),
+      attachBot(seatB, strategyB, { slug: b, opponentSlug: a, random })
+    );
+
+    // Both seats see every round; side A's view is enough to keep score
+    seatA.adapter.addEventListener('round', (e) => {
+      const { myRoundData, opponentsRoundData } = e.detail;
+      rounds++;
+      if (myRoundData.totalScore > 0 && myRoundData.score !== '') {
+        damage.a += myRoundData.totalScore;
+      }
+      if (opponentsRoundData.totalScore > 0 && opponentsRoundData.score !== '') {
+        damage.b += opponentsRoundData.totalScore;
+      }
+      lastMoves = { a: myRoundData.myMove.name, b: opponentsRoundData.myMove.name };
+    });
+
+    seatA.adapter.addEventListener('victory', () => finish('a'));
+    seatA.adapter.addEventListener('defeat', () => finish('b'));
+
+    setUpGame(seatA);
+    setUpGame(seatB);
+  });
+}
+
+/**
+ * Summarizes a list of numbers
+ * @param {number[]} values - Values to summarize
+ * @returns {{mean: number, min: number, median: number, max: number}} Summary, rounded to one decimal
+ */
+function summarize(values) {
+  const sorted = [...values].sort((x, y) => x - y);
+  const round = (value) => Math.round(value * 10) / 10;
+  return {
+    mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    min: sorted[0],
+    median: round(sorted.length % 2
+      ? sorted[(sorted.length - 1) / 2]
+      : (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+/**
+ * Ranks the moves that ended matches
+ * @param {Object<string, number>} counts - Finishing blows by move name
+ * @param {number} wins - Matches the side won
+ * @returns {{move: string, count: number, share: number}[]} Top moves; share is a fraction of wins
+ */
+function rankFinishingMoves(counts, wins) {
+  return Object.entries(counts)
+    .sort(([, x], [, y]) => y - x)
+    .slice(0, FINISHING_MOVES)
+    .map(([move, count]) => ({ move, count, share: count / wins }));
+}
+
+/**
+ * Fights many matches between two characters and aggregates the results
+ * @param {Object} matchup - Characters and strategies, as for simulateMatch()
+ * @param {number} runs - Number of matches
+ * @param {function(): number} random - Random source handed to the strategies
+ * @param {function(number): void} [onProgress] - Called with the number of matches finished so far
+ * @returns {Promise<Object>} Promise that resolves with the pair's results
+ */
+export async function simulatePair(matchup, runs, random, onProgress) {
+  const wins = { a: 0, b: 0, draw: 0 };
+  const rounds = [];
+  const damage = { a: [], b: [] };
+  const finishers = { a: {}, b: {} };
+
+  for (let run = 1; run <= runs; run++) {
+    const result = await simulateMatch(matchup, random);
+    wins[result.winner]++;
+    rounds.push(result.rounds);
+    damage.a.push(result.damage.a);
+    damage.b.push(result.damage.b);
+    if (result.finishingMove) {
+      const counts = finishers[result.winner];
+      counts[result.finishingMove] = (counts[result.finishingMove] || 0) + 1;
+    }
+    if (onProgress && (run % PROGRESS_EVERY === 0 || run === runs)) {
+      onProgress(run);
+    }
+  }
+
+  const side = (key, slug, strategy) => ({
+    slug,
+    name: CharacterLoader.getCharacter(slug).name,
+    strategy,
+    wins: wins[key],
+    winRate: wins[key] / runs,
+    damageDealt: summarize(damage[key]),
+    finishingMoves: rankFinishingMoves(finishers[key], wins[key])
+  });
+
+  return {
+    runs,
+    draws: wins.draw,
+    rounds: summarize(rounds),
+    a: side('a', matchup.a, matchup.strategyA.name),
+    b: side('b', matchup.b, matchup.strategyB.name)
+  };
+}
+
+/**
+ * Lists every pairing of two different characters, each once
+ * @returns {[string, string][]} Slug pairs
+ */
+export function allPairs() {
+  const slugs = CharacterLoader.getAvailableCharacters();
+  return slugs.flatMap((a, index) => slugs.slice(index + 1).map(b => [a, b]));
+}
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+
+/**
+ * Formats a fraction as a percentage
+ * @param {number} fraction - Value from 0 to 1
+ * @returns {string} e.g. "53.2%"
+ */
+const percent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+/**
+ * Formats a number summary for the table report
+ * @param {{mean: number, min: number, median: number, max: number}} summary - From summarize()
+ * @returns {string} e.g. "12.4 avg (3–25, median 12)"
+ */
+const formatSummary = (summary) => `${t('simulate.numbers', summary)} ${chalk.dim(t('simulate.range', summary))}`;
+
+/**
+ * Renders one pair's results as a boxed report
+ * @param {Object} pair - Result from simulatePair()
+ * @returns {string[]} Lines to print
+ */
+function formatPairTable(pair) {
+  const lines = [];
+  const width = Math.max(pair.a.name.length, pair.b.name.length) + 2;
+
+  lines.push(...formatHeader(t('simulate.matchup', { a: pair.a.name, b: pair.b.name })));
+  lines.push('');
+  lines.push(chalk.dim(`  ${t('simulate.matches', { count: pair.runs, a: pair.a.strategy, b: pair.b.strategy })}` +
+    (pair.draws > 0 ? `, ${t('simulate.draws', { count: pair.draws, rounds: MAX_ROUNDS })}` : '')));
+  lines.push('');
+
+  lines.push(`  ${chalk.bold(t('simulate.winRate'))}`);
+  [pair.a, pair.b].forEach(side => {
+    lines.push(`    ${side.name.padEnd(width)}${chalk.yellow(percent(side.winRate).padStart(6))}  ${chalk.dim(t('simulate.wins', { count: side.wins }))}`);
+  });
+  lines.push('');
+
+  lines.push(`  ${chalk.bold(t('simulate.length'))}   ${t('simulate.rounds', { summary: formatSummary(pair.rounds) })}`);
+  lines.push('');
+
+  lines.push(`  ${chalk.bold(t('simulate.damage'))}`);
+  [pair.a, pair.b].forEach(side => {
+    lines.push(`    ${side.name.padEnd(width)}${formatSummary(side.damageDealt)}`);
+  });
+  lines.push('');
+
+  [pair.a, pair.b].forEach(side => {
+    if (side.finishingMoves.length === 0) {
+      return;
+    }
+    lines.push(chalk.cyan(`  ${t('simulate.finishingMoves', { name: side.name })}`));
+    side.finishingMoves.forEach(({ move, count, share }) => {
+      lines.push(`    ${move} ${chalk.dim(t('simulate.finishingMove', { count, share: percent(share) }))}`);
+    });
+    lines.push('');
+  });
+
+  return lines;
+}
+
+/**
+ * Renders all-pairs results as a win-rate matrix
+ * Each cell is the row character's win rate against the column character
+ * @param {Object[]} pairs - Results from simulatePair()
+ * @returns {string[]} Lines to print
+ */
+function formatMatrixTable(pairs) {
+  const characters = new Map();
+  const rates = new Map();
+  pairs.forEach(pair => {
+    characters.set(pair.a.slug, pair.a.name);
+    characters.set(pair.b.slug, pair.b.name);
+    rates.set(`${pair.a.slug}|${pair.b.slug}`, pair.a.winRate);
+    rates.set(`${pair.b.slug}|${pair.a.slug}`, pair.b.winRate);
+  });
+
+  const slugs = [...characters.keys()];
+  const overallLabel = t('simulate.overall');
+  const nameWidth = Math.max(...[...characters.values()].map(name => name.length)) + 2;
+  const cellWidth = Math.max(8, overallLabel.length + 2, ...[...characters.values()].map(name => name.length + 2));
+  const lines = [];
+
+  lines.push(...formatHeader(t('simulate.matrix')));
+  lines.push('');
+  lines.push(chalk.dim(`  ${t('simulate.matrixNote', { count: pairs[0].runs, a: pairs[0].a.strategy, b: pairs[0].b.strategy })}`));
+  lines.push('');
+
+  lines.push('  ' + ' '.repeat(nameWidth) +
+    slugs.map(slug => chalk.bold(characters.get(slug).padStart(cellWidth))).join('') +
+    chalk.bold(overallLabel.padStart(cellWidth)));
+
+  slugs.forEach(row => {
+    const against = slugs.filter(column => column !== row).map(column => rates.get(`${row}|${column}`));
+    const overall = against.reduce((sum, rate) => sum + rate, 0) / against.length;
+    const cells = slugs.map(column => {
+      if (column === row) {
+        return chalk.dim('—'.padStart(cellWidth));
+      }
+      const rate = rates.get(`${row}|${column}`);
+      const text = percent(rate).padStart(cellWidth);
+      return rate >= 0.55 ? chalk.green(text) : rate <= 0.45 ? chalk.red(text) : text;
+    });
+    lines.push(`  ${characters.get(row).padEnd(nameWidth)}${cells.join('')}${chalk.yellow(percent(overall).padStart(cellWidth))}`);
+  });
+  lines.push('');
+
+  return lines;
+}
+
+/**
+ * Quotes a CSV field when it needs it
+ * @param {string|number} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders results as CSV, one row per pairing
+ * @param {Object[]} pairs - Results from simulatePair()
+ * @returns {string[]} Lines to print
+ */
+function formatCsv(pairs) {
+  const header = [
+    'a', 'b', 'strategy_a', 'strategy_b', 'runs', 'wins_a', 'wins_b', 'draws',
+    'win_rate_a', 'win_rate_b', 'rounds_mean', 'rounds_median', 'rounds_min', 'rounds_max',
+    'damage_a_mean', 'damage_a_median', 'damage_b_mean', 'damage_b_median',
+    'top_finisher_a', 'top_finisher_b'
+  ];
+  const rows = pairs.map(pair => [
+    pair.a.slug, pair.b.slug, pair.a.strategy, pair.b.strategy, pair.runs,
+    pair.a.wins, pair.b.wins, pair.draws,
+    pair.a.winRate.toFixed(4), pair.b.winRate.toFixed(4),
+    pair.rounds.mean, pair.rounds.median, pair.rounds.min, pair.rounds.max,
+    pair.a.damageDealt.mean, pair.a.damageDealt.median,
+    pair.b.damageDealt.mean, pair.b.damageDealt.median,
+    pair.a.finishingMoves[0]?.move ?? '', pair.b.finishingMoves[0]?.move ?? ''
+  ]);
+  return [header, ...rows].map(row => row.map(csvField).join(','));
+}
+
+/**
+ * Prints simulation results
+ * @param {Object[]} pairs - Results from simulatePair()
+ * @param {Object} report - How to report
+ * @param {string} report.format - One of FORMATS
+ * @param {boolean} report.matrix - Whether every pairing was simulated
+ * @param {string} report.seed - Seed the simulation ran with
+ */
+export function displaySimulation(pairs, { format, matrix, seed }) {
+  if (format === 'json') {
+    console.log(JSON.stringify({ seed, maxRounds: MAX_ROUNDS, pairs }, null, 2));
+    return;
+  }
+  if (format === 'csv') {
+    formatCsv(pairs).forEach(line => console.log(line));
+    return;
+  }
+
+  const lines = matrix ? formatMatrixTable(pairs) : formatPairTable(pairs[0]);
+  lines.push(chalk.dim(`  ${t('simulate.seed', { seed })}`));
+  lines.forEach(line => console.log(line));
+}
+
+// ============================================================================
+// COMMAND
+// ============================================================================
+
+/**
+ * Runs a simulation and prints the report
+ * `swordfight simulate`
+ * @param {Object} options - Validated options
+ * @param {[string, string][]} options.pairs - Character slug pairs to simulate
+ * @param {boolean} options.matrix - Whether this is an all-pairs run
+ * @param {number} options.runs - Matches per pair
+ * @param {Object} options.strategyA - Side A's strategy, from loadStrategy()
+ * @param {Object} options.strategyB - Side B's strategy, from loadStrategy()
+ * @param {string} options.format - One of FORMATS
+ * @param {string} [options.seed] - Seed for strategies and the engine; a fresh one is drawn if omitted
+ * @returns {Promise<void>} Promise that resolves when the report is printed
+ */
+export async function runSimulation(options) {
+  const seed = options.seed ?? generateSeed();
+  const random = installSeed(seed);
+  const showProgress = process.stderr.isTTY;
+  const results = [];
+
+  for (const [index, [a, b]] of options.pairs.entries()) {
+    const label = t('simulate.matchup', { a: CharacterLoader.getCharacter(a).name, b: CharacterLoader.getCharacter(b).name });
+    const prefix = options.pairs.length > 1 ? `[${index + 1}/${options.pairs.length}] ` : '';
+    const onProgress = showProgress
+      ? (done) => process.stderr.write(`\r\x1b[K${chalk.dim(`${prefix}${t('simulate.progress', { label, done, runs: options.runs })}`)}`)
+      : undefined;
+
+    results.push(await simulatePair({
+      a,
+      b,
+      strategyA: options.strategyA,
+      strategyB: options.strategyB
+    }, options.runs, random, onProgress));
+  }
+
+  if (showProgress) {
+    process.stderr.write('\r\x1b[K');
+  }
+  displaySimulation(results, { ...options, seed });
+}
@@ -0,0 +1,239 @@
+/**
+ * Career statistics
+ *
+ * Keeps a running record of every finished duel in the data directory and
+ * renders it for `swordfight stats`: overall and per-matchup records,
+ * streaks, damage totals, favorite moves and average match length.
+ *
+ * @module swordfight-cli/stats
+ */
+
+import chalk from 'chalk';
+import { dataPath, readJsonFile, writeJsonFile } from './store.js';
+import { difficultyLabel } from './difficulty.js';
+import { formatHeader } from './display.js';
+import { t } from './i18n.js';
+
+/** @constant {string} STATS_FILE - File name inside the data directory */
+const STATS_FILE = 'stats.json';
+
+/** @constant {number} FAVORITE_MOVES - How many favorite moves the stats screen lists */
+const FAVORITE_MOVES = 5;
+
+/**
+ * Creates an empty statistics record
+ * @returns {Object} Statistics with every counter at zero
+ */
+function emptyStats() {
+  return {
+    version: 1,
+    matches: 0,
+    wins: 0,
+    losses: 0,
+    currentStreak: 0,
+    longestStreak: 0,
+    rounds: 0,
+    damageDealt: 0,
+    damageTaken: 0,
+    characters: {},
+    opponents: {},
+    difficulties: {},
+    moves: {}
+  };
+}
+
+/**
+ * Returns the path of the statistics file
+ * @returns {string} Absolute path
+ */
+export function statsPath() {
+  return dataPath(STATS_FILE);
+}
+
+/**
+ * Loads career statistics, starting fresh if none are saved yet
+ * @returns {Object} Statistics record
+ * @throws {StoreError} When the stats file is corrupted
+ */
+export function loadStats() {
+  return { ...emptyStats(), ...readJsonFile(statsPath(), {}) };
+}
+
+/**
+ * Adds a win or loss to a per-character tally
+ * @param {Object} table - stats.characters or stats.opponents
+ * @param {{slug: string, name: string}} character - Character the result belongs to
+ * @param {boolean} won - Whether the player won
+ */
+function tally(table, character, won) {
+  const entry = table[character.slug] || { name: character.name, wins: 0, losses: 0 };
+  entry.name = character.name;
+  entry[won ? 'wins' : 'losses']++;
+  table[character.slug] = entry;
+}
+
+/**
+ * Starts the running totals for one match, later passed to recordMatch()
+ * @param {Game} game - Game being played, read for the characters' names
+ * @param {string} playerSlug - Player's character slug
+ * @param {string} opponentSlug - Opponent's character slug
+ * @param {string} [difficulty] - Difficulty level the match is played at
+ * @returns {Object} Match summary with every counter at zero
+ */
+export function createTally(game, playerSlug, opponentSlug, difficulty) {
+  return {
+    character: { slug: playerSlug, name: game.myCharacter.name },
+    opponent: { slug: opponentSlug, name: game.opponentsCharacter.name },
+    difficulty,
+    rounds: 0,
+    damageDealt: 0,
+    damageTaken: 0,
+    moves: []
+  };
+}
+
+/**
+ * Adds one round's results to a match tally
+ * @param {Object} tally - Tally from createTally()
+ * @param {Object} myRoundData - Player's round results from the engine
+ * @param {Object} opponentsRoundData - Opponent's round results from the engine
+ */
+export function tallyRound(tally, myRoundData, opponentsRoundData) {
+  tally.rounds++;
+  tally.moves.push(myRoundData.myMove.name);
+  if (myRoundData.totalScore > 0 && myRoundData.score !== '') {
+    tally.damageDealt += myRoundData.totalScore;
+  }
+  if (opponentsRoundData.totalScore > 0 && opponentsRoundData.score !== '') {
+    tally.damageTaken += opponentsRoundData.totalScore;
+  }
+}
+
+/**
+ * Adds a finished match to the career statistics and saves them
+ * @param {Object} match - Summary of the match
+ * @param {string} match.outcome - 'victory' or 'defeat'
+ * @param {{slug: string, name: string}} match.character - Character the player used
+ * @param {{slug: string, name: string}} match.opponent - Character the player faced
+ * @param {number} match.rounds - Rounds fought
+ * @param {number} match.damageDealt - Total damage the player dealt
+ * @param {number} match.damageTaken - Total damage the player took
+ * @param {string[]} match.moves - Names of the moves the player used, one per round
+ * @param {string} [match.difficulty] - Difficulty level, when the match had one
+ * @throws {StoreError} When the stats file is corrupted
+ */
+export function recordMatch(match) {
+  const stats = loadStats();
+  const won = match.outcome === 'victory';
+
+  stats.matches++;
+  stats[won ? 'wins' : 'losses']++;
+  stats.currentStreak = won ? stats.currentStreak + 1 : 0;
+  stats.longestStreak = Math.max(stats.longestStreak, stats.currentStreak);
+  stats.rounds += match.rounds;
+  stats.damageDealt += match.damageDealt;
+  stats.damageTaken += match.damageTaken;
+
+  tally(stats.characters, match.character, won);
+  tally(stats.opponents, match.opponent, won);
+  if (match.difficulty) {
+    tally(stats.difficulties, { slug: match.difficulty, name: difficultyLabel(match.difficulty) }, won);
+  }
+  match.moves.forEach(name => {
+    stats.moves[name] = (stats.moves[name] || 0) + 1;
+  });
+
+  writeJsonFile(statsPath(), stats);
+}
+
+/**
+ * Formats a win/loss record with win percentage
+ * @param {number} wins - Matches won
+ * @param {number} losses - Matches lost
+ * @returns {string} Styled record, e.g. "5 W  3 L  (63%)"
+ */
+function formatRecord(wins, losses) {
+  const total = wins + losses;
+  const percent = total > 0 ? Math.round((wins / total) * 100) : 0;
+  return t('stats.recordLine', { wins: chalk.green(wins), losses: chalk.red(losses), percent: chalk.dim(percent) });
+}
+
+/**
+ * Renders a per-character record table, best win rate first
+ * @param {Object} table - stats.characters, stats.opponents or stats.difficulties
+ * @param {function(string, Object): string} [label] - Name to show for a slug and its entry
+ * @returns {string[]} Lines to print
+ */
+function formatRecordTable(table, label = (slug, entry) => entry.name) {
+  const entries = Object.entries(table)
+    .map(([slug, entry]) => ({ ...entry, name: label(slug, entry) }))
+    .sort((a, b) => (b.wins / (b.wins + b.losses)) - (a.wins / (a.wins + a.losses)) || b.wins - a.wins);
+  const width = Math.max(...entries.map(entry => entry.name.length)) + 2;
+  return entries.map(entry => `    ${entry.name.padEnd(width)}${formatRecord(entry.wins, entry.losses)}`);
+}
+
+/**
+ * Displays career statistics in the same boxed style as the combat screen
+ * `swordfight stats`
+ * @param {Object} stats - Statistics from loadStats()
+ */
+export function displayStats(stats) {
+  const lines = [];
+
+  lines.push(...formatHeader(t('stats.title')));
+  lines.push('');
+
+  if (stats.matches === 0) {
+    lines.push(chalk.dim(`  ${t('stats.empty')}`));
+    lines.push('');
+    lines.forEach(line => console.log(line));
+    return;
+  }
+
+  const averageRounds = (stats.rounds / stats.matches).toFixed(1);
+  const headings = ['stats.record', 'stats.streak', 'stats.damage', 'stats.length'].map(key => t(key));
+  const headingWidth = Math.max(...headings.map(heading => heading.length)) + 3;
+  const heading = (key) => chalk.bold(t(key).padEnd(headingWidth));
+
+  lines.push(`  ${heading('stats.record')}${formatRecord(stats.wins, stats.losses)}`);
+  lines.push(`  ${heading('stats.streak')}${t('stats.streakLine', {
+    current: chalk.yellow(stats.currentStreak),
+    longest: chalk.yellow(stats.longestStreak)
+  })}`);
+  lines.push(`  ${heading('stats.damage')}${t('summary.damageTotals', {
+    dealt: chalk.green(stats.damageDealt),
+    taken: chalk.red(stats.damageTaken)
+  })}`);
+  lines.push(`  ${heading('stats.length')}${t('stats.lengthLine', { rounds: averageRounds })}`);
+  lines.push('');
+
+  lines.push(chalk.cyan(`  ${t('stats.asCharacter')}`));
+  lines.push(...formatRecordTable(stats.characters));
+  lines.push('');
+
+  lines.push(chalk.cyan(`  ${t('stats.againstOpponent')}`));
+  lines.push(...formatRecordTable(stats.opponents));
+  lines.push('');
+
+  if (Object.keys(stats.difficulties).length > 0) {
+    lines.push(chalk.cyan(`  ${t('stats.byDifficulty')}`));
+    // Difficulty names are shown in the current language, not the one they were recorded in
+    lines.push(...formatRecordTable(stats.difficulties, difficultyLabel));
+    lines.push('');
+  }
+
+  const favorites = Object.entries(stats.moves)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, FAVORITE_MOVES);
+  if (favorites.length > 0) {
+    lines.push(chalk.cyan(`  ${t('stats.favoriteMoves')}`));
+    favorites.forEach(([name, count]) => {
+      lines.push(`    ${name} ${chalk.dim(`×${count}`)}`);
+    });
+    lines.push('');
+  }
+
+  lines.push(chalk.dim(`  ${t('stats.savedIn', { path: statsPath() })}`));
+
+  lines.forEach(line => console.log(line));
+}
@@ -0,0 +1,141 @@
+/**
+ * File-backed storage
+ *
+ * Locates the CLI's config and data directories following the XDG Base
+ * Directory spec and reads/writes JSON files in them. Writes go through a
+ * temporary file and a rename so an interrupted write never leaves a
+ * half-written file behind.
+ *
+ * @module swordfight-cli/store
+ *
+ * @example
+ * const stats = readJsonFile(dataPath('stats.json'), {});
+ * writeJsonFile(dataPath('stats.json'), stats);
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+
+/** @constant {string} APP_DIR - Directory name used inside the XDG base directories */
+const APP_DIR = 'swordfight';
+
+/**
+ * Raised when a stored file exists but cannot be parsed
+ * Callers report it instead of overwriting the user's data
+ */
+export class StoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StoreError';
+  }
+}
+
+/**
+ * Resolves a file in the config directory ($XDG_CONFIG_HOME/swordfight)
+ * @param {string} name - File name
+ * @returns {string} Absolute path
+ */
+export function configPath(name) {
+  const base = process.env.XDG_CONFIG_HOME || join(homedir(), '.config');
+  return join(base, APP_DIR, name);
+}
+
+/**
+ * Resolves a file in the data directory ($XDG_DATA_HOME/swordfight)
+ * @param {string} name - File name
+ * @returns {string} Absolute path
+ */
+export function dataPath(name) {
+  const base = process.env.XDG_DATA_HOME || join(homedir(), '.local', 'share');
+  return join(base, APP_DIR, name);
+}
+
+/**
+ * Reads a JSON file
+ * @param {string} path - File to read
+ * @param {*} fallback - Returned when the file does not exist
+ * @returns {*} Parsed contents or the fallback
+ * @throws {StoreError} When the file exists but is not valid JSON
+ */
+export function readJsonFile(path, fallback) {
+  let text;
+  try {
+    text = readFileSync(path, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw new StoreError(`Could not read ${path}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new StoreError(`${path} is corrupted: ${error.message}`);
+  }
+}
+
+/**
+ * Writes a JSON file, creating its directory if needed
+ * @param {string} path - File to write
+ * @param {*} data - JSON-compatible value
+ */
+export function writeJsonFile(path, data) {
+  mkdirSync(dirname(path), { recursive: true });
+  const temporary = `${path}.${process.pid}.tmp`;
+  writeFileSync(temporary, JSON.stringify(data, null, 2) + '\n');
+  renameSync(temporary, path);
+}
+
+/**
+ * Web Storage implementation for the engine's global.localStorage
+ * Holds entries in memory while a game runs; snapshot() and restore() move
+ * them to and from a save file so the engine can pick up where it left off
+ */
+export class FileStorage {
+  constructor() {
+    this.storage = new Map();
+  }
+
+  /** @returns {number} Number of stored entries */
+  get length() {
+    return this.storage.size;
+  }
+
+  getItem(key) {
+    return this.storage.get(key) || null;
+  }
+
+  setItem(key, value) {
+    this.storage.set(key, value);
+  }
+
+  removeItem(key) {
+    this.storage.delete(key);
+  }
+
+  clear() {
+    this.storage.clear();
+  }
+
+  key(index) {
+    return [...this.storage.keys()][index] ?? null;
+  }
+
+  /**
+   * Copies every entry into a plain object for saving
+   * @returns {Object<string, string>} Stored entries
+   */
+  snapshot() {
+    return Object.fromEntries(this.storage);
+  }
+
+  /**
+   * Replaces all entries with ones from a snapshot
+   * @param {Object<string, string>} entries - Entries from snapshot()
+   */
+  restore(entries) {
+    this.storage = new Map(Object.entries(entries));
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Move strategies (bots)
+ *
+ * A strategy chooses moves for a side no human is playing: the opponent in
+ * `play --opponent-ai`, or either side in `simulate`. It is a function that
+ * receives what its side can see and returns the id of a legal move, either
+ * directly or through a Promise.
+ *
+ * Built-in strategies are registered by name in STRATEGIES. Anything else
+ * given to --opponent-ai, --strategy-a or --strategy-b is loaded as a module
+ * file whose default export (or `choose` export) is the function.
+ *
+ * @module swordfight-cli/strategies
+ *
+ * @example
+ * // bot.js: pick a strong move whenever one is legal
+ * export default function({ moves, random }) {
+ *   const strong = moves.filter(move => move.type === 'strong');
+ *   const pool = strong.length > 0 ? strong : moves;
+ *   return pool[Math.floor(random() * pool.length)].id;
+ * }
+ *
+ * // swordfight play --opponent-ai ./bot.js
+ */
+
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { calculateMoveBonus } from './display.js';
+
+/** @constant {number} COUNTER_MEMORY - Recent rounds the counter-picker bases its prediction on */
+const COUNTER_MEMORY = 5;
+
+/**
+ * Raised when a strategy cannot be loaded or returns an illegal move
+ * The entry point prints the message and exits 1
+ */
+export class StrategyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StrategyError';
+  }
+}
+
+/**
+ * Everything a strategy can see when choosing a move
+ * @typedef {Object} VisibleState
+ * @property {number} round - Round about to be fought
+ * @property {Object[]} moves - Legal moves this round: {id, name, tag, type}
+ * @property {Object} me - Own character: {slug, name, health, startingHealth, weapon, shield}
+ * @property {Object} opponent - Opponent's character, same shape
+ * @property {Object[]} bonus - Bonuses carried into this round, e.g. [{attack: 2}]
+ * @property {string[]} restrictions - Restrictions on this round's moves
+ * @property {Object[]} history - Earlier rounds, oldest first:
+ *   {round, myMove, opponentMove, damageDealt, damageTaken}
+ * @property {function(): number} random - Seeded random source; use it instead of Math.random
+ */
+
+// ============================================================================
+// BUILT-IN STRATEGIES
+// ============================================================================
+
+/**
+ * Picks uniformly among the candidates
+ * @param {Object[]} candidates - Moves to pick from
+ * @param {function(): number} random - Random source
+ * @returns {Object} One of the candidates
+ */
+const pick = (candidates, random) => candidates[Math.floor(random() * candidates.length)];
+
+/**
+ * Keeps the candidates with the highest score
+ * @param {Object[]} candidates - Moves to compare
+ * @param {function(Object): number} score - Scores a move
+ * @returns {Object[]} Best-scoring moves
+ */
+function best(candidates, score) {
+  const scores = candidates.map(score);
+  const top = Math.max(...scores);
+  return candidates.filter((_move, index) => scores[index] === top);
+}
+
+/**
+ * Every built-in strategy, keyed by name
+ * @type {Object<string, {description: string, choose: function(VisibleState): string}>}
+ */
+export const STRATEGIES = {
+  random: {
+    description: 'Any legal move, uniformly at random',
+    choose({ moves, random }) {
+      return pick(moves, random).id;
+    }
+  },
+
+  greedy: {
+    description: 'The move with the biggest bonus this round',
+    choose({ moves, bonus, random }) {
+      return pick(best(moves, move => calculateMoveBonus(move, bonus)), random).id;
+    }
+  },
+
+  counter: {
+    description: 'Predicts the opponent\'s next kind of move and picks what has worked best against it',
+    choose(state) {
+      const { moves, bonus, history, random } = state;
+      if (history.length === 0) {
+        return STRATEGIES.greedy.choose(state);
+      }
+
+      // The kind of move the opponent has favored lately; the latest breaks ties
+      const kindOf = (move) => move.tag || move.name;
+      const counts = new Map();
+      history.slice(-COUNTER_MEMORY).forEach(({ opponentMove }) => {
+        const kind = kindOf(opponentMove);
+        counts.delete(kind);
+        counts.set(kind, (counts.get(kind) || 0) + 1);
+      });
+      const predicted = [...counts].reduce((top, entry) => entry[1] >= top[1] ? entry : top)[0];
+
+      // Net damage each move has produced against that kind of move; untried moves count as even
+      const netAgainstPrediction = (move) => {
+        const outcomes = history.filter(entry =>
+          String(entry.myMove.id) === String(move.id) && kindOf(entry.opponentMove) === predicted);
+        if (outcomes.length === 0) {
+          return 0;
+        }
+        return outcomes.reduce((sum, entry) => sum + entry.damageDealt - entry.damageTaken, 0) / outcomes.length;
+      };
+
+      const strongest = best(moves, netAgainstPrediction);
+      return pick(best(strongest, move => calculateMoveBonus(move, bonus)), random).id;
+    }
+  }
+};
+
+/** @constant {string} DEFAULT_STRATEGY - Strategy used when none is named */
+export const DEFAULT_STRATEGY = 'random';
+
+/**
+ * Looks up a built-in strategy by name
+ * @param {string} name - Strategy name
+ * @returns {{name: string, description: string, choose: Function}|null} Strategy, or null if unknown
+ */
+export function getStrategy(name) {
+  return Object.hasOwn(STRATEGIES, name) ? { name, ...STRATEGIES[name] } : null;
+}
+
+/**
+ * Resolves a strategy option: a built-in name or a module file
+ * @param {string} spec - Built-in name, or path to a module exporting the strategy function
+ * @returns {Promise<{name: string, choose: Function}>} Promise that resolves with the strategy
+ * @throws {StrategyError} When the module cannot be loaded or exports no function
+ */
+export async function loadStrategy(spec) {
+  const builtIn = getStrategy(spec);
+  if (builtIn) {
+    return builtIn;
+  }
+
+  const path = resolve(spec);
+  if (!existsSync(path)) {
+    throw new StrategyError(`"${spec}" is neither a built-in strategy (${Object.keys(STRATEGIES).join(', ')}) nor a module file`);
+  }
+
+  let module;
+  try {
+    module = await import(pathToFileURL(path).href);
+  } catch (error) {
+    throw new StrategyError(`Could not load strategy ${spec}: ${error.message}`);
+  }
+
+  const choose = typeof module.default === 'function' ? module.default : module.choose;
+  if (typeof choose !== 'function') {
+    throw new StrategyError(`${spec} must export a strategy function, as its default export or as "choose"`);
+  }
+  return { name: spec, choose };
+}
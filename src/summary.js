@@ -0,0 +1,208 @@
+/**
+ * Post-match summary
+ *
+ * The debrief shown once a duel is decided. It is worked out entirely from
+ * the round history: damage each round, drawn as a bar chart, how often each
+ * move landed, the bonuses both sides earned and cashed in, weapons knocked
+ * away and shields broken, and the round that swung the fight.
+ *
+ * @module swordfight-cli/summary
+ * @requires chalk - For terminal text styling and colors
+ *
+ * @example
+ * await displaySummary(roundHistory, 'victory');
+ */
+
+import chalk from 'chalk';
+import { formatHeader, printLineByLine, isAccessible } from './display.js';
+import { t } from './i18n.js';
+
+/** @constant {number} CHART_WIDTH - Columns of the longest bar in the damage chart */
+const CHART_WIDTH = 20;
+
+/**
+ * Damage an attack did, or 0 when it missed
+ * @param {Object} attack - One side's round data
+ * @returns {number} Damage dealt
+ */
+const damageOf = (attack) => attack.totalScore > 0 && attack.score !== '' ? attack.totalScore : 0;
+
+/**
+ * Creates the counters kept for each side
+ * @returns {{bonusesEarned: number, bonusesSpent: number, bonusDamage: number, disarms: number, shieldBreaks: number}}
+ */
+const emptySide = () => ({ bonusesEarned: 0, bonusesSpent: 0, bonusDamage: 0, disarms: 0, shieldBreaks: 0 });
+
+/**
+ * Counts one side's part in a round
+ * @param {Object} side - Counters from emptySide()
+ * @param {Object} attack - This side's round data
+ * @param {Object} received - The other side's round data, which holds what the attack earned
+ */
+function countSide(side, attack, received) {
+  side.bonusesEarned += received.nextRoundBonus?.length || 0;
+  if (attack.bonus > 0) {
+    side.bonusesSpent++;
+    side.bonusDamage += attack.bonus;
+  }
+  if (attack.result.weaponDislodged) {
+    side.disarms++;
+  }
+  if (attack.result.shieldDestroyed) {
+    side.shieldBreaks++;
+  }
+}
+
+/**
+ * Works out the numbers for a finished match
+ * The turning point is the round with the biggest swing in damage toward
+ * whoever won, the earliest one on a tie; there is none when no round
+ * favored the winner
+ *
+ * @param {Object[]} rounds - Entries from historyEntry(), oldest first
+ * @param {string} outcome - 'victory' or 'defeat', from the player's side
+ * @returns {Object} Summary for formatSummary()
+ */
+export function summarizeMatch(rounds, outcome) {
+  const player = emptySide();
+  const opponent = emptySide();
+  const moves = new Map();
+  const sign = outcome === 'victory' ? 1 : -1;
+  let turningPoint = null;
+
+  const perRound = rounds.map(({ round, myRoundData, opponentsRoundData }) => {
+    const dealt = damageOf(myRoundData);
+    const taken = damageOf(opponentsRoundData);
+
+    const { name, tag } = myRoundData.myMove;
+    const key = `${tag || ''}:${name}`;
+    const move = moves.get(key) || { name, tag, uses: 0, hits: 0 };
+    move.uses++;
+    move.hits += dealt > 0 ? 1 : 0;
+    moves.set(key, move);
+
+    countSide(player, myRoundData, opponentsRoundData);
+    countSide(opponent, opponentsRoundData, myRoundData);
+
+    const swing = (dealt - taken) * sign;
+    if (swing > 0 && swing > (turningPoint?.swing ?? 0)) {
+      turningPoint = { round, dealt, taken, swing };
+    }
+    return { round, dealt, taken };
+  });
+
+  return {
+    outcome,
+    rounds: rounds.length,
+    dealt: perRound.reduce((sum, entry) => sum + entry.dealt, 0),
+    taken: perRound.reduce((sum, entry) => sum + entry.taken, 0),
+    perRound,
+    moves: [...moves.values()].sort((a, b) => b.uses - a.uses || b.hits - a.hits || a.name.localeCompare(b.name)),
+    player,
+    opponent,
+    turningPoint
+  };
+}
+
+/**
+ * Draws damage dealt and taken in each round as two bar columns
+ * Accessible mode lists the numbers instead
+ * @param {{round: number, dealt: number, taken: number}[]} perRound - Damage by round
+ * @returns {string[]} Lines to print
+ */
+function formatChart(perRound) {
+  if (isAccessible()) {
+    return perRound.map(entry => `    ${t('summary.chartRound', entry)}`);
+  }
+
+  const most = Math.max(1, ...perRound.flatMap(entry => [entry.dealt, entry.taken]));
+  const roundWidth = String(perRound.at(-1)?.round ?? '').length;
+  const valueWidth = String(most).length;
+  // Any damage at all gets at least one block so it never looks like a miss
+  const bar = (value) => '█'.repeat(value > 0 ? Math.max(1, Math.round(value / most * CHART_WIDTH)) : 0).padEnd(CHART_WIDTH);
+  const column = (value, color) => `${color(bar(value))} ${chalk.dim(String(value).padStart(valueWidth))}`;
+
+  return [
+    chalk.dim(`    ${'#'.padStart(roundWidth)}  ${t('summary.dealt').padEnd(CHART_WIDTH + valueWidth + 1)}  ${t('summary.taken')}`),
+    ...perRound.map(entry => `    ${chalk.dim(String(entry.round).padStart(roundWidth))}  ` +
+      `${column(entry.dealt, chalk.green)}  ${column(entry.taken, chalk.red)}`)
+  ];
+}
+
+/**
+ * Formats a match summary
+ * @param {Object} summary - Summary from summarizeMatch()
+ * @returns {string[]} Lines to print
+ */
+export function formatSummary(summary) {
+  const lines = [];
+  const you = t('labels.you');
+  const foe = t('labels.foe');
+  const labelWidth = Math.max(you.length, foe.length) + 2;
+  const headingWidth = Math.max(t('summary.rounds').length, t('summary.damage').length) + 3;
+
+  lines.push(...formatHeader(t('summary.title')));
+  lines.push('');
+  lines.push(`  ${chalk.bold(t('summary.rounds').padEnd(headingWidth))}${summary.rounds}`);
+  lines.push(`  ${chalk.bold(t('summary.damage').padEnd(headingWidth))}${t('summary.damageTotals', {
+    dealt: chalk.green(summary.dealt),
+    taken: chalk.red(summary.taken)
+  })}`);
+  lines.push('');
+
+  if (summary.rounds === 0) {
+    return lines;
+  }
+
+  lines.push(chalk.cyan(`  ${t('summary.chart')}`));
+  lines.push(...formatChart(summary.perRound));
+  lines.push('');
+
+  lines.push(chalk.cyan(`  ${t('summary.moves')}`));
+  const moveName = (move) => move.tag ? `${move.tag}: ${move.name}` : move.name;
+  const nameWidth = Math.max(...summary.moves.map(move => moveName(move).length)) + 2;
+  summary.moves.forEach(move => {
+    const name = move.tag ? `${chalk.dim(`${move.tag}:`)} ${move.name}` : move.name;
+    const rate = Math.round(move.hits / move.uses * 100);
+    lines.push(`    ${name}${' '.repeat(nameWidth - moveName(move).length)}` +
+      chalk.dim(t('summary.moveUse', { count: move.uses, hits: move.hits, rate })));
+  });
+  lines.push('');
+
+  lines.push(chalk.cyan(`  ${t('summary.bonuses')}`));
+  [[you, summary.player], [foe, summary.opponent]].forEach(([label, side]) => {
+    lines.push(`    ${label.padEnd(labelWidth)}${t('summary.bonusLine', {
+      earned: side.bonusesEarned,
+      spent: side.bonusesSpent,
+      damage: side.bonusDamage
+    })}`);
+  });
+  lines.push('');
+
+  lines.push(chalk.cyan(`  ${t('summary.equipment')}`));
+  [[you, summary.player], [foe, summary.opponent]].forEach(([label, side]) => {
+    lines.push(`    ${label.padEnd(labelWidth)}${t('summary.equipmentLine', {
+      disarms: side.disarms,
+      shields: side.shieldBreaks
+    })}`);
+  });
+  lines.push('');
+
+  lines.push(chalk.cyan(`  ${t('summary.turningPoint')}`));
+  lines.push(summary.turningPoint
+    ? `    ${t('summary.turningRound', summary.turningPoint)}`
+    : chalk.dim(`    ${t('summary.noTurningPoint')}`));
+  lines.push('');
+
+  return lines;
+}
+
+/**
+ * Displays the summary of a finished match
+ * @param {Object[]} rounds - Entries from historyEntry(), oldest first
+ * @param {string} outcome - 'victory' or 'defeat'
+ * @returns {Promise<void>} Promise that resolves when display is complete
+ */
+export async function displaySummary(rounds, outcome) {
+  await printLineByLine(formatSummary(summarizeMatch(rounds, outcome)));
+}
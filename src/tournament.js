@@ -0,0 +1,291 @@
+/**
+ * Tournament mode
+ *
+ * Every character enters a single-elimination bracket, seeded by starting
+ * health (strongest first) so the favorites meet late. Top seeds get byes
+ * when the field is not a power of two. The player fights their own
+ * matches; the others are fought out between computer opponents. A
+ * standings table follows every round, and the bracket plays on to a
+ * champion even if the player is knocked out.
+ *
+ * @module swordfight-cli/tournament
+ * @requires chalk - For terminal text styling and colors
+ * @requires swordfight-engine - Core game logic and character data
+ */
+
+import chalk from 'chalk';
+import { CharacterLoader } from 'swordfight-engine';
+import { playDuel, autoDuel, saveDuelStats } from './duel.js';
+import { selectCharacter, waitForEnter } from './menu.js';
+import { generateSeed, installSeed } from './rng.js';
+import { t } from './i18n.js';
+import {
+  delay,
+  setSpeed,
+  setRandom,
+  printLineByLine,
+  displayIntro,
+  displayVictory,
+  displayDefeat,
+  formatHeader,
+  printBanner,
+  icon,
+  heading
+} from './display.js';
+
+// ============================================================================
+// BRACKET
+// ============================================================================
+
+/**
+ * Creates the tournament's entrants, best seed first
+ * @param {string} playerSlug - Character the player enters with
+ * @returns {Object[]} Entrants with slug, name, health, seed, isPlayer and a running record
+ */
+function seedEntrants(playerSlug) {
+  return CharacterLoader.getAvailableCharacters()
+    .map(slug => {
+      const character = CharacterLoader.getCharacter(slug);
+      return {
+        slug,
+        name: character.name,
+        health: character.health,
+        isPlayer: slug === playerSlug,
+        wins: 0,
+        losses: 0,
+        eliminatedIn: null
+      };
+    })
+    .sort((a, b) => b.health - a.health || a.name.localeCompare(b.name))
+    .map((entrant, index) => ({ ...entrant, seed: index + 1 }));
+}
+
+/**
+ * Orders seeds into bracket slots so that 1 and 2 can only meet in the final
+ * @param {number} size - Bracket size, a power of two
+ * @returns {number[]} Seed for each slot; neighbours meet in the first round
+ * @example
+ * bracketOrder(8); // [1, 8, 4, 5, 2, 7, 3, 6]
+ */
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, total - seed]);
+  }
+  return order;
+}
+
+/**
+ * Names a round of the bracket by how many slots are left in it
+ * @param {number} slots - Slots in the round
+ * @returns {string} Round name
+ */
+function roundName(slots) {
+  if (slots === 2) {
+    return t('tournament.final');
+  }
+  if (slots === 4) {
+    return t('tournament.semifinals');
+  }
+  if (slots === 8) {
+    return t('tournament.quarterfinals');
+  }
+  return t('tournament.roundOf', { count: slots });
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Works out an entrant's name, marking the player's
+ * @param {Object} entrant - Tournament entrant
+ * @returns {string} Name, unstyled
+ */
+const plainName = (entrant) => entrant.isPlayer ? `${entrant.name} ${t('tournament.you')}` : entrant.name;
+
+/**
+ * Formats an entrant's name, marking the player's
+ * @param {Object} entrant - Tournament entrant
+ * @returns {string} Styled name
+ */
+const entrantName = (entrant) => entrant.isPlayer ? chalk.bold.green(plainName(entrant)) : entrant.name;
+
+/**
+ * Displays the seeding before the first round
+ * @param {Object[]} entrants - Entrants from seedEntrants()
+ * @returns {Promise<void>} Promise that resolves when display is complete
+ */
+async function displaySeeding(entrants) {
+  const lines = [];
+
+  lines.push(...formatHeader(t('tournament.title')));
+  lines.push('');
+  lines.push(chalk.white(`  ${t('tournament.fighters', { count: entrants.length })}`));
+  lines.push('');
+  entrants.forEach(entrant => {
+    lines.push(`    ${chalk.dim(`#${entrant.seed}`.padStart(3))}  ${entrantName(entrant)} ${chalk.dim(`[${icon('❤️ ')}${t('health.points', { health: entrant.health })}]`)}`);
+  });
+  lines.push('');
+
+  await printLineByLine(lines);
+}
+
+/**
+ * Displays the standings: fighters still in first, then by how far they got
+ * @param {Object[]} entrants - Entrants from seedEntrants()
+ * @param {string[]} rounds - Names of the rounds in the order they are fought
+ * @returns {Promise<void>} Promise that resolves when display is complete
+ */
+async function displayStandings(entrants, rounds) {
+  const reached = (entrant) => entrant.eliminatedIn === null ? rounds.length : rounds.indexOf(entrant.eliminatedIn);
+  const standings = [...entrants].sort((a, b) => reached(b) - reached(a) || a.seed - b.seed);
+  const width = Math.max(...entrants.map(entrant => plainName(entrant).length)) + 2;
+  const lines = [];
+
+  lines.push(...formatHeader(t('tournament.standings')));
+  lines.push('');
+  standings.forEach(entrant => {
+    const padding = ' '.repeat(width - plainName(entrant).length);
+    const record = t('tournament.record', { wins: chalk.green(entrant.wins), losses: chalk.red(entrant.losses) });
+    const status = entrant.eliminatedIn === null
+      ? chalk.green(t('tournament.stillStanding'))
+      : chalk.dim(t('tournament.outIn', { round: entrant.eliminatedIn }));
+    lines.push(`    ${chalk.dim(`#${entrant.seed}`.padStart(3))}  ${entrantName(entrant)}${padding}${record}   ${status}`);
+  });
+  lines.push('');
+
+  await printLineByLine(lines);
+}
+
+/**
+ * Displays the champion screen
+ * @param {Object} champion - Winning entrant
+ */
+function displayChampion(champion) {
+  console.log();
+  printBanner(chalk.bold.green, chalk.bold.yellow(`${icon('🏆 ')}${t('tournament.champion')}${icon(' 🏆')}`), 16);
+  console.log();
+  if (champion.isPlayer) {
+    console.log(chalk.white(`  ${t('tournament.youWon', { name: champion.name, seed: champion.seed })}`));
+    console.log(chalk.dim(`  ${t('tournament.chant')}`));
+  } else {
+    console.log(chalk.white(`  ${t('tournament.takesCrown', { name: champion.name, seed: champion.seed })}`));
+    console.log(chalk.dim(`  ${t('tournament.nextYear')}`));
+  }
+  console.log();
+}
+
+// ============================================================================
+// TOURNAMENT FLOW
+// ============================================================================
+
+/**
+ * Fights one bracket match
+ * @param {Object} first - Entrant in the upper slot
+ * @param {Object} second - Entrant in the lower slot
+ * @param {string} round - Name of the round being fought
+ * @param {function(): number} random - Random source for computer-vs-computer moves
+ * @returns {Promise<Object>} Promise that resolves with the winning entrant
+ */
+async function fightMatch(first, second, round, random) {
+  if (first.isPlayer || second.isPlayer) {
+    const player = first.isPlayer ? first : second;
+    const opponent = first.isPlayer ? second : first;
+
+    console.log();
+    await waitForEnter(t('tournament.face', { round, name: opponent.name }));
+    await displayIntro(opponent.slug, opponent.name);
+
+    const result = await playDuel({ playerSlug: player.slug, opponentSlug: opponent.slug });
+    saveDuelStats(result.outcome, result.tally);
+
+    if (result.outcome === 'victory') {
+      await displayVictory(opponent.name);
+      return player;
+    }
+    await displayDefeat(opponent.name);
+    console.log(chalk.dim(`  ${t('tournament.out')}`));
+    console.log();
+    return opponent;
+  }
+
+  const { winner, rounds } = await autoDuel(first.slug, second.slug, random);
+  const [victor, loser] = winner === first.slug ? [first, second] : [second, first];
+  console.log(`  ${victor.name} ${chalk.dim(t('tournament.defeats', { loser: loser.name, count: rounds }))}`);
+  await delay(400);
+  return victor;
+}
+
+/**
+ * Runs a tournament
+ * @param {Object} [options] - Parsed command-line options
+ * @param {string} [options.character] - Player character slug; skips the selection menu
+ * @param {string} [options.seed] - Seed for every random choice; a fresh one is drawn if omitted
+ * @param {number} [options.speed] - Narration speed multiplier (default 1)
+ * @returns {Promise<void>} Promise that resolves when a champion is crowned
+ */
+export async function startTournament(options = {}) {
+  const seed = options.seed ?? generateSeed();
+  const random = installSeed(seed);
+  setRandom(random);
+  setSpeed(options.speed ?? 1);
+
+  process.on('SIGINT', () => {
+    console.log();
+    console.log(chalk.yellow(`  ${t('tournament.flee')}`));
+    console.log();
+    process.exit(0);
+  });
+
+  const playerSlug = options.character || await selectCharacter();
+  const entrants = seedEntrants(playerSlug);
+
+  let size = 1;
+  while (size < entrants.length) {
+    size *= 2;
+  }
+  const rounds = [];
+  for (let slots = size; slots > 1; slots /= 2) {
+    rounds.push(roundName(slots));
+  }
+
+  console.log(chalk.dim(`  ${t('tournament.seed', { seed })}\n`));
+  await displaySeeding(entrants);
+
+  let field = bracketOrder(size).map(seedNumber => entrants[seedNumber - 1] ?? null);
+
+  for (const round of rounds) {
+    console.log(chalk.bold.magenta(`\n${heading(round)}\n`));
+    const advancing = [];
+
+    for (let slot = 0; slot < field.length; slot += 2) {
+      const [first, second] = [field[slot], field[slot + 1]];
+      if (!first || !second) {
+        const seeded = first || second;
+        console.log(`  ${seeded.name} ${chalk.dim(t('tournament.bye'))}`);
+        advancing.push(seeded);
+        continue;
+      }
+
+      const winner = await fightMatch(first, second, round, random);
+      const loser = winner === first ? second : first;
+      winner.wins++;
+      loser.losses++;
+      loser.eliminatedIn = round;
+      advancing.push(winner);
+    }
+
+    console.log();
+    await displayStandings(entrants, rounds);
+    field = advancing;
+
+    if (field.length > 1) {
+      await waitForEnter(t('tournament.begin', { round: roundName(field.length) }));
+    }
+  }
+
+  displayChampion(field[0]);
+  process.exit(0);
+}
@@ -0,0 +1,154 @@
+/**
+ * Multiplayer transports
+ *
+ * In multiplayer mode (any room id other than 'computer') the engine does
+ * not pick the opponent's move itself; it exchanges moves through the
+ * transport passed as `options.transport`. The engine calls connect() once,
+ * sendMove() with the local player's move each round, and registers a
+ * handler with onMove() to receive the opponent's. Move payloads are the
+ * engine's own and are passed along untouched.
+ *
+ * @module swordfight-cli/transports
+ */
+
+import { inSeat } from './engine.js';
+
+/**
+ * Base transport: handler bookkeeping shared by every implementation
+ * Subclasses implement sendMove() and call receiveMove() when the
+ * opponent's move arrives. A move that arrives before the engine has
+ * registered a handler is held until it does, since a fast opponent can
+ * move while this side is still showing the intro
+ */
+export class Transport {
+  /**
+   * @param {Object} seat - Seat whose game this transport serves
+   */
+  constructor(seat) {
+    this.seat = seat;
+    this.moveHandlers = [];
+    this.pendingMoves = [];
+    this.connected = false;
+  }
+
+  /**
+   * Opens the connection (called by the engine)
+   * @param {string} _roomId - Room the engine wants to join
+   * @returns {Promise<void>} Promise that resolves once connected
+   */
+  async connect(_roomId) {
+    this.connected = true;
+  }
+
+  /**
+   * Sends the local player's move to the opponent (called by the engine)
+   * @param {Object} _data - Engine move payload
+   */
+  sendMove(_data) {
+    throw new Error(`${this.constructor.name} does not implement sendMove()`);
+  }
+
+  /**
+   * Registers a handler for the opponent's moves (called by the engine)
+   * @param {Function} handler - Called with each move payload
+   */
+  onMove(handler) {
+    this.moveHandlers.push(handler);
+    if (this.pendingMoves.length > 0) {
+      // Deliver on the next tick so the engine finishes registering first
+      setImmediate(() => this.pendingMoves.splice(0).forEach(data => this.deliverMove(data)));
+    }
+  }
+
+  /**
+   * Hands an opponent's move to the engine, inside this transport's seat
+   * @param {Object} data - Engine move payload
+   */
+  receiveMove(data) {
+    // Moves already held go first, so a later one cannot overtake them
+    if (this.moveHandlers.length === 0 || this.pendingMoves.length > 0) {
+      this.pendingMoves.push(data);
+      return;
+    }
+    this.deliverMove(data);
+  }
+
+  /**
+   * Passes a move to every registered handler
+   * @param {Object} data - Engine move payload
+   */
+  deliverMove(data) {
+    inSeat(this.seat, () => this.moveHandlers.forEach(handler => handler(data)));
+  }
+
+  /**
+   * Closes the connection (called by the engine)
+   */
+  disconnect() {
+    this.connected = false;
+  }
+
+  /**
+   * @returns {boolean} Whether the transport is connected
+   */
+  isConnected() {
+    return this.connected;
+  }
+}
+
+/**
+ * In-process transport wired directly to a peer transport
+ * Used when both sides of a fight live in the same process
+ */
+export class LoopbackTransport extends Transport {
+  constructor(seat) {
+    super(seat);
+    this.peer = null;
+  }
+
+  sendMove(data) {
+    // Deliver on the next tick so the sender's engine finishes its own turn first
+    setImmediate(() => this.peer.receiveMove(data));
+  }
+}
+
+/**
+ * Creates two loopback transports connected to each other
+ * @param {Object} seatA - First player's seat
+ * @param {Object} seatB - Second player's seat
+ * @returns {[LoopbackTransport, LoopbackTransport]} Transports for seatA and seatB
+ */
+export function createLoopbackPair(seatA, seatB) {
+  const a = new LoopbackTransport(seatA);
+  const b = new LoopbackTransport(seatB);
+  a.peer = b;
+  b.peer = a;
+  return [a, b];
+}
+
+/**
+ * Transport that exchanges moves through a relay server
+ * The connection (see netplay.js) owns the socket, heartbeats and
+ * rejoining; this class only adapts it to what the engine expects
+ */
+export class SocketTransport extends Transport {
+  /**
+   * @param {Object} seat - Seat whose game this transport serves
+   * @param {RelayConnection} connection - Connection that has joined a duel
+   */
+  constructor(seat, connection) {
+    super(seat);
+    this.connection = connection;
+    connection.on('move', data => this.receiveMove(data));
+  }
+
+  sendMove(data) {
+    // Queued by the connection while it is reconnecting
+    this.connection.send({ type: 'move', data });
+  }
+
+  disconnect() {
+    super.disconnect();
+    this.connection.close();
+  }
+}
@@ -0,0 +1,672 @@
+/**
+ * Full-screen layout
+ *
+ * An alternate-screen view of a duel for `play --tui`, drawn in fixed panes:
+ * both combatants along the top, the combat log and the move menu side by
+ * side, and the bonuses and restrictions in play along the bottom. Narration
+ * from display.js is routed into the log pane instead of scrolling the
+ * terminal, and every pane is drawn from the state kept here, so a resize
+ * simply redraws the lot at the new size.
+ *
+ * While the layout is up the terminal stays in raw mode with a single
+ * keypress listener: it owns Ctrl+C and log scrolling throughout, and hands
+ * other keys to whichever prompt is waiting.
+ *
+ * @module swordfight-cli/tui
+ * @requires readline - For raw keypress input
+ * @requires chalk - For terminal text styling and colors
+ */
+
+import readline from 'readline';
+import chalk from 'chalk';
+import {
+  ANSI_PATTERN,
+  calculateMoveBonus,
+  formatBonusDescriptions,
+  formatEquipment,
+  getSpeed,
+  isAccessible,
+  setNarrationSink,
+  textWidth
+} from './display.js';
+import { difficultyLabel } from './difficulty.js';
+import { t } from './i18n.js';
+
+/** @constant {number} MIN_COLUMNS - Narrowest terminal the layout will draw in */
+const MIN_COLUMNS = 60;
+
+/** @constant {number} MIN_ROWS - Shortest terminal the layout will draw in */
+const MIN_ROWS = 18;
+
+/** @constant {number} LOG_LIMIT - Lines of narration kept for scrolling back */
+const LOG_LIMIT = 500;
+
+/** @constant {number} MENU_MIN_WIDTH - Narrowest the move pane gets, borders aside */
+const MENU_MIN_WIDTH = 28;
+
+/**
+ * Rows taken by everything but the log and move panes: the combatants pane
+ * with its borders, the effects pane with its border and the bottom border
+ * @constant {number}
+ */
+const FIXED_ROWS = 9;
+
+// ============================================================================
+// LAYOUT STATE
+// ============================================================================
+
+/** @type {boolean} True while the alternate screen is showing */
+let active = false;
+
+/**
+ * Both combatants as they were when last shown, so health drops only when
+ * the narration has caught up with it
+ * @type {{player: Object, opponent: Object, difficulty?: string, round?: number}|null}
+ */
+let combatants = null;
+
+/** @type {{bonus: Object[], restrictions: string[], opponentBonus: Object[], opponentRestrictions: string[]}} */
+let effects = { bonus: [], restrictions: [], opponentBonus: [], opponentRestrictions: [] };
+
+/** @type {string[]} Narration, one entry per line; the last is the line being typed */
+let log = [''];
+
+/** @type {number} Rows the log is scrolled back from its latest line */
+let logScroll = 0;
+
+/** @type {string[]|null} Round history shown in place of the log, while toggled on */
+let historyLines = null;
+
+/**
+ * Move menu while the player is choosing
+ * @type {{items: Object[], bonusInfo: Object[], selectedIndex: number, coachLines: string[]}|null}
+ */
+let menu = null;
+
+/** @type {string|null} Message in the bottom border while waiting for Enter */
+let notice = null;
+
+/** @type {function(string, Object): void|null} Receives keys for the prompt that is waiting */
+let keyHandler = null;
+
+// ============================================================================
+// TEXT LAYOUT
+// ============================================================================
+
+/**
+ * Splits styled text into escape codes and characters with their widths
+ * An emoji and the variation selector after it stay together
+ * @param {string} text - Text, possibly styled with chalk
+ * @returns {{text: string, width: number}[]} Tokens; escape codes have width 0
+ */
+function tokenize(text) {
+  const pattern = new RegExp(`${ANSI_PATTERN.source}|\\p{Extended_Pictographic}\\ufe0f|[\\s\\S]`, 'gu');
+  return [...text.matchAll(pattern)].map(([match]) => ({
+    text: match,
+    width: match.startsWith('\x1b') ? 0 : textWidth(match)
+  }));
+}
+
+/**
+ * Cuts or pads styled text to an exact width
+ * Styles are reset at the end so they don't leak into the border
+ * @param {string} text - Text, possibly styled with chalk
+ * @param {number} width - Columns to fill
+ * @returns {string} Text exactly `width` columns wide
+ */
+function fit(text, width) {
+  let used = 0;
+  let full = false;
+  let out = '';
+  tokenize(text).forEach((token) => {
+    if (token.width === 0) {
+      // Escape codes are kept even past the cut, so styles still close
+      out += token.text;
+    } else if (!full && used + token.width <= width) {
+      out += token.text;
+      used += token.width;
+    } else {
+      full = true;
+    }
+  });
+  return `${out}\x1b[0m${' '.repeat(width - used)}`;
+}
+
+/**
+ * Wraps styled text to a width, breaking at spaces where it can
+ * Each row after the first starts with the styles that were open where it
+ * was broken, so a long colored sentence stays colored, and is indented as
+ * far as the first row was
+ * @param {string} text - One line of text, possibly styled with chalk
+ * @param {number} width - Columns available
+ * @returns {string[]} Rows, at least one
+ */
+function wrap(text, width) {
+  const rows = [];
+  const indent = text.replace(ANSI_PATTERN, '').match(/^ */)[0].slice(0, Math.floor(width / 2));
+  let prefix = '';
+  let row = [];
+  let used = 0;
+
+  const flush = (tokens) => {
+    rows.push(prefix + tokens.map(token => token.text).join(''));
+    prefix += tokens.filter(token => token.width === 0).map(token => token.text).join('');
+  };
+
+  tokenize(text).forEach((token) => {
+    if (token.width > 0 && used + token.width > width && used > 0) {
+      const space = row.findLastIndex(candidate => candidate.text === ' ');
+      if (space >= indent.length) {
+        flush(row.slice(0, space));
+        row = row.slice(space + 1);
+      } else {
+        flush(row);
+        row = [];
+      }
+      row.unshift(...[...indent].map(char => ({ text: char, width: 1 })));
+      used = row.reduce((sum, candidate) => sum + candidate.width, 0);
+    }
+    row.push(token);
+    used += token.width;
+  });
+  flush(row);
+  return rows;
+}
+
+/**
+ * Draws a horizontal border with a title set into it
+ * @param {string} title - Title, or an empty string for a plain rule
+ * @param {number} width - Columns between the corners
+ * @returns {string} Border segment
+ */
+function titledRule(title, width) {
+  if (!title) {
+    return chalk.cyan('─'.repeat(width));
+  }
+  const label = fit(` ${title} `, Math.min(textWidth(title) + 2, Math.max(0, width - 1)));
+  return chalk.cyan('─') + chalk.bold.white(label) + chalk.cyan('─'.repeat(Math.max(0, width - 1 - textWidth(label))));
+}
+
+// ============================================================================
+// PANES
+// ============================================================================
+
+/**
+ * Lines for one combatant: name, health bar and equipment
+ * @param {Object} character - Snapshot from showCombatants()
+ * @param {string} label - Which side they are on
+ * @param {Function} color - Chalk style for the name
+ * @param {number} width - Columns available
+ * @returns {string[]} Three lines
+ */
+function combatantLines(character, label, color, width) {
+  const hp = t('health.hp', { health: character.health, max: character.startingHealth });
+  const barWidth = Math.max(5, Math.min(20, width - textWidth(hp) - 1));
+  const filled = Math.max(0, Math.floor((character.health / character.startingHealth) * barWidth));
+  const bar = '█'.repeat(filled) + '░'.repeat(barWidth - filled);
+  const barColor = character.health > character.startingHealth * 0.3 ? chalk.green : chalk.red;
+
+  return [
+    color(`${character.name} (${label})`),
+    `${barColor(bar)} ${chalk.white(hp)}`,
+    chalk.dim(formatEquipment(character))
+  ];
+}
+
+/**
+ * Rows of the combatants pane, player on the left and opponent on the right
+ * @param {number} width - Columns inside the borders
+ * @returns {string[]} Three rows
+ */
+function statusRows(width) {
+  if (!combatants) {
+    return ['', '', ''].map(row => fit(row, width));
+  }
+  const half = Math.floor((width - 3) / 2);
+  const player = combatantLines(combatants.player, t('labels.you'), chalk.bold.green, half);
+  const opponent = combatantLines(combatants.opponent, t('labels.foe'), chalk.bold.red, width - half - 3);
+  return player.map((line, index) => ` ${fit(line, half)} ${fit(opponent[index], width - half - 2)}`);
+}
+
+/**
+ * Rows of the combat log, or the round history when it is toggled on,
+ * newest at the bottom unless scrolled back
+ * Only as many lines as can show are wrapped, so a long fight stays quick to draw
+ * @param {number} height - Rows available
+ * @param {number} width - Columns available
+ * @returns {string[]} Exactly `height` rows
+ */
+function logRows(height, width) {
+  const source = historyLines ?? log;
+  const lines = source[source.length - 1] === '' ? source.slice(0, -1) : source;
+  const rows = [];
+  for (let index = lines.length - 1; index >= 0 && rows.length < height + logScroll; index--) {
+    rows.unshift(...wrap(lines[index], width));
+  }
+  logScroll = Math.min(logScroll, Math.max(0, rows.length - height));
+  const end = rows.length - logScroll;
+  const visible = rows.slice(Math.max(0, end - height), end);
+  return [...Array(height - visible.length).fill(''), ...visible];
+}
+
+/**
+ * Rows of the move pane: the menu scrolled to keep the highlight in view,
+ * with coach hints for it underneath, or a note while the round plays out
+ * @param {number} height - Rows available
+ * @param {number} width - Columns available
+ * @returns {string[]} Up to `height` rows
+ */
+function menuRows(height, width) {
+  if (!menu) {
+    return [chalk.dim(t('tui.waiting'))];
+  }
+
+  const rows = [];
+  let selectedRow = 0;
+  let lastTag = null;
+  menu.items.forEach((item, index) => {
+    const tag = item.tag || '';
+    if (tag && tag !== lastTag) {
+      rows.push(chalk.cyan(`${tag}:`));
+      lastTag = tag;
+    }
+    const bonus = calculateMoveBonus(item, menu.bonusInfo);
+    const bonusText = bonus > 0 ? chalk.yellow(` ⭐+${bonus}`) : '';
+    if (index === menu.selectedIndex) {
+      selectedRow = rows.length;
+      rows.push(chalk.bold.yellow(`▶ ${item.name}`) + bonusText);
+    } else {
+      rows.push(chalk.dim(`  ${item.name}`) + bonusText);
+    }
+  });
+
+  const hints = menu.coachLines.flatMap(line => wrap(line, width)).slice(0, Math.floor(height / 2));
+  const listHeight = Math.max(1, height - (hints.length > 0 ? hints.length + 1 : 0));
+  const top = Math.max(0, Math.min(selectedRow - Math.floor(listHeight / 2), rows.length - listHeight));
+  return [...rows.slice(top, top + listHeight), ...(hints.length > 0 ? ['', ...hints] : [])];
+}
+
+/**
+ * Describes one side's bonuses and restrictions on a single line
+ * @param {Object[]} bonus - Bonuses for the coming round
+ * @param {string[]} restrictions - Restrictions on the coming move
+ * @returns {string} Effects line
+ */
+function describeEffects(bonus, restrictions) {
+  const parts = [];
+  if (bonus.length > 0) {
+    parts.push(chalk.yellow(`⭐ ${t('tui.bonus', { bonus: formatBonusDescriptions(bonus) })}`));
+  }
+  if (restrictions.length > 0) {
+    parts.push(chalk.gray(`⚠️  ${t('outcome.restrictions', { list: restrictions.join(', ') })}`));
+  }
+  return parts.length > 0 ? parts.join(chalk.dim(' · ')) : chalk.dim(t('tui.noEffects'));
+}
+
+/**
+ * Help for the keys that work right now, shown in the bottom border
+ * @returns {string} Help text
+ */
+function footerText() {
+  if (notice) {
+    return notice;
+  }
+  const help = menu ? [t('menu.navigate'), t('menu.select')] : [];
+  if (menu?.history) {
+    help.push(historyLines ? t('tui.showLog') : t('menu.history'));
+  }
+  if (!menu && getSpeed() !== Infinity) {
+    help.push(t('tui.skip'));
+  }
+  help.push(t('tui.scroll'), t('tui.flee'));
+  return help.join(' | ');
+}
+
+/**
+ * Redraws the whole screen from the layout state
+ * Each row is written in place at its full width, so nothing flickers
+ */
+function draw() {
+  if (!active) {
+    return;
+  }
+  const columns = process.stdout.columns || 80;
+  const rows = process.stdout.rows || 24;
+
+  if (columns < MIN_COLUMNS || rows < MIN_ROWS) {
+    process.stdout.write('\x1b[H\x1b[2J' + t('tui.tooSmall', { columns: MIN_COLUMNS, rows: MIN_ROWS }));
+    return;
+  }
+
+  const inner = columns - 2;
+  const menuWidth = Math.max(MENU_MIN_WIDTH, Math.floor(columns * 0.35));
+  const logWidth = columns - 3 - menuWidth;
+  const middle = rows - FIXED_ROWS;
+  const border = chalk.cyan('│');
+
+  const header = [t('health.header')];
+  if (combatants?.round) {
+    header.push(t('tui.round', { round: combatants.round }));
+  }
+  if (combatants?.difficulty) {
+    header.push(t('health.difficulty', { level: difficultyLabel(combatants.difficulty) }));
+  }
+
+  const logLines = logRows(middle, logWidth - 2);
+  const menuLines = menuRows(middle, menuWidth - 2);
+  const frame = [
+    chalk.cyan('┌') + titledRule(header.join(' · '), inner) + chalk.cyan('┐'),
+    ...statusRows(inner).map(row => border + row + border),
+    chalk.cyan('├') + titledRule(historyLines ? t('history.title') : t('tui.log'), logWidth) + chalk.cyan('┬') + titledRule(t('tui.moves'), menuWidth) + chalk.cyan('┤')
+  ];
+  for (let row = 0; row < middle; row++) {
+    frame.push(`${border} ${fit(logLines[row], logWidth - 2)} ${border} ${fit(menuLines[row] || '', menuWidth - 2)} ${border}`);
+  }
+  frame.push(chalk.cyan('├') + titledRule(t('tui.effects'), logWidth) + chalk.cyan('┴') + titledRule('', menuWidth) + chalk.cyan('┤'));
+  frame.push(`${border} ${fit(chalk.green(`${t('labels.you')}: `) + describeEffects(effects.bonus, effects.restrictions), inner - 2)} ${border}`);
+  frame.push(`${border} ${fit(chalk.red(`${t('labels.foe')}: `) + describeEffects(effects.opponentBonus, effects.opponentRestrictions), inner - 2)} ${border}`);
+  frame.push(chalk.cyan('└') + titledRule(footerText(), inner) + chalk.cyan('┘'));
+
+  process.stdout.write(frame.map((line, index) => `\x1b[${index + 1};1H${line}`).join(''));
+}
+
+// ============================================================================
+// INPUT
+// ============================================================================
+
+/**
+ * Appends narration to the log, following it to the bottom
+ * @param {string} text - Text as display.js would have written it
+ */
+function appendLog(text) {
+  const [first, ...rest] = text.split('\n');
+  log[log.length - 1] += first;
+  log.push(...rest);
+  if (log.length > LOG_LIMIT) {
+    log.splice(0, log.length - LOG_LIMIT);
+  }
+  logScroll = 0;
+  draw();
+}
+
+/**
+ * Handles every key while the layout is up
+ * @param {string} str - The key string
+ * @param {Object} key - Key object with name and ctrl properties
+ */
+function onKeypress(str, key = {}) {
+  const page = Math.max(1, Math.floor(((process.stdout.rows || 24) - FIXED_ROWS) / 2));
+  if (key.ctrl && key.name === 'c') {
+    // Raw mode swallows Ctrl+C, so raise the signal ourselves
+    process.kill(process.pid, 'SIGINT');
+  } else if (key.name === 'pageup') {
+    logScroll += page;
+    draw();
+  } else if (key.name === 'pagedown') {
+    logScroll = Math.max(0, logScroll - page);
+    draw();
+  } else {
+    keyHandler?.(str, key);
+  }
+}
+
+/**
+ * Clears the screen before redrawing at the new size
+ */
+function onResize() {
+  process.stdout.write('\x1b[2J');
+  draw();
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Switches to the alternate screen and starts drawing the layout
+ * Narration goes to the log pane until leaveTui()
+ */
+export function enterTui() {
+  if (active) {
+    return;
+  }
+  active = true;
+  combatants = null;
+  effects = { bonus: [], restrictions: [], opponentBonus: [], opponentRestrictions: [] };
+  log = [''];
+  logScroll = 0;
+  historyLines = null;
+  menu = null;
+  notice = null;
+
+  // Alternate screen, cursor hidden
+  process.stdout.write('\x1b[?1049h\x1b[?25l\x1b[2J');
+  readline.emitKeypressEvents(process.stdin);
+  process.stdin.setRawMode(true);
+  process.stdin.resume();
+  process.stdin.on('keypress', onKeypress);
+  process.stdout.on('resize', onResize);
+  // However the process ends, the terminal gets its screen and cursor back
+  process.on('exit', leaveTui);
+  setNarrationSink(appendLog);
+  draw();
+}
+
+/**
+ * Returns to the normal screen, as it was before enterTui()
+ * Safe to call when the layout isn't up
+ */
+export function leaveTui() {
+  if (!active) {
+    return;
+  }
+  active = false;
+  keyHandler = null;
+  setNarrationSink(null);
+  process.stdin.removeListener('keypress', onKeypress);
+  process.stdout.removeListener('resize', onResize);
+  process.removeListener('exit', leaveTui);
+  process.stdin.setRawMode(false);
+  process.stdin.pause();
+  process.stdout.write('\x1b[?25h\x1b[?1049l');
+}
+
+/**
+ * Returns whether the layout is showing
+ * @returns {boolean} True between enterTui() and leaveTui()
+ */
+export function isTuiActive() {
+  return active;
+}
+
+/**
+ * Updates the combatants pane
+ * The characters are copied, so later changes show only when this is called again
+ * @param {Object} myCharacter - Player's character (name, health, startingHealth, weapon, shield)
+ * @param {Object} opponentsCharacter - Opponent's character, same shape
+ * @param {Object} [options] - Extra header details
+ * @param {string} [options.difficulty] - Difficulty level to show
+ * @param {number} [options.round] - Round about to be fought
+ */
+export function showCombatants(myCharacter, opponentsCharacter, options = {}) {
+  const snapshot = ({ name, health, startingHealth, weapon, shield }) => ({ name, health, startingHealth, weapon, shield });
+  combatants = {
+    player: snapshot(myCharacter),
+    opponent: snapshot(opponentsCharacter),
+    difficulty: options.difficulty,
+    round: options.round
+  };
+  draw();
+}
+
+/**
+ * Updates the effects pane
+ * @param {Object} state - What each side carries into the coming round
+ * @param {Object[]} [state.bonus] - Player's bonuses
+ * @param {string[]} [state.restrictions] - Restrictions on the player's move
+ * @param {Object[]} [state.opponentBonus] - Opponent's bonuses
+ * @param {string[]} [state.opponentRestrictions] - Restrictions on the opponent's move
+ */
+export function showEffects({ bonus = [], restrictions = [], opponentBonus = [], opponentRestrictions = [] }) {
+  effects = { bonus, restrictions, opponentBonus, opponentRestrictions };
+  draw();
+}
+
+/**
+ * Lets the player pick a move in the move pane
+ * Arrow keys move the highlight and Enter chooses; the log can be scrolled
+ * with Page Up and Page Down meanwhile, and `h` swaps it for the round history
+ * @param {Object[]} items - Legal moves
+ * @param {Object[]|null} bonusInfo - Bonuses to highlight, as for selectFromMenu()
+ * @param {Object} [options] - Extra menu behavior
+ * @param {function(Object): string[]} [options.coach] - Hint lines for the highlighted move
+ * @param {function(): string[]} [options.history] - Lines of the round history
+ * @returns {Promise<Object>} Promise that resolves with the chosen move
+ */
+export function chooseMove(items, bonusInfo, options = {}) {
+  return new Promise((resolve) => {
+    menu = { items, bonusInfo, selectedIndex: 0, coachLines: [], history: options.history };
+
+    const update = () => {
+      menu.coachLines = options.coach ? options.coach(items[menu.selectedIndex]) : [];
+      draw();
+    };
+
+    keyHandler = (str, key) => {
+      if (key.name === 'up') {
+        menu.selectedIndex = Math.max(0, menu.selectedIndex - 1);
+        update();
+      } else if (key.name === 'down') {
+        menu.selectedIndex = Math.min(items.length - 1, menu.selectedIndex + 1);
+        update();
+      } else if (key.name === 'h' && options.history) {
+        historyLines = historyLines ? null : options.history();
+        logScroll = 0;
+        draw();
+      } else if (key.name === 'return') {
+        const move = items[menu.selectedIndex];
+        keyHandler = null;
+        menu = null;
+        // The new round's narration goes to the log, so show it again
+        historyLines = null;
+        logScroll = 0;
+        draw();
+        resolve(move);
+      }
+    };
+
+    update();
+  });
+}
+
+/**
+ * Shows a message in the bottom border and waits for Enter
+ * Keeps the final round on screen until the player is ready to leave it
+ * @param {string} message - What to show
+ * @returns {Promise<void>} Promise that resolves on Enter
+ */
+export function waitInTui(message) {
+  return new Promise((resolve) => {
+    notice = message;
+    keyHandler = (str, key) => {
+      if (key.name === 'return') {
+        keyHandler = null;
+        notice = null;
+        resolve();
+      }
+    };
+    draw();
+  });
+}
+
+// ============================================================================
+// PAGER
+// ============================================================================
+
+/**
+ * Shows lines in a scrollable full-screen view until the player closes it
+ * Opens at the end, where the latest lines are. In accessible mode the lines
+ * are printed as they are, to be read top to bottom
+ * @param {string} title - Heading for the view
+ * @param {string[]} lines - Lines to show, possibly styled with chalk
+ * @returns {Promise<void>} Promise that resolves when the view is closed
+ */
+export function showPager(title, lines) {
+  if (isAccessible()) {
+    console.log(title);
+    lines.forEach(line => console.log(line));
+    console.log();
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    let offset = Infinity;
+    let height = 1;
+
+    const render = () => {
+      const columns = process.stdout.columns || 80;
+      height = Math.max(1, (process.stdout.rows || 24) - 2);
+      const rows = lines.flatMap(line => wrap(line, columns - 2));
+      offset = Math.max(0, Math.min(offset, rows.length - height));
+      const position = t('pager.position', {
+        from: Math.min(offset + 1, rows.length),
+        to: Math.min(offset + height, rows.length),
+        total: rows.length
+      });
+
+      const screen = [
+        chalk.bold.white(fit(` ${title}`, columns - textWidth(position) - 1)) + chalk.dim(`${position} `),
+        ...rows.slice(offset, offset + height).map(row => ` ${fit(row, columns - 2)} `)
+      ];
+      while (screen.length < height + 1) {
+        screen.push(' '.repeat(columns));
+      }
+      screen.push(chalk.dim(fit(` ${t('pager.help')}`, columns)));
+      process.stdout.write(screen.map((line, index) => `\x1b[${index + 1};1H${line}`).join(''));
+    };
+
+    const onResize = () => {
+      process.stdout.write('\x1b[2J');
+      render();
+    };
+
+    const restore = () => {
+      process.stdout.write('\x1b[?25h\x1b[?1049l');
+    };
+
+    const close = () => {
+      process.stdin.removeListener('keypress', onPagerKeypress);
+      process.stdout.removeListener('resize', onResize);
+      process.removeListener('exit', restore);
+      process.stdin.setRawMode(false);
+      process.stdin.pause();
+      restore();
+    };
+
+    const onPagerKeypress = (str, key = {}) => {
+      if (key.ctrl && key.name === 'c') {
+        close();
+        process.kill(process.pid, 'SIGINT');
+      } else if (['escape', 'return', 'q', 'h'].includes(key.name)) {
+        close();
+        resolve();
+      } else {
+        const moves = { up: -1, down: 1, pageup: -height, pagedown: height, home: -Infinity, end: Infinity };
+        if (key.name in moves) {
+          offset += moves[key.name];
+          render();
+        }
+      }
+    };
+
+    // Alternate screen, cursor hidden
+    process.stdout.write('\x1b[?1049h\x1b[?25l\x1b[2J');
+    process.on('exit', restore);
+    readline.emitKeypressEvents(process.stdin);
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.on('keypress', onPagerKeypress);
+    process.stdout.on('resize', onResize);
+    render();
+  });
+}
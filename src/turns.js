@@ -0,0 +1,117 @@
+/**
+ * Turn loop
+ *
+ * Every interactive fight is driven by the same four engine events: 'round'
+ * reports what both sides did, 'setup' asks for the next move, and
+ * 'victory' or 'defeat' ends it. The engine fires 'setup' and the result
+ * while the last round is still being narrated, so the loop holds them back
+ * until the narration is done. Modes only say what to show and how to pick
+ * a move.
+ *
+ * @module swordfight-cli/turns
+ *
+ * @example
+ * const turns = runTurns(seat, {
+ *   onRound: (myRoundData, opponentsRoundData) => displayRoundResult(game.roundNumber, myRoundData, opponentsRoundData),
+ *   onTurn: async() => submitMove(seat, (await askForMove(game.Moves, bonus)).id),
+ *   onEnd: (outcome) => console.log(outcome)
+ * });
+ */
+
+import { selectFromMenu, waitForEnter } from './menu.js';
+import { showPager } from './tui.js';
+import { isAccessible, sleep } from './display.js';
+import { t } from './i18n.js';
+
+/**
+ * Runs the turn loop of one fight on a seat
+ * Each handler waits for the round before it to finish showing; a turn that
+ * throws ends the loop and is handed to onError
+ * @param {Object} seat - Seat from createSeat(), before setUpGame()
+ * @param {Object} handlers - What the fight does at each step
+ * @param {function(Object, Object): Promise<void>} handlers.onRound - Shows a round, given
+ *   myRoundData and opponentsRoundData
+ * @param {function(): Promise<void>} handlers.onTurn - Picks and submits the next move
+ * @param {function(string): Promise<void>} handlers.onEnd - Called with 'victory' or 'defeat'
+ *   once the last round has been shown
+ * @param {function(Error): void} [handlers.onError] - Called when onTurn throws; rethrown without it
+ * @returns {{stop: function(): void, isOver: function(): boolean}} stop() removes the
+ *   listeners; isOver() is true from the moment the engine declares a winner
+ */
+export function runTurns(seat, { onRound, onTurn, onEnd, onError }) {
+  const { adapter } = seat;
+  let isProcessingRound = false;
+  let gameEnded = false;
+
+  const waitForRound = async() => {
+    while (isProcessingRound) {
+      await sleep(100);
+    }
+  };
+
+  const listeners = {
+    round: async(e) => {
+      const { myRoundData, opponentsRoundData } = e.detail;
+      isProcessingRound = true;
+      try {
+        await onRound(myRoundData, opponentsRoundData);
+      } finally {
+        isProcessingRound = false;
+      }
+    },
+    setup: async() => {
+      await waitForRound();
+      if (gameEnded) {
+        return;
+      }
+      try {
+        await onTurn();
+      } catch (error) {
+        gameEnded = true;
+        stop();
+        if (!onError) {
+          throw error;
+        }
+        onError(error);
+      }
+    },
+    victory: () => end('victory'),
+    defeat: () => end('defeat')
+  };
+
+  const end = async(outcome) => {
+    gameEnded = true;
+    await waitForRound();
+    await onEnd(outcome);
+  };
+
+  const stop = () => {
+    Object.entries(listeners).forEach(([event, handler]) => adapter.removeEventListener(event, handler));
+  };
+
+  Object.entries(listeners).forEach(([event, handler]) => adapter.addEventListener(event, handler));
+
+  return { stop, isOver: () => gameEnded };
+}
+
+/**
+ * Asks the player at the keyboard for their next move
+ * The numbered menu of accessible mode waits for its own answer, so the
+ * pause before the menu is skipped there
+ * @param {Object[]} moves - Moves the player may make this round
+ * @param {Object[]} bonus - Bonuses the player carries into this round
+ * @param {Object} [options] - Extras for the move menu
+ * @param {function(Object): string[]} [options.coach] - Hint lines shown under the highlighted move
+ * @param {function(): string[]} [options.history] - Lines of the round history, opened with 'h'
+ * @returns {Promise<Object>} Promise that resolves to the chosen move
+ */
+export async function askForMove(moves, bonus, { coach, history } = {}) {
+  if (!isAccessible()) {
+    await waitForEnter(t('game.pressEnter'));
+    console.log();
+  }
+  return selectFromMenu(moves, bonus, undefined, {
+    coach,
+    onHistory: history && (() => showPager(t('history.title'), history()))
+  });
+}
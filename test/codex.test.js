@@ -0,0 +1,46 @@
+/**
+ * Browsing the codex
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startCli, KEYS } from './helpers/cli.js';
+
+test('codex: browse from a character to a move and back out', async(t) => {
+  const cli = startCli(['codex']);
+  t.after(() => cli.close());
+
+  await cli.waitFor(/Codex — Characters/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/— Moves/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/When .+ makes this move and the other side makes/);
+  await cli.waitFor(/Press Enter to go back/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/— Moves/);
+  await cli.press(KEYS.escape);
+  await cli.waitFor(/Codex — Characters/);
+  await cli.press(KEYS.escape);
+
+  assert.equal((await cli.exited).code, 0);
+});
+
+test('codex: --character opens that character straight away', async(t) => {
+  const cli = startCli(['codex', '--character', 'goblin']);
+  t.after(() => cli.close());
+
+  await cli.waitFor(/Goblin — Moves/);
+  await cli.press(KEYS.escape);
+  await cli.waitFor(/Codex — Characters/);
+  await cli.press(KEYS.escape);
+
+  assert.equal((await cli.exited).code, 0);
+});
+
+test('codex: without a terminal the entries are printed', async(t) => {
+  const cli = startCli(['codex', '--character', 'goblin'], { terminal: false });
+  t.after(() => cli.close());
+
+  assert.equal((await cli.exited).code, 0);
+  assert.match(cli.output(), /Goblin[\s\S]*Moves \(\d+\):/);
+});
@@ -0,0 +1,44 @@
+/**
+ * Saved settings
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startCli } from './helpers/cli.js';
+
+test('config: a saved speed is listed and no longer marked as the default', async(t) => {
+  const home = mkdtempSync(join(tmpdir(), 'swordfight-test-'));
+  t.after(() => rmSync(home, { recursive: true, force: true }));
+
+  const before = startCli(['config'], { home });
+  t.after(() => before.close());
+  assert.equal((await before.exited).code, 0);
+  assert.match(before.output(), /speed\s+normal \(default\)/);
+
+  const save = startCli(['config', '--speed', 'fast'], { home });
+  t.after(() => save.close());
+  assert.equal((await save.exited).code, 0);
+
+  const after = startCli(['config'], { home });
+  t.after(() => after.close());
+  assert.equal((await after.exited).code, 0);
+  assert.match(after.output(), /speed\s+fast\n/);
+});
+
+test('config: an unknown speed is refused and nothing is saved', async(t) => {
+  const home = mkdtempSync(join(tmpdir(), 'swordfight-test-'));
+  t.after(() => rmSync(home, { recursive: true, force: true }));
+
+  const save = startCli(['config', '--speed', 'ludicrous'], { home });
+  t.after(() => save.close());
+  assert.equal((await save.exited).code, 1);
+  assert.match(save.output(), /--speed must be/);
+
+  const after = startCli(['config'], { home });
+  t.after(() => after.close());
+  assert.equal((await after.exited).code, 0);
+  assert.match(after.output(), /speed\s+normal \(default\)/);
+});
@@ -0,0 +1,27 @@
+/**
+ * Gauntlet: one opponent after another, with the health that is left
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startCli, KEYS } from './helpers/cli.js';
+
+test('gauntlet: the player fights duel after duel until the run ends', async(t) => {
+  const cli = startCli(['gauntlet', '--character', 'human-fighter', '--fast']);
+  t.after(() => cli.close());
+
+  await cli.waitFor(/Fight 1 of \d+: press Enter to face/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Press Enter to choose your move/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Choose Your Action/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Round 1 Results/);
+
+  // Keep taking the first move, and walking into the next fight, until the run is over
+  while (await cli.waitFor(/press Enter to face|Press Enter to choose your move|Choose Your Action/).catch(() => null)) {
+    await cli.press(KEYS.enter);
+  }
+  assert.equal((await cli.exited).code, 0);
+  assert.match(cli.output(), /Your gauntlet ends at fight \d+|stands alone after \d+ fights/);
+});
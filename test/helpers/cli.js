@@ -0,0 +1,167 @@
+/**
+ * Drives the CLI the way a player at a terminal would
+ *
+ * Each session runs `src/index.js` in a child process whose pipes pass for a
+ * terminal (see fake-tty.cjs), with its own empty config and data
+ * directories. Tests wait for text to appear and then press keys, so a flow
+ * that stops listening for input shows up as a failed wait rather than a
+ * hang.
+ */
+
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+/** @constant {number} WAIT_TIMEOUT - Milliseconds waitFor() gives the CLI to print what is expected */
+const WAIT_TIMEOUT = 15000;
+
+/** @constant {RegExp} ANSI - Escape sequences stripped from the output before matching */
+const ANSI = new RegExp(`${String.fromCharCode(27)}\\[[0-9;?]*[A-Za-z]`, 'g');
+
+/** Key sequences for press() */
+export const KEYS = {
+  enter: '\r',
+  up: '\x1b[A',
+  down: '\x1b[B',
+  escape: '\x1b',
+  ctrlC: '\x03'
+};
+
+/**
+ * Starts the CLI
+ * @param {string[]} args - Command-line arguments; `--lang` is added so output can be matched
+ * @param {Object} [options] - Session options
+ * @param {Object} [options.env] - Extra environment variables
+ * @param {string} [options.lang='en'] - Language to play in
+ * @param {string} [options.home] - Directory for config and data, shared between sessions; a fresh one by default
+ * @param {boolean} [options.terminal=true] - Pass the pipes off as a terminal; false runs the CLI as a script would
+ * @returns {Object} Session with output(), waitFor(), press(), type(), exited and close()
+ */
+export function startCli(args, options = {}) {
+  const home = options.home || mkdtempSync(join(tmpdir(), 'swordfight-test-'));
+  const env = { ...process.env, TERM: 'xterm-256color', XDG_CONFIG_HOME: join(home, 'config'), XDG_DATA_HOME: join(home, 'data'), ...options.env };
+  if (!options.env?.NO_COLOR) {
+    delete env.NO_COLOR;
+  }
+
+  const preload = options.terminal === false ? [] : ['--require', join(root, 'test', 'helpers', 'fake-tty.cjs')];
+  const child = spawn(process.execPath, [
+    ...preload,
+    join(root, 'src', 'index.js'),
+    ...args,
+    '--lang', options.lang || 'en'
+  ], { cwd: root, env, stdio: ['pipe', 'pipe', 'pipe'] });
+
+  let text = '';
+  let cursor = 0;
+  const waiters = new Set();
+  const check = () => waiters.forEach(waiter => waiter());
+
+  child.stdout.on('data', chunk => {
+    text += chunk.toString().replace(ANSI, '');
+    check();
+  });
+  child.stderr.on('data', chunk => {
+    text += chunk.toString();
+    check();
+  });
+
+  const exited = new Promise(resolve => {
+    child.on('exit', (code, signal) => {
+      resolve({ code, signal });
+      check();
+    });
+  });
+
+  return {
+    home,
+    exited,
+
+    /** @returns {string} Everything printed so far, without colors */
+    output: () => text,
+
+    /**
+     * Waits for text to be printed after whatever the last wait matched
+     * @param {RegExp} pattern - What to wait for
+     * @param {number} [timeout] - Milliseconds before giving up
+     * @returns {Promise<RegExpMatchArray>} The match
+     */
+    waitFor(pattern, timeout = WAIT_TIMEOUT) {
+      return new Promise((resolve, reject) => {
+        const fail = (reason) => {
+          waiters.delete(waiter);
+          clearTimeout(timer);
+          reject(new Error(`${reason} while waiting for ${pattern}\n--- output ---\n${text.slice(-3000)}`));
+        };
+        const waiter = () => {
+          const match = pattern.exec(text.slice(cursor));
+          if (match) {
+            waiters.delete(waiter);
+            clearTimeout(timer);
+            cursor += match.index + match[0].length;
+            resolve(match);
+          } else if (child.exitCode !== null || child.signalCode !== null) {
+            fail(`CLI exited (code ${child.exitCode}, signal ${child.signalCode})`);
+          }
+        };
+        const timer = setTimeout(() => fail('Timed out'), timeout);
+        waiters.add(waiter);
+        waiter();
+      });
+    },
+
+    /**
+     * Presses keys, one at a time, as separate reads
+     * @param {...string} keys - Sequences from KEYS, or single characters
+     * @returns {Promise<void>} Promise that resolves once the keys are sent
+     */
+    async press(...keys) {
+      for (const key of keys) {
+        child.stdin.write(key);
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    },
+
+    /**
+     * Types a line of text followed by Enter
+     * @param {string} line - Text to type
+     * @returns {Promise<void>} Promise that resolves once it is sent
+     */
+    type(line) {
+      return this.press(...line, KEYS.enter);
+    },
+
+    /**
+     * Stops the CLI if it is still running and removes its directories
+     * @returns {Promise<void>} Promise that resolves once the process is gone
+     */
+    async close() {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill();
+      }
+      await exited;
+      if (!options.home) {
+        rmSync(home, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+/**
+ * Plays the current duel to its end, taking the first legal move every round
+ * @param {Object} cli - Session from startCli()
+ * @returns {Promise<void>} Promise that resolves once the "What Next?" menu is up
+ */
+export async function fightToTheEnd(cli) {
+  for (;;) {
+    const [prompt] = await cli.waitFor(/Press Enter to choose your move|Choose Your Action|What Next\?/);
+    if (prompt === 'What Next?') {
+      return;
+    }
+    await cli.press(KEYS.enter);
+  }
+}
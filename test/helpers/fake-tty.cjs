@@ -0,0 +1,18 @@
+/**
+ * Preloaded into the CLI by the interactive tests (node --require)
+ *
+ * The tests talk to the CLI through pipes, which would send it down the
+ * headless path. Dressing the pipes up as a terminal makes it run its menus
+ * instead, reading keys from the pipe as it would from a keyboard in raw mode.
+ */
+
+process.stdin.isTTY = true;
+process.stdin.isRaw = false;
+process.stdin.setRawMode = function(mode) {
+  this.isRaw = mode;
+  return this;
+};
+
+process.stdout.isTTY = true;
+process.stdout.columns = 100;
+process.stdout.rows = 40;
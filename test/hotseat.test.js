@@ -0,0 +1,34 @@
+/**
+ * Hot-seat: two players taking turns at one keyboard
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startCli, KEYS } from './helpers/cli.js';
+
+test('hotseat: both players pick champions and moves until one of them wins', async(t) => {
+  const cli = startCli(['hotseat', '--fast']);
+  t.after(() => cli.close());
+
+  await cli.waitFor(/Player 1, Choose Your Champion/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Player 2, Choose Your Champion/);
+  await cli.press(KEYS.down, KEYS.enter);
+
+  await cli.waitFor(/Player 1, take the keyboard/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Player 1 — Choose Your Action/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Player 2, take the keyboard/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Player 2 — Choose Your Action/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Both moves are in/);
+
+  // Keep taking the first move for both players until the duel is decided
+  while (await cli.waitFor(/take the keyboard|Choose Your Action|Press Enter to continue/).catch(() => null)) {
+    await cli.press(KEYS.enter);
+  }
+  assert.equal((await cli.exited).code, 0);
+  assert.match(cli.output(), /PLAYER [12] WINS!/);
+});
@@ -0,0 +1,49 @@
+/**
+ * Languages: every catalog has every message, and the modes speak them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { startCli, KEYS } from './helpers/cli.js';
+
+const catalog = (locale) => JSON.parse(readFileSync(new URL(`../src/locales/${locale}.json`, import.meta.url), 'utf-8'));
+
+test('i18n: the Spanish and German catalogs have every English message', () => {
+  const english = Object.keys(catalog('en')).sort();
+  for (const locale of ['es', 'de']) {
+    assert.deepEqual(Object.keys(catalog(locale)).sort(), english, `${locale}.json`);
+  }
+});
+
+test('i18n: the stats screen is shown in Spanish', async(t) => {
+  const cli = startCli(['stats'], { lang: 'es', terminal: false });
+  t.after(() => cli.close());
+
+  await cli.waitFor(/Estadísticas de carrera/);
+  await cli.waitFor(/Aún no has librado ningún duelo/);
+  assert.equal((await cli.exited).code, 0);
+});
+
+test('i18n: the gauntlet speaks German from the lineup to the move menu', async(t) => {
+  const cli = startCli(['gauntlet', '--character', 'human-fighter', '--fast'], { lang: 'de' });
+  t.after(() => cli.close());
+
+  await cli.waitFor(/Der Spießrutenlauf/);
+  await cli.waitFor(/Kampf 1 von \d+: Drücke Enter/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Drücke Enter, um deinen Zug zu wählen/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Wähle deine Aktion/);
+});
+
+test('i18n: hot-seat names the players in Spanish', async(t) => {
+  const cli = startCli(['hotseat', '--fast'], { lang: 'es' });
+  t.after(() => cli.close());
+
+  await cli.waitFor(/Jugador 1, elige a tu campeón/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Jugador 2, elige a tu campeón/);
+  await cli.press(KEYS.down, KEYS.enter);
+  await cli.waitFor(/Jugador 1, toma el teclado/);
+});
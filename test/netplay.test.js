@@ -0,0 +1,82 @@
+/**
+ * Duels over the network
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'net';
+import { startCli, KEYS } from './helpers/cli.js';
+
+/**
+ * Finds a port nothing is listening on
+ * @returns {Promise<string>} Promise that resolves to the port
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(String(port)));
+    });
+  });
+}
+
+/**
+ * Hosts a duel and has a guest join it
+ * @param {Object} t - Test context, which closes both sessions afterwards
+ * @param {string[]} hostArgs - Extra arguments for the host
+ * @param {string[]} guestArgs - Extra arguments for the guest
+ * @returns {Promise<{host: Object, guest: Object}>} Both sessions, once they have met
+ */
+async function startDuel(t, hostArgs, guestArgs) {
+  const port = await freePort();
+  const host = startCli(['host', '--port', port, '--character', 'human-fighter', ...hostArgs]);
+  t.after(() => host.close());
+  await host.waitFor(new RegExp(`Hosting a duel on port ${port}`));
+  await host.waitFor(/Waiting for an opponent to join/);
+
+  const guest = startCli(['join', `127.0.0.1:${port}`, '--character', 'goblin', ...guestArgs]);
+  t.after(() => guest.close());
+  await host.waitFor(/An opponent has arrived/);
+  await guest.waitFor(/An opponent has arrived/);
+  return { host, guest };
+}
+
+/**
+ * Makes one move from a network seat
+ * @param {Object} cli - Session from startCli()
+ * @param {number} [timeout] - Milliseconds to wait for the move prompt
+ * @returns {Promise<void>} Promise that resolves once the move is submitted
+ */
+async function makeMove(cli, timeout) {
+  await cli.waitFor(/Press Enter to choose your move/, timeout);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Choose Your Action/);
+  await cli.press(KEYS.enter);
+}
+
+test('netplay: a host and a guest fight a round and the host hears when the guest leaves', async(t) => {
+  const { host, guest } = await startDuel(t, ['--fast'], ['--fast']);
+
+  await makeMove(host);
+  await host.waitFor(/Waiting for .+ to choose/);
+  await makeMove(guest);
+  await host.waitFor(/Round 1 Results/);
+  await guest.waitFor(/Round 1 Results/);
+
+  await guest.close();
+  await host.waitFor(/has disconnected\. Waiting up to \d+ seconds/);
+});
+
+test('netplay: a move made while the other side is still showing the intro is not lost', async(t) => {
+  const { host, guest } = await startDuel(t, ['--fast'], ['--speed', 'normal']);
+
+  await makeMove(host);
+  await host.waitFor(/Waiting for .+ to choose/);
+  assert.doesNotMatch(guest.output(), /Press Enter to choose your move/, 'the guest should still be in the intro');
+
+  await makeMove(guest, 60000);
+  await guest.waitFor(/Round 1 Results/);
+  await host.waitFor(/Round 1 Results/);
+});
@@ -0,0 +1,224 @@
+/**
+ * Interactive play: the menus, the turn loop and what follows a fight
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { startCli, KEYS, fightToTheEnd } from './helpers/cli.js';
+
+test('play: choose a character and an opponent from the menus, then fight a round', async(t) => {
+  const cli = startCli(['play', '--fast', '--seed', 'menus']);
+  t.after(() => cli.close());
+
+  await cli.waitFor(/Choose Your Champion/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Choose Your Opponent/);
+  await cli.press(KEYS.down, KEYS.enter);
+  await cli.waitFor(/Press Enter to choose your move/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Choose Your Action/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Round 1 Results/);
+  assert.match(cli.output(), /Seed: menus/);
+});
+
+test('play: Ctrl+C in the move menu saves the fight, and --resume picks it up', async(t) => {
+  const cli = startCli(['play', '--fast', '--character', 'human-fighter', '--opponent', 'goblin', '--seed', 'flee']);
+  t.after(() => rmSync(cli.home, { recursive: true, force: true }));
+
+  await cli.waitFor(/Press Enter to choose your move/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Choose Your Action/);
+  await cli.press(KEYS.ctrlC);
+  await cli.waitFor(/Save this fight to resume later\?/);
+  await cli.press('y');
+  await cli.waitFor(/Fight saved/);
+  assert.equal((await cli.exited).code, 0);
+
+  const resumed = startCli(['play', '--fast', '--resume'], { home: cli.home });
+  t.after(() => resumed.close());
+  await resumed.waitFor(/Resuming your fight against .+ at round 1/);
+  await resumed.waitFor(/Press Enter to choose your move/);
+});
+
+test('play: a resumed fight keeps what the opponent carries into the next round', async(t) => {
+  const cli = startCli(['play', '--fast', '--character', 'human-fighter', '--opponent', 'goblin', '--seed', 'flee']);
+  t.after(() => rmSync(cli.home, { recursive: true, force: true }));
+
+  await cli.waitFor(/Press Enter to choose your move/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Choose Your Action/);
+  await cli.press(KEYS.ctrlC);
+  await cli.waitFor(/Save this fight to resume later\?/);
+  await cli.press('y');
+  assert.equal((await cli.exited).code, 0);
+
+  const file = join(cli.home, 'data', 'swordfight', 'savegame.json');
+  const save = JSON.parse(readFileSync(file, 'utf8'));
+  assert.deepEqual(save.opponentBonus, []);
+  assert.deepEqual(save.opponentRestrictions, []);
+  writeFileSync(file, JSON.stringify({ ...save, opponentRestrictions: ['Jump Away'] }));
+
+  const resumed = startCli(['play', '--fast', '--resume', '--tui'], { home: cli.home });
+  t.after(() => resumed.close());
+  await resumed.waitFor(/Foe: .*Restrictions: Jump Away/);
+});
+
+test('play: the match summary is followed by the What Next menu, and Quit leaves', async(t) => {
+  const cli = startCli(['play', '--fast', '--character', 'human-fighter', '--opponent', 'goblin']);
+  t.after(() => cli.close());
+
+  await fightToTheEnd(cli);
+  assert.match(cli.output(), /VICTORY!|DEFEAT/);
+  assert.match(cli.output(), /Match Summary[\s\S]*What Next\?/);
+  await cli.press(KEYS.down, KEYS.down, KEYS.down, KEYS.enter);
+  assert.equal((await cli.exited).code, 0);
+});
+
+test('play: the What Next menu also follows a --tui fight', async(t) => {
+  const cli = startCli(['play', '--fast', '--tui', '--character', 'human-fighter', '--opponent', 'goblin']);
+  t.after(() => cli.close());
+
+  for (;;) {
+    const [prompt] = await cli.waitFor(/Enter: Select|leave the arena|What Next\?/);
+    if (prompt === 'What Next?') {
+      break;
+    }
+    await cli.press(KEYS.enter);
+  }
+  await cli.press(KEYS.down, KEYS.down, KEYS.down, KEYS.enter);
+  assert.equal((await cli.exited).code, 0);
+});
+
+test('play: a rematch starts over with the same fighters and nothing carried over', async(t) => {
+  const cli = startCli(['play', '--fast', '--character', 'human-fighter', '--opponent', 'goblin']);
+  t.after(() => cli.close());
+
+  await fightToTheEnd(cli);
+  await cli.press(KEYS.enter);
+
+  await cli.waitFor(/Preparing for battle/);
+  // Both fighters are back to full health
+  const [bars] = await cli.waitFor(/Combatants[\s\S]*?(\d+)\/\d+ HP[\s\S]*?(\d+)\/\d+ HP/);
+  for (const [, health, max] of bars.matchAll(/(\d+)\/(\d+) HP/g)) {
+    assert.equal(health, max);
+  }
+  await cli.waitFor(/Press Enter to choose your move/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Choose Your Action/);
+  // The round history starts empty
+  await cli.press('h');
+  await cli.waitFor(/No rounds fought yet/);
+  await cli.press(KEYS.escape);
+  await cli.waitFor(/Choose Your Action/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Round 1 Results/);
+
+  const second = cli.output().slice(cli.output().lastIndexOf('Preparing for battle'));
+  assert.doesNotMatch(second, /Choose Your Champion|Choose Your Opponent/);
+});
+
+test('play: New opponent keeps the character and asks for a foe', async(t) => {
+  const cli = startCli(['play', '--fast', '--character', 'human-fighter', '--opponent', 'goblin']);
+  t.after(() => cli.close());
+
+  await fightToTheEnd(cli);
+  await cli.press(KEYS.down, KEYS.enter);
+  await cli.waitFor(/Choose Your Opponent/);
+  await cli.press(KEYS.down, KEYS.enter);
+  await cli.waitFor(/Press Enter to choose your move/);
+
+  const second = cli.output().slice(cli.output().lastIndexOf('What Next?'));
+  assert.doesNotMatch(second, /Choose Your Champion/);
+});
+
+test('play: Switch character keeps the opponent and asks for a champion', async(t) => {
+  const cli = startCli(['play', '--fast', '--character', 'human-fighter', '--opponent', 'goblin']);
+  t.after(() => cli.close());
+
+  await fightToTheEnd(cli);
+  await cli.press(KEYS.down, KEYS.down, KEYS.enter);
+  await cli.waitFor(/Choose Your Champion/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Press Enter to choose your move/);
+
+  const second = cli.output().slice(cli.output().lastIndexOf('What Next?'));
+  assert.doesNotMatch(second, /Choose Your Opponent/);
+});
+
+/**
+ * Plays the first round of a duel that needs no menus before it
+ * @param {Object} cli - Session from startCli()
+ * @returns {Promise<void>} Promise that resolves once the round's results are shown
+ */
+async function playFirstRound(cli) {
+  await cli.waitFor(/Press Enter to choose your move/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Choose Your Action/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Round 1 Results/);
+}
+
+test('play: --opponent-ai lets a built-in strategy play the opponent', async(t) => {
+  const cli = startCli(['play', '--fast', '--opponent-ai', 'greedy', '--character', 'human-fighter', '--opponent', 'goblin']);
+  t.after(() => cli.close());
+
+  await cli.waitFor(/Opponent strategy: greedy/);
+  await playFirstRound(cli);
+});
+
+test('play: --difficulty hard names the level and lets its strategy fight', async(t) => {
+  const cli = startCli(['play', '--fast', '--difficulty', 'hard', '--character', 'human-fighter', '--opponent', 'goblin']);
+  t.after(() => cli.close());
+
+  await cli.waitFor(/Difficulty: Hard/);
+  await playFirstRound(cli);
+});
+
+test('play: --coach explains the highlighted move in the menu', async(t) => {
+  const cli = startCli(['play', '--fast', '--coach', '--character', 'human-fighter', '--opponent', 'goblin']);
+  t.after(() => cli.close());
+
+  await cli.waitFor(/Press Enter to choose your move/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Choose Your Action[\s\S]*(Against their \d+ repl|No table entries)/);
+  await cli.press(KEYS.down);
+  await cli.waitFor(/Against their \d+ repl|No table entries/);
+});
+
+test('play: --accessible numbers the menus and reads answers as lines', async(t) => {
+  const cli = startCli(['play', '--fast', '--accessible']);
+  t.after(() => cli.close());
+
+  await cli.waitFor(/Choose Your Champion[\s\S]*Type a number and press Enter/);
+  await cli.type('1');
+  await cli.waitFor(/Choose Your Opponent[\s\S]*Choice:/);
+  await cli.type('2');
+  await cli.waitFor(/Choose Your Action[\s\S]*Choice:/);
+  await cli.type('1');
+  await cli.waitFor(/Round 1 Results/);
+  assert.doesNotMatch(cli.output(), /Press Enter to choose your move|[█▶⚔]/);
+});
+
+test('play: the opponent menu leaves out your own character unless --mirror is given', async(t) => {
+  const plain = startCli(['play', '--fast', '--character', 'human-fighter']);
+  t.after(() => plain.close());
+  const [menu] = await plain.waitFor(/Choose Your Opponent[\s\S]*?Enter: Select/);
+  assert.match(menu, /Random/);
+  assert.doesNotMatch(menu, /Human Fighter/);
+
+  const mirror = startCli(['play', '--fast', '--mirror', '--character', 'human-fighter']);
+  t.after(() => mirror.close());
+  const [mirrorMenu] = await mirror.waitFor(/Choose Your Opponent[\s\S]*?Enter: Select/);
+  assert.match(mirrorMenu, /Human Fighter/);
+});
+
+test('play: --opponent cannot be your own character without --mirror', async(t) => {
+  const cli = startCli(['play', '--character', 'human-fighter', '--opponent', 'human-fighter']);
+  t.after(() => cli.close());
+
+  assert.equal((await cli.exited).code, 1);
+  assert.match(cli.output(), /add --mirror/);
+});
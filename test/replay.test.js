@@ -0,0 +1,68 @@
+/**
+ * Recording a fight and watching it again
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startCli } from './helpers/cli.js';
+
+/**
+ * Records a fight against the goblin, taking the first legal move every round
+ * @param {Object} t - Test context, which removes the recording afterwards
+ * @returns {Promise<{home: string, file: string}>} Directory the fight was played in and the recording
+ */
+async function recordFight(t) {
+  const home = mkdtempSync(join(tmpdir(), 'swordfight-test-'));
+  const file = join(home, 'duel.json');
+  t.after(() => rmSync(home, { recursive: true, force: true }));
+
+  const recording = startCli([
+    'play', '--character', 'human-fighter', '--opponent', 'goblin', '--seed', 'replay', '--moves', '-', '--record', file
+  ], { home, terminal: false });
+  t.after(() => recording.close());
+  let prompt;
+  while ((prompt = await recording.waitFor(/Legal moves: ([^,\n]+)/).catch(() => null))) {
+    await recording.type(prompt[1]);
+  }
+  assert.equal((await recording.exited).code, 0);
+  return { home, file };
+}
+
+test('replay: --fast plays a recorded fight straight through', async(t) => {
+  const { home, file } = await recordFight(t);
+
+  const replay = startCli(['replay', file, '--fast'], { home });
+  t.after(() => replay.close());
+  assert.equal((await replay.exited).code, 0, replay.output());
+  assert.match(replay.output(), /VICTORY|DEFEAT/);
+});
+
+test('replay: + and - double and halve the speed', async(t) => {
+  const { home, file } = await recordFight(t);
+
+  const replay = startCli(['replay', file, '--speed', '2', '--step'], { home });
+  t.after(() => replay.close());
+  await replay.waitFor(/n: Next round/);
+  await replay.press('+');
+  await replay.waitFor(/Speed ×4/);
+  await replay.press('-', '-');
+  await replay.waitFor(/Speed ×2[\s\S]*Speed ×1/);
+  await replay.press('q');
+  assert.equal((await replay.exited).code, 0);
+});
+
+test('replay: + and - leave --fast alone', async(t) => {
+  const { home, file } = await recordFight(t);
+
+  const replay = startCli(['replay', file, '--fast', '--step'], { home });
+  t.after(() => replay.close());
+  await replay.waitFor(/n: Next round/);
+  await replay.press('+', '-', 'n');
+  await replay.waitFor(/n: Next round/);
+  await replay.press('q');
+  assert.equal((await replay.exited).code, 0);
+  assert.doesNotMatch(replay.output(), /Speed ×/);
+});
@@ -0,0 +1,77 @@
+/**
+ * Headless play: moves read from a file or stdin, narration or NDJSON out
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startCli } from './helpers/cli.js';
+
+const FIGHTERS = ['--character', 'human-fighter', '--opponent', 'goblin'];
+
+/**
+ * Answers every "Legal moves:" prompt of a headless game with the first legal move
+ * @param {Object} cli - Session from startCli()
+ * @returns {Promise<string[]>} The moves sent, in order
+ */
+async function playFirstMoves(cli) {
+  const moves = [];
+  let prompt;
+  while ((prompt = await cli.waitFor(/Legal moves: ([^,\n]+)/).catch(() => null))) {
+    moves.push(prompt[1]);
+    await cli.type(prompt[1]);
+  }
+  return moves;
+}
+
+test('scripted: a fight is played to the end from moves piped to stdin', async(t) => {
+  const cli = startCli(['play', ...FIGHTERS, '--moves', '-'], { terminal: false });
+  t.after(() => cli.close());
+
+  await playFirstMoves(cli);
+  assert.equal((await cli.exited).code, 0, cli.output());
+  assert.match(cli.output(), /VICTORY|DEFEAT/);
+  assert.doesNotMatch(cli.output(), /What Next\?/);
+});
+
+test('scripted: a move that is not legal stops the game with the round it was read in', async(t) => {
+  const cli = startCli(['play', ...FIGHTERS, '--moves', '-'], { terminal: false });
+  t.after(() => cli.close());
+
+  await cli.waitFor(/Legal moves:/);
+  await cli.type('no-such-move');
+  assert.equal((await cli.exited).code, 1);
+  assert.match(cli.output(), /Round 1: /);
+});
+
+test('scripted: the same seed and moves replay the same fight', async(t) => {
+  const first = startCli(['play', ...FIGHTERS, '--seed', 'twice', '--moves', '-'], { terminal: false });
+  t.after(() => first.close());
+  const moves = await playFirstMoves(first);
+  await first.exited;
+
+  const second = startCli(['play', ...FIGHTERS, '--seed', 'twice', '--moves', '-'], { terminal: false });
+  t.after(() => second.close());
+  for (const move of moves) {
+    await second.waitFor(/Legal moves:/);
+    await second.type(move);
+  }
+  await second.exited;
+
+  assert.equal(second.output(), first.output());
+});
+
+test('scripted: --json writes one event per line, from the first setup to the result', async(t) => {
+  const cli = startCli(['play', ...FIGHTERS, '--json'], { terminal: false });
+  t.after(() => cli.close());
+
+  let setup;
+  while ((setup = await cli.waitFor(/\{"event":"setup".*\n/).catch(() => null))) {
+    await cli.type(JSON.parse(setup[0]).moves[0].id);
+  }
+  assert.equal((await cli.exited).code, 0);
+
+  const events = cli.output().trim().split('\n').map(line => JSON.parse(line).event);
+  assert.equal(events[0], 'setup');
+  assert.ok(events.includes('round'));
+  assert.match(events.at(-1), /^(victory|defeat)$/);
+});
@@ -0,0 +1,38 @@
+/**
+ * Bot-versus-bot balance runs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startCli } from './helpers/cli.js';
+
+const simulate = (args) => startCli(['simulate', '--runs', '5', '--seed', 'balance', ...args], { terminal: false });
+
+test('simulate: --format json reports every match of a pairing', async(t) => {
+  const cli = simulate(['--a', 'human-fighter', '--b', 'goblin', '--format', 'json']);
+  t.after(() => cli.close());
+
+  assert.equal((await cli.exited).code, 0, cli.output());
+  const report = JSON.parse(cli.output());
+  assert.equal(report.seed, 'balance');
+  assert.equal(report.pairs.length, 1);
+});
+
+test('simulate: the same seed gives the same report', async(t) => {
+  const first = simulate(['--all', '--format', 'csv']);
+  const second = simulate(['--all', '--format', 'csv']);
+  t.after(() => first.close());
+  t.after(() => second.close());
+
+  assert.equal((await first.exited).code, 0, first.output());
+  assert.equal((await second.exited).code, 0, second.output());
+  assert.equal(first.output(), second.output());
+});
+
+test('simulate: --all cannot be combined with named characters', async(t) => {
+  const cli = simulate(['--all', '--a', 'goblin']);
+  t.after(() => cli.close());
+
+  assert.equal((await cli.exited).code, 1);
+  assert.match(cli.output(), /--all simulates every pairing/);
+});
@@ -0,0 +1,36 @@
+/**
+ * Career statistics kept across fights
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startCli, fightToTheEnd, KEYS } from './helpers/cli.js';
+
+test('stats: nothing is recorded before the first fight', async(t) => {
+  const cli = startCli(['stats']);
+  t.after(() => cli.close());
+
+  assert.equal((await cli.exited).code, 0);
+  assert.match(cli.output(), /No duels fought yet/);
+});
+
+test('stats: a finished fight shows up in the record', async(t) => {
+  const home = mkdtempSync(join(tmpdir(), 'swordfight-test-'));
+  t.after(() => rmSync(home, { recursive: true, force: true }));
+
+  const game = startCli(['play', '--fast', '--character', 'human-fighter', '--opponent', 'goblin'], { home });
+  t.after(() => game.close());
+  await fightToTheEnd(game);
+  await game.press(KEYS.down, KEYS.down, KEYS.down, KEYS.enter);
+  assert.equal((await game.exited).code, 0);
+
+  const stats = startCli(['stats'], { home });
+  t.after(() => stats.close());
+  assert.equal((await stats.exited).code, 0);
+  assert.match(stats.output(), /Career Statistics[\s\S]*Record\s+[01] W {2}[01] L/);
+  assert.match(stats.output(), /As character:[\s\S]*Human Fighter/);
+  assert.match(stats.output(), /Against opponent:[\s\S]*Goblin/);
+});
@@ -0,0 +1,27 @@
+/**
+ * Tournament: a seeded bracket with the player in it
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startCli, KEYS } from './helpers/cli.js';
+
+test('tournament: the player fights their bracket matches until a champion is crowned', async(t) => {
+  const cli = startCli(['tournament', '--character', 'human-fighter', '--fast']);
+  t.after(() => cli.close());
+
+  await cli.waitFor(/: press Enter to face/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Press Enter to choose your move/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Choose Your Action/);
+  await cli.press(KEYS.enter);
+  await cli.waitFor(/Round 1 Results/);
+
+  // Keep taking the first move, and starting each new round, until the bracket is done
+  while (await cli.waitFor(/press Enter to face|Press Enter to choose your move|Choose Your Action|Press Enter to begin/).catch(() => null)) {
+    await cli.press(KEYS.enter);
+  }
+  assert.equal((await cli.exited).code, 0);
+  assert.match(cli.output(), /TOURNAMENT CHAMPION/);
+});